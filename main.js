@@ -1,36 +1,34 @@
 #!/usr/bin/env node
 
-import { readFile } from 'node:fs/promises';
-import { join, dirname } from 'node:path';
+import { readFile, stat as statPath } from 'node:fs/promises';
+import { join, dirname, isAbsolute, relative, resolve } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { Command } from 'commander';
 import {
   DAY_NAMES,
-  MS_PER_DAY,
-  formatDate,
-  calculateDateRange
-} from './src/shared/display/date-utils.js';
-import {
-  detectTerminalCapabilities
-} from './src/shared/display/colors.js';
-import {
-  parseIgnoreFile,
-  patternToRegex
-} from './src/utils/file-patterns.js';
-import {
-  getLastCommitDate,
-  getUserCommits,
-  findActiveGitRepos
-} from './src/core/git-operations.js';
-import {
-  getCurrentUserEmail,
-  loadGitConfig,
-  parseConfig
-} from './src/core/git-config.js';
-import { formatAsJSON } from './src/shared/formatters/format-json.js';
-import { formatAsMarkdown } from './src/shared/formatters/format-markdown.js';
-import { formatAsText } from './src/shared/formatters/format-text.js';
-import { mergeConfig, parseArguments } from './src/cli/options-parser.js';
+  DELIMITED_COLUMNS,
+  InvalidOptionError,
+  collectActivity,
+  detectTerminalCapabilities,
+  formatAsDelimited,
+  formatAsHtml,
+  formatAsIcs,
+  formatAsJSON,
+  formatAsMarkdown,
+  formatAsText,
+  listReportCommits
+} from './src/index.js';
+import { getDayName } from './src/shared/display/date-utils.js';
+import { explainIgnoredPath } from './src/utils/file-patterns.js';
+import { loadRootIgnoreRules } from './src/core/activity-collector.js';
+import { getIndexPath, saveRepositoryIndex, updateRepositoryIndex } from './src/core/repository-index.js';
+import { WATCH_RESCAN_INTERVAL, createRepositoryWatcher } from './src/core/repository-watcher.js';
+import { loadGitConfig, parseConfig } from './src/core/git-config.js';
+import { mergeConfig } from './src/core/report-options.js';
+import { formatCommitLine } from './src/shared/formatters/format-text.js';
+import { formatRepoPath } from './src/shared/display/text-utils.js';
+import { runInteractiveBrowser } from './src/cli/interactive-browser.js';
+import { collectOption, parseArguments, parseColumns } from './src/cli/options-parser.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -49,139 +47,285 @@ const getPackageVersion = async () => {
   }
 };
 
-const main = async (options) => {
-  const gitConfig = parseConfig(await loadGitConfig());
-  const config = mergeConfig(options, gitConfig);
-  const { path: startPath, days, since, until, project: projectMode, short: shortMode, author: customAuthor, format, color } = config;
+/**
+ * Print a step of the activity collection (text format)
+ * @param {Object} event - Progress event of collectActivity
+ * @param {Object} config - Merged configuration
+ * @returns {void}
+ */
+const printProgress = (event, config) => {
+  const { standup, since, until, week, month, days, timezone: timeZone } = config;
 
-  let dateRange;
-  try {
-    dateRange = calculateDateRange(days, since, until);
-  } catch (error) {
-    console.error(`Error: ${error.message}`);
-    process.exit(1);
+  if (event.type === 'search') {
+    const { startPath, dateRange, globalRules, rootRules } = event;
+    if (globalRules.length > 0) console.log(`🚫 Loaded ${globalRules.length} ignore pattern(s) from ${config.ignoreFile}`);
+    if (rootRules.length > 0) console.log(`🚫 Loaded ${rootRules.length} ignore pattern(s) from .didignore`);
+    if (globalRules.length + rootRules.length > 0) console.log('');
+    console.log(`🔍 Searching for active Git repositories in: ${startPath}`);
+    const zoneInfo = timeZone ? ` (${timeZone} time)` : '';
+    if (standup) console.log(`📅 Standup: activity since ${getDayName(new Date(`${dateRange.sinceStr}T00:00:00`))} ${dateRange.sinceStr}${zoneInfo}\n`);
+    else if (since || until || week || month) console.log(`📅 Activity from ${dateRange.sinceStr} to ${dateRange.untilStr}${zoneInfo}\n`);
+    else console.log(`📅 Activity in the last ${days} day${days !== 1 ? 's' : ''}${zoneInfo}\n`);
   }
+  else if (event.type === 'repositories') {
+    const count = event.repos.length;
+    if (count === 0) console.log(`❌ No active Git repositories found.`);
+    else console.log(`✅ ${count} active Git repositor${count > 1 ? 'ies' : 'y'} found:\n`);
+  }
+  else if (event.type === 'team') {
+    console.log(`👥 Team${event.name ? ` ${event.name}` : ''}: ${event.members.join(', ')}\n`);
+  }
+  else if (event.type === 'authors') {
+    console.log(`👤 Filtering commits for author${event.authors.length > 1 ? 's' : ''}: ${event.authors.join(', ')}\n`);
+  }
+};
 
-  let terminalCaps = detectTerminalCapabilities();
-  if (color === true) terminalCaps = { ...terminalCaps, colors: true };
-  else if (color === false) terminalCaps = { colors: false, truecolor: false, colors256: false, basic: false };
-
-  const ignoreFilePath = join(startPath, '.didignore');
-  const ignorePatterns = await parseIgnoreFile(ignoreFilePath);
-  const ignoreRegexes = ignorePatterns.map(patternToRegex).filter(Boolean);
+/**
+ * Check that the output options can be used together and with the report options
+ * @param {Object} config - Merged configuration
+ * @returns {void}
+ * @throws {InvalidOptionError} If options conflict
+ */
+const validateOutputOptions = (config) => {
+  const { format, stats: statsMode, heatmap, interactive, watch, wip, project: projectMode, short: shortMode, groupBy } = config;
 
-  if (format === 'text') {
-    if (ignorePatterns.length > 0) console.log(`🚫 Loaded ${ignorePatterns.length} ignore pattern(s) from .didignore\n`);
-    console.log(`🔍 Searching for active Git repositories in: ${startPath}`);
-    if (since || until) console.log(`📅 Activity from ${dateRange.sinceStr} to ${dateRange.untilStr}\n`);
-    else console.log(`📅 Activity in the last ${days} day${days !== 1 ? 's' : ''}\n`);
+  if (statsMode && !['text', 'json', 'markdown'].includes(format)) {
+    throw new InvalidOptionError(`--stats is not supported by the ${format} format (use text, json or markdown)`, { option: '--stats' });
+  }
+  if (heatmap && format !== 'text') throw new InvalidOptionError('--heatmap is only available with the text format', { option: '--heatmap' });
+  if (interactive) {
+    const views = [statsMode && '--stats', heatmap && '--heatmap', projectMode && '--project', shortMode && '--short', groupBy && '--group-by'].filter(Boolean);
+    if (views.length > 0) throw new InvalidOptionError(`--interactive cannot be combined with ${views.join(', ')}`, { option: '--interactive' });
+    if (format !== 'text') throw new InvalidOptionError('--interactive is only available with the text format', { option: '--interactive' });
+  }
+  if (wip) {
+    if (interactive) throw new InvalidOptionError('--wip and --interactive cannot be combined', { option: '--wip' });
+    if (!['text', 'json', 'markdown'].includes(format)) {
+      throw new InvalidOptionError(`--wip is not supported by the ${format} format (use text, json or markdown)`, { option: '--wip' });
+    }
+  }
+  if (watch) {
+    if (interactive) throw new InvalidOptionError('--watch and --interactive cannot be combined', { option: '--watch' });
+    if (format !== 'text') throw new InvalidOptionError('--watch is only available with the text format', { option: '--watch' });
   }
+};
 
-  const startTime = Date.now();
-  const repos = await findActiveGitRepos(startPath, dateRange.since, dateRange.until, new Set(), null, ignoreRegexes);
-  const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+const main = async (options) => {
+  const config = mergeConfig(options, parseConfig(await loadGitConfig()));
+  const { format, color, ticketUrl, interactive, watch } = config;
 
-  const mode = projectMode ? 'project' : (shortMode ? 'short' : 'default');
-  const outputData = { repos: [], mode, days, since: dateRange.sinceStr, until: dateRange.untilStr, duration, startPath };
+  validateOutputOptions(config);
+  const columns = parseColumns(config.columns, Object.keys(DELIMITED_COLUMNS));
 
-  if (repos.length === 0) {
-    if (format === 'text') {
-      console.log(`❌ No active Git repositories found.`);
-    } else if (format === 'json') {
-      console.log(formatAsJSON(outputData));
-    } else if (format === 'markdown') {
-      console.log(formatAsMarkdown(outputData));
-    }
-  } else {
-    if (format === 'text') {
-      console.log(`✅ ${repos.length} active Git repositor${repos.length > 1 ? 'ies' : 'y'} found:\n`);
+  let terminalCaps = detectTerminalCapabilities();
+  if (color === true) terminalCaps = { ...terminalCaps, colors: true };
+  else if (color === false) terminalCaps = { colors: false, truecolor: false, colors256: false, basic: false };
+
+  // Browse the report when both ends are a terminal, print it otherwise
+  const showReport = async (data) => {
+    if (interactive && process.stdin.isTTY && process.stdout.isTTY) {
+      await runInteractiveBrowser(data, { dayNames: DAY_NAMES, terminalCaps, cwd: process.cwd(), ticketUrl });
+    } else {
+      printReport(data);
     }
+  };
 
-    let author = null;
-    if (!shortMode || projectMode) {
-      if (customAuthor) {
-        author = customAuthor;
-        if (format === 'text') console.log(`👤 Filtering commits for author: ${author}\n`);
-      } else {
-        author = await getCurrentUserEmail();
-        if (!author) {
+  // Print the report in the requested format
+  const printReport = (data) => {
+    if (format === 'text') console.log(formatAsText(data, DAY_NAMES, terminalCaps, process.cwd()));
+    else if (format === 'json') console.log(formatAsJSON(data));
+    else if (format === 'markdown') console.log(formatAsMarkdown(data, DAY_NAMES, { ticketUrl }));
+    else if (format === 'html') console.log(formatAsHtml(data, DAY_NAMES, { ticketUrl }));
+    else if (format === 'ics') process.stdout.write(formatAsIcs(data));
+    else if (format === 'csv' || format === 'tsv') console.log(formatAsDelimited(data, { delimiter: format === 'tsv' ? '\t' : ',', columns }));
+  };
+
+  /**
+   * Collect the activity of the active repositories and print the report
+   * @param {Object} [runOptions] - Run options (--watch)
+   * @param {boolean} [runOptions.quiet=false] - Collect without printing anything
+   * @returns {Promise<{outputData: Object, repos: string[]}>} Report data and active repositories
+   */
+  const runReport = async ({ quiet = false } = {}) => {
+    const textOutput = format === 'text' && !quiet;
+    let repos = [];
+
+    const outputData = await collectActivity({
+      ...options,
+      onProgress: (event) => {
+        if (event.type === 'repositories') repos = event.repos;
+        if (event.type === 'unreadable-directory') {
+          console.error(`Error reading ${event.path}:`, event.error.message);
+        }
+        if (event.type === 'missing-author') {
           console.error('⚠️  Unable to retrieve current Git user email');
           console.error('    Make sure git config user.email is configured');
           console.error('    Or use the --author option to specify an author\n');
         }
+        else if (textOutput) {
+          printProgress(event, config);
+        }
       }
+    });
+
+    if (repos.length === 0) {
+      if (!textOutput && !quiet) printReport(outputData);
+    }
+    else if (outputData.commitsByDate && Object.keys(outputData.commitsByDate).length === 0 && !outputData.wip) {
+      if (textOutput) console.log('❌ No commits found for this author in the specified period.\n');
+    }
+    else if (!quiet) {
+      // Project and short modes have nothing to browse
+      if (outputData.commitsByDate || outputData.commitsByAuthor) await showReport(outputData);
+      else printReport(outputData);
     }
 
-    if (!projectMode && !shortMode && author) {
-      const commitsByDateAndRepo = {};
-      const rebaseSummariesByDate = {};
+    if (textOutput) {
+      console.log(`\n⏱️  Execution time: ${outputData.duration}s`);
+    }
 
-      const commitsPromises = repos.map(repo => getUserCommits(repo, author, dateRange.sinceStr, dateRange.untilStr));
-      const allResults = await Promise.all(commitsPromises);
+    return { outputData, repos };
+  };
 
-      allResults.forEach((result, index) => {
-        const repo = repos[index];
+  const report = await runReport();
+  if (watch) await watchReport(runReport, report, terminalCaps);
+};
 
-        for (const commit of result.commits) {
-          if (!commitsByDateAndRepo[commit.date]) commitsByDateAndRepo[commit.date] = {};
-          if (!commitsByDateAndRepo[commit.date][repo]) commitsByDateAndRepo[commit.date][repo] = [];
-          commitsByDateAndRepo[commit.date][repo].push(commit);
-        }
+/**
+ * Keep the report live (--watch)
+ * The report runs again whenever refs of a watched repository move, and every
+ * WATCH_RESCAN_INTERVAL to pick up repositories that became active. On a
+ * terminal the whole report is redrawn; otherwise only new commits are
+ * appended, as a running log.
+ * @param {Function} runReport - Report runner (({ quiet }) => { outputData, repos })
+ * @param {Object} initialReport - First report ({ outputData, repos })
+ * @param {Object} terminalCaps - Terminal color capabilities
+ * @returns {Promise<void>} Resolves once watching started; the process runs until interrupted
+ */
+const watchReport = async (runReport, initialReport, terminalCaps) => {
+  const redraw = Boolean(process.stdout.isTTY);
+  const getKey = ({ repo, commit }) => `${repo}@${commit.fullHash}`;
+  const seen = new Set(listReportCommits(initialReport.outputData).map(getKey));
+  let running = false;
+  let pending = false;
+
+  const printStatus = () => {
+    const count = watcher.size();
+    const updateInfo = redraw ? `, updated at ${new Date().toTimeString().slice(0, 8)}` : '';
+    console.log(`\n👀 Watching ${count} repositor${count !== 1 ? 'ies' : 'y'} for new commits${updateInfo} (Ctrl+C to stop)`);
+  };
+
+  const refresh = async () => {
+    // Changes during a run trigger one more run afterwards
+    if (running) {
+      pending = true;
+      return;
+    }
+    running = true;
+    try {
+      if (redraw) process.stdout.write('\x1b[2J\x1b[H');
+      const { outputData, repos } = await runReport({ quiet: !redraw });
+      await watcher.update(repos);
 
-        for (const summary of result.rebaseSummaries) {
-          if (!rebaseSummariesByDate[summary.commitDate]) rebaseSummariesByDate[summary.commitDate] = {};
-          if (!rebaseSummariesByDate[summary.commitDate][repo]) rebaseSummariesByDate[summary.commitDate][repo] = [];
-          rebaseSummariesByDate[summary.commitDate][repo].push(summary);
+      for (const entry of listReportCommits(outputData)) {
+        if (seen.has(getKey(entry))) continue;
+        seen.add(getKey(entry));
+        if (!redraw) {
+          const authorInfo = entry.author ? ` · 👤 ${entry.author}` : '';
+          console.log(`🆕 ${entry.commit.date} ${formatCommitLine(entry.commit, terminalCaps)} · 📁 ${formatRepoPath(entry.repo, process.cwd())}${authorInfo}`);
         }
-      });
-
-      const dates = Object.keys(commitsByDateAndRepo).sort();
-
-      if (dates.length === 0) {
-        if (format === 'text') console.log('❌ No commits found for this author in the specified period.\n');
-        outputData.author = author;
-        outputData.commitsByDate = {};
-      } else {
-        outputData.author = author;
-        outputData.commitsByDate = commitsByDateAndRepo;
-        outputData.rebaseSummariesByDate = rebaseSummariesByDate;
-        outputData.repos = [...new Set(Object.values(commitsByDateAndRepo).flatMap(dateData => Object.keys(dateData)))];
-
-        if (format === 'text') console.log(formatAsText(outputData, DAY_NAMES, terminalCaps, process.cwd()));
-        else if (format === 'json') console.log(formatAsJSON(outputData));
-        else if (format === 'markdown') console.log(formatAsMarkdown(outputData, DAY_NAMES));
       }
-    }
-    else {
-      const lastCommitDatesPromises = repos.map(repo => getLastCommitDate(repo));
-      const lastCommitDates = await Promise.all(lastCommitDatesPromises);
-
-      let allUserResults = [];
-      if (projectMode && !shortMode && author) {
-        const userCommitsPromises = repos.map(repo => getUserCommits(repo, author, dateRange.sinceStr, dateRange.untilStr));
-        allUserResults = await Promise.all(userCommitsPromises);
+      if (redraw) printStatus();
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+    } finally {
+      running = false;
+      if (pending) {
+        pending = false;
+        refresh();
       }
+    }
+  };
+
+  const watcher = createRepositoryWatcher(refresh);
+  await watcher.update(initialReport.repos);
+  printStatus();
+
+  const interval = setInterval(refresh, WATCH_RESCAN_INTERVAL);
+  process.on('SIGINT', () => {
+    clearInterval(interval);
+    watcher.close();
+    console.log('\n👋 Stopped watching');
+    process.exit(0);
+  });
+};
+
+/**
+ * Build or refresh the repository index of a search root (git did index)
+ * @param {string} path - Search root
+ * @param {Object} options - Command options ({ rebuild, submodules })
+ * @returns {Promise<void>}
+ */
+const indexCommand = async (path, options) => {
+  const config = mergeConfig({ path, submodules: options.submodules }, parseConfig(await loadGitConfig()));
+  const { globalRules, rootRules } = await loadRootIgnoreRules(path, config);
 
-      outputData.repos = repos.map((repo, i) => {
-        const lastCommit = lastCommitDates[i];
-        const lastCommitDate = lastCommit.authorDate || lastCommit.commitDate;
-        return {
-          path: repo,
-          lastCommitDate: formatDate(lastCommitDate),
-          daysAgo: Math.floor((Date.now() - lastCommitDate.getTime()) / MS_PER_DAY),
-          commits: projectMode && !shortMode && author ? allUserResults[i].commits : []
-        };
-      });
-
-      if (format === 'text') console.log(formatAsText(outputData, DAY_NAMES, terminalCaps, process.cwd()));
-      else if (format === 'json') console.log(formatAsJSON(outputData));
-      else if (format === 'markdown') console.log(formatAsMarkdown(outputData, DAY_NAMES));
+  const startTime = Date.now();
+  const { index, rebuilt, refreshed } = await updateRepositoryIndex(path, [...globalRules, ...rootRules], {
+    rebuild: options.rebuild,
+    submodules: config.submodules,
+    maxAge: config.indexMaxAge,
+    onError: (dirPath, error) => console.error(`Error reading ${dirPath}:`, error.message)
+  });
+  const indexPath = getIndexPath(path);
+  if (!await saveRepositoryIndex(index)) throw new Error(`Unable to write the repository index ${indexPath}`);
+  const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+  const repositoryCount = Object.keys(index.repositories).length;
+  const directoryCount = Object.keys(index.directories).length;
+  console.log(`🗂️  ${repositoryCount} repositor${repositoryCount !== 1 ? 'ies' : 'y'} indexed in ${directoryCount} director${directoryCount !== 1 ? 'ies' : 'y'} under ${index.root}`);
+  console.log(rebuilt
+    ? '    Whole tree scanned'
+    : `    ${refreshed} changed director${refreshed !== 1 ? 'ies' : 'y'} refreshed`);
+  console.log(`    Index file: ${indexPath}`);
+  console.log(`\n⏱️  Execution time: ${duration}s`);
+};
+
+/**
+ * Show which ignore rule decides whether paths are ignored (git did check-ignore)
+ * Prints "<ignore file>:<line>:<pattern>\t<path>" for each path matched by a
+ * rule, negations included. Sets exit code 1 if no path is ignored, as
+ * git check-ignore does.
+ * @param {string[]} paths - Paths to check
+ * @param {Object} options - Command options ({ root, nonMatching })
+ * @returns {Promise<void>}
+ * @throws {Error} If a path is outside the search root
+ */
+const checkIgnoreCommand = async (paths, options) => {
+  const root = options.root ?? '.';
+  const config = mergeConfig({ path: root }, parseConfig(await loadGitConfig()));
+  const { globalRules, rootRules } = await loadRootIgnoreRules(root, config);
+
+  let ignoredCount = 0;
+  for (const path of paths) {
+    const relativePath = relative(resolve(root), resolve(path));
+    if (relativePath.startsWith('..') || isAbsolute(relativePath)) {
+      throw new Error(`${path} is outside the search root ${resolve(root)}`);
     }
-  }
+    // Missing paths are checked as directories, the only paths discovery looks at
+    const isDirectory = await statPath(path).then(stats => stats.isDirectory(), () => true);
+    const { ignored, rule, path: matchedPath } = await explainIgnoredPath(root, relativePath, [...globalRules, ...rootRules], isDirectory);
 
-  if (format === 'text') {
-    console.log(`\n⏱️  Execution time: ${duration}s`);
+    if (ignored) ignoredCount++;
+    if (rule) {
+      const parentInfo = matchedPath !== relativePath ? ` (inside ${matchedPath})` : '';
+      console.log(`${rule.source}:${rule.line}:${rule.pattern}\t${path}${parentInfo}`);
+    } else if (options.nonMatching) {
+      console.log(`::\t${path}`);
+    }
   }
+
+  if (ignoredCount === 0) process.exitCode = 1;
 };
 
 // CLI setup with commander
@@ -197,10 +341,37 @@ program
   .argument('[path]', 'Starting path for repository search', '.')
   .option('-p, --project', 'Enable project mode (group by project first, then by date)')
   .option('-s, --short', 'Short mode (only show last commit date without details)')
-  .option('-a, --author <email>', 'Filter commits by author (email or partial name)')
-  .option('-f, --format <type>', 'Output format: text, json, or markdown')
-  .option('--since <date>', 'Start date for activity search (YYYY-MM-DD)')
-  .option('--until <date>', 'End date for activity search (YYYY-MM-DD, default: today)')
+  .option('-a, --author <email>', 'Filter commits by author (email or partial name, repeatable)', collectOption)
+  .option('-t, --team <name>', 'Team mode: per-author report for did.team.<name> members, or a comma-separated author list')
+  .option('-g, --group-by <field>', 'Group commits by field instead of date: ticket, type')
+  .option('-f, --format <type>', 'Output format: text, json, markdown, html, csv, tsv, or ics')
+  .option('--columns <list>', 'Comma-separated columns of csv/tsv output (e.g. date,repo,subject)')
+  .option('--submodules', 'Also look for activity in submodules of found repositories')
+  .option('--reflog', 'Also consider commits only reachable from reflogs')
+  .option('--show-branches', 'Show the branches containing each commit')
+  .option('--branch <pattern>', 'Only show commits contained in matching branches (glob, repeatable)', collectOption)
+  .option('--exclude-branch <pattern>', 'Hide commits only contained in matching branches (glob, repeatable)', collectOption)
+  .option('--no-merges', 'Leave out merge commits')
+  .option('--merges-only', 'Only list merge commits (e.g. pull requests you merged)')
+  .option('--stat', 'Collect per-commit diffstat (files changed, insertions, deletions)')
+  .option('--stats', 'Report aggregate statistics for the period instead of listing commits')
+  .option('--wip', 'Report uncommitted changes, stashes created in the period and unpushed commits')
+  .option('-i, --interactive', 'Browse the report in a keyboard-driven terminal interface (plain output when not a terminal)')
+  .option('-w, --watch', 'Keep running and update the report whenever refs move in a found repository')
+  .option('--heatmap', 'Show a calendar heatmap of commits per day instead of listing commits')
+  .option('--sessions', 'Estimate work sessions and time spent per project (timed events with --format ics)')
+  .option('--session-gap <minutes>', 'Maximum gap between commits of a work session (default: 120)')
+  .option('--session-padding <minutes>', 'Time credited before the first commit of a work session (default: 30)')
+  .option('--standup', 'Report activity since the previous working day (did.workdays, did.holidayFile)')
+  .option('--no-standup', 'Ignore did.standup')
+  .option('--since <date>', 'Start date for activity search (YYYY-MM-DD, YYYY-Www, "yesterday", "last monday", "2 weeks ago", "last sprint"...)')
+  .option('--until <date>', 'End date for activity search (same forms as --since, default: today)')
+  .option('--week [week]', 'Whole calendar week: this (default), last, or a date within it (e.g. 2026-W42)')
+  .option('--month [month]', 'Whole calendar month: this (default), last, or a date within it (e.g. 2026-09)')
+  .option('--timezone <zone>', 'Time zone used to group commits by day and show times (IANA name, e.g. Europe/Paris, UTC)')
+  .option('--show-author-time', "Also show each commit's time in its author's own timezone (with --timezone)")
+  .option('--index', 'Find repositories through the persistent repository index (default)')
+  .option('--no-index', 'Walk the whole directory tree instead of using the repository index')
   .option('--color', 'Force color output (even for non-TTY)')
   .option('--no-color', 'Disable color output')
   .action(async (daysArg, pathArg, options) => {
@@ -213,4 +384,34 @@ program
     }
   });
 
+program
+  .command('index')
+  .description('Build or refresh the persistent repository index of a search root')
+  .argument('[path]', 'Search root', '.')
+  .option('--rebuild', 'Walk the whole tree again instead of re-reading changed directories')
+  .option('--submodules', 'Also index submodules of found repositories')
+  .action(async (pathArg, options) => {
+    try {
+      await indexCommand(pathArg, options);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('check-ignore')
+  .description('Show the .didignore rule matching each path (exit code 1 if no path is ignored)')
+  .argument('<paths...>', 'Paths to check')
+  .option('--root <path>', 'Search root the paths belong to (default: current directory)')
+  .option('-n, --non-matching', 'Also show paths matching no rule')
+  .action(async (paths, options) => {
+    try {
+      await checkIgnoreCommand(paths, options);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
 program.parse();
@@ -0,0 +1,571 @@
+/**
+ * Interactive Browser
+ *
+ * This module provides the keyboard-driven terminal browser of git-did
+ * (--interactive): days, repositories and commits as an expandable tree,
+ * commit details with their diffstat, live text filtering and Markdown
+ * export of a selection. The view is computed by pure functions from a
+ * state object; only runInteractiveBrowser deals with the terminal.
+ *
+ * @module cli/interactive-browser
+ */
+
+import { emitKeypressEvents } from 'node:readline';
+import { spawn } from 'node:child_process';
+import {
+  colorize,
+  ANSI,
+  getHashColor,
+  getMessageColor,
+  getTimeColor,
+  getInsertionsColor,
+  getDeletionsColor
+} from '../shared/display/colors.js';
+import { formatMergeNote, formatRepoPath, formatRewriteNote, formatRewriteSummary, stripAnsi, truncateAnsi } from '../shared/display/text-utils.js';
+import { formatCommitLine, formatStatsSuffix } from '../shared/formatters/format-text.js';
+import { formatCommitsByDate } from '../shared/formatters/format-markdown.js';
+import { getCommitFileStats } from '../core/git-operations.js';
+
+/**
+ * Terminal control sequences
+ */
+const SCREEN = {
+  enter: '\x1b[?1049h\x1b[?25l\x1b[?7l', // Alternate screen, hidden cursor, no line wrapping
+  leave: '\x1b[?7h\x1b[?25h\x1b[?1049l',
+  home: '\x1b[H',
+  clearLine: '\x1b[K',
+  inverse: '\x1b[7m'
+};
+
+/**
+ * Key bindings shown in the footer
+ */
+const HELP = {
+  list: '↑↓ move  ←→ collapse/expand  ⏎ open  space select  / filter  +/- all  y copy Markdown  q quit',
+  filter: 'type to filter  ⏎ keep  esc clear',
+  detail: '↑↓ scroll  ← / esc back  q quit'
+};
+
+/**
+ * Clipboard commands tried in order, by platform
+ */
+const CLIPBOARD_COMMANDS = {
+  darwin: [['pbcopy']],
+  win32: [['clip']],
+  default: [['wl-copy'], ['xclip', '-selection', 'clipboard'], ['xsel', '--clipboard', '--input']]
+};
+
+/**
+ * Build the browser tree from report data
+ *
+ * Default mode gives day → repository → commit nodes, team mode adds author
+ * nodes on top. Commits are in chronological order, after the rebase
+ * summaries of their repository, as in formatDefaultMode.
+ *
+ * @param {Object} data - Report data (commitsByDate, or commitsByAuthor in team mode)
+ * @returns {Array<Object>} Root nodes ({ type, id, children } for branches, { type, id, commit|summary } for leaves)
+ */
+export const buildBrowserTree = (data) => {
+  const buildDays = (commitsByDate, rebaseSummariesByDate = {}, author) => {
+    const prefix = author ? `${author}/` : '';
+    return Object.keys(commitsByDate).sort().map(date => ({
+      type: 'day',
+      id: `${prefix}${date}`,
+      date,
+      children: Object.keys(commitsByDate[date]).map(repo => ({
+        type: 'repo',
+        id: `${prefix}${date}/${repo}`,
+        repo,
+        children: [
+          ...(rebaseSummariesByDate[date]?.[repo] || []).map((summary, index) => ({
+            type: 'rebase',
+            id: `${prefix}${date}/${repo}#${index}`,
+            repo,
+            summary
+          })),
+          ...[...commitsByDate[date][repo]].reverse().map(commit => ({
+            type: 'commit',
+            id: `${prefix}${date}/${repo}@${commit.fullHash}`,
+            date,
+            repo,
+            author,
+            commit
+          }))
+        ]
+      }))
+    }));
+  };
+
+  if (data.commitsByAuthor) {
+    return Object.entries(data.commitsByAuthor).map(([author, commitsByDate]) => ({
+      type: 'author',
+      id: author,
+      author,
+      children: buildDays(commitsByDate, data.rebaseSummariesByAuthor?.[author], author)
+    }));
+  }
+  return buildDays(data.commitsByDate || {}, data.rebaseSummariesByDate);
+};
+
+/**
+ * Check if a leaf node matches a filter query
+ * Commits match on their message, body, hash, repository, tickets and branches.
+ * @param {Object} node - Commit or rebase node
+ * @param {string} query - Filter text (case-insensitive)
+ * @returns {boolean} True if the node matches
+ */
+export const matchesFilter = (node, query) => {
+  if (!query) return true;
+  const needle = query.toLowerCase();
+  const fields = node.commit
+    ? [node.commit.message, node.commit.body, node.commit.hash, node.commit.fullHash, node.repo, ...(node.commit.tickets || []), ...(node.commit.branches || [])]
+    : [node.repo, 'rebased'];
+  return fields.some(field => field && field.toLowerCase().includes(needle));
+};
+
+/**
+ * Keep the nodes containing leaves matching a filter query
+ * @param {Array<Object>} nodes - Tree nodes
+ * @param {string} query - Filter text
+ * @returns {Array<Object>} Pruned tree (the nodes themselves if query is empty)
+ */
+export const filterTree = (nodes, query) => {
+  if (!query) return nodes;
+  return nodes.flatMap(node => {
+    if (!node.children) return matchesFilter(node, query) ? [node] : [];
+    const children = filterTree(node.children, query);
+    return children.length > 0 ? [{ ...node, children }] : [];
+  });
+};
+
+/**
+ * Collect the commit nodes below a node
+ * @param {Object|Array<Object>} nodes - Node or nodes
+ * @returns {Array<Object>} Commit nodes, in tree order
+ */
+export const collectCommitNodes = (nodes) => {
+  return [nodes].flat().flatMap(node => node.type === 'commit' ? [node] : collectCommitNodes(node.children || []));
+};
+
+/**
+ * Flatten the tree into displayed rows
+ * Nodes are expanded if listed in state.expanded, or whenever a filter is active.
+ * @param {Object} state - Browser state
+ * @returns {Array<{node: Object, depth: number}>} Visible rows
+ */
+export const getVisibleRows = (state) => {
+  const flatten = (nodes, depth) => nodes.flatMap(node => {
+    const row = { node, depth };
+    if (!node.children) return [row];
+    const expanded = Boolean(state.query) || state.expanded.has(node.id);
+    return expanded ? [row, ...flatten(node.children, depth + 1)] : [row];
+  });
+  return flatten(filterTree(state.tree, state.query), 0);
+};
+
+/**
+ * Create the initial browser state
+ * The last day of the period (of each author in team mode) starts expanded.
+ * @param {Object} data - Report data
+ * @returns {Object} Browser state
+ */
+export const createBrowserState = (data) => {
+  const tree = buildBrowserTree(data);
+  const expanded = new Set();
+  const expandLastDay = days => {
+    const lastDay = days[days.length - 1];
+    if (!lastDay) return;
+    expanded.add(lastDay.id);
+    lastDay.children.forEach(repo => expanded.add(repo.id));
+  };
+
+  if (tree[0]?.type === 'author') {
+    tree.forEach(author => {
+      expanded.add(author.id);
+      expandLastDay(author.children);
+    });
+  } else {
+    expandLastDay(tree);
+  }
+
+  return {
+    tree,
+    expanded,
+    selected: new Set(),
+    cursor: 0,
+    scroll: 0,
+    query: '',
+    filtering: false,
+    detail: null,
+    status: ''
+  };
+};
+
+/**
+ * Get all branch node ids of a tree
+ * @param {Array<Object>} nodes - Tree nodes
+ * @returns {Array<string>} Ids of nodes with children
+ */
+const getBranchIds = (nodes) => nodes.flatMap(node => node.children ? [node.id, ...getBranchIds(node.children)] : []);
+
+/**
+ * Apply a key press to the browser state
+ *
+ * @param {Object} state - Browser state
+ * @param {string} [str] - Character typed, if any
+ * @param {Object} [key] - Key description from readline keypress events ({ name, ctrl, meta })
+ * @param {number} [pageSize=10] - Rows moved by page up/down
+ * @returns {[Object, string|null]} Next state, and the effect to run: 'quit', 'copy', 'details' or null
+ */
+export const handleBrowserKey = (state, str, key = {}, pageSize = 10) => {
+  const next = { ...state, status: '' };
+  if (key.ctrl && key.name === 'c') return [next, 'quit'];
+
+  // Commit details
+  if (state.detail) {
+    const scroll = offset => [{ ...next, detail: { ...state.detail, scroll: Math.max(0, state.detail.scroll + offset) } }, null];
+    if (['escape', 'left', 'return', 'backspace'].includes(key.name) || str === 'h') return [{ ...next, detail: null }, null];
+    if (str === 'q') return [next, 'quit'];
+    if (key.name === 'up' || str === 'k') return scroll(-1);
+    if (key.name === 'down' || str === 'j') return scroll(1);
+    if (key.name === 'pageup') return scroll(-pageSize);
+    if (key.name === 'pagedown') return scroll(pageSize);
+    return [next, null];
+  }
+
+  // Filter input: printable characters edit the query, navigation keys still work
+  if (state.filtering) {
+    if (key.name === 'escape') return [{ ...next, filtering: false, query: '', cursor: 0 }, null];
+    if (key.name === 'return') return [{ ...next, filtering: false }, null];
+    if (key.name === 'backspace') return [{ ...next, query: state.query.slice(0, -1), cursor: 0 }, null];
+    if (str && str.length === 1 && str >= ' ' && !key.ctrl && !key.meta) return [{ ...next, query: state.query + str, cursor: 0 }, null];
+  }
+
+  const rows = getVisibleRows(state);
+  const row = rows[state.cursor];
+  const move = cursor => [{ ...next, cursor: Math.max(0, Math.min(rows.length - 1, cursor)) }, null];
+  const setExpanded = (id, expand) => {
+    const expanded = new Set(state.expanded);
+    if (expand) expanded.add(id);
+    else expanded.delete(id);
+    return { ...next, expanded };
+  };
+  const isExpanded = node => Boolean(state.query) || state.expanded.has(node.id);
+
+  if (key.name === 'up' || str === 'k') return move(state.cursor - 1);
+  if (key.name === 'down' || str === 'j') return move(state.cursor + 1);
+  if (key.name === 'pageup') return move(state.cursor - pageSize);
+  if (key.name === 'pagedown') return move(state.cursor + pageSize);
+  if (key.name === 'home' || str === 'g') return move(0);
+  if (key.name === 'end' || str === 'G') return move(rows.length - 1);
+  if (str === 'q') return [next, 'quit'];
+  if (str === '/') return [{ ...next, filtering: true }, null];
+  if (key.name === 'escape') return [state.query ? { ...next, query: '', cursor: 0 } : next, null];
+  if (str === 'y') return [next, 'copy'];
+  if (str === '+') return [{ ...next, expanded: new Set(getBranchIds(state.tree)) }, null];
+  if (str === '-') return [{ ...next, expanded: new Set(), cursor: 0 }, null];
+  if (!row) return [next, null];
+
+  if (key.name === 'right' || str === 'l') {
+    if (!row.node.children) return [next, null];
+    return isExpanded(row.node) ? move(state.cursor + 1) : [setExpanded(row.node.id, true), null];
+  }
+  if (key.name === 'left' || str === 'h') {
+    if (row.node.children && isExpanded(row.node) && !state.query) return [setExpanded(row.node.id, false), null];
+    const parent = rows.slice(0, state.cursor).findLastIndex(candidate => candidate.depth < row.depth);
+    return parent === -1 ? [next, null] : move(parent);
+  }
+  if (key.name === 'return') {
+    if (row.node.type === 'commit') return [{ ...next, detail: { node: row.node, files: null, scroll: 0 } }, 'details'];
+    if (row.node.children) return [setExpanded(row.node.id, !isExpanded(row.node)), null];
+  }
+  if (key.name === 'space' || str === ' ') {
+    const ids = collectCommitNodes(filterTree([row.node], state.query)).map(node => node.id);
+    const selected = new Set(state.selected);
+    const allSelected = ids.length > 0 && ids.every(id => selected.has(id));
+    ids.forEach(id => allSelected ? selected.delete(id) : selected.add(id));
+    return [{ ...next, selected }, null];
+  }
+
+  return [next, null];
+};
+
+/**
+ * Get the commit nodes exported by 'y': the selection, or every visible commit without one
+ * @param {Object} state - Browser state
+ * @returns {Array<Object>} Commit nodes
+ */
+export const getExportedCommitNodes = (state) => {
+  const matching = collectCommitNodes(filterTree(state.tree, state.query));
+  return state.selected.size > 0 ? collectCommitNodes(state.tree).filter(node => state.selected.has(node.id)) : matching;
+};
+
+/**
+ * Format commit nodes as Markdown, laid out like the Markdown report
+ * @param {Array<Object>} nodes - Commit nodes
+ * @param {Array<string>} dayNames - Array of day names
+ * @param {Object} [options] - Formatting options (see formatCommitList)
+ * @returns {string} Markdown sections (per author in team mode, then per date and repository)
+ */
+export const formatCommitNodesAsMarkdown = (nodes, dayNames, options = {}) => {
+  const commitsByAuthor = new Map();
+  for (const node of nodes) {
+    if (!commitsByAuthor.has(node.author)) commitsByAuthor.set(node.author, {});
+    const commitsByDate = commitsByAuthor.get(node.author);
+    if (!commitsByDate[node.date]) commitsByDate[node.date] = {};
+    // Markdown lists expect git log order (newest first)
+    (commitsByDate[node.date][node.repo] ??= []).unshift(node.commit);
+  }
+
+  return [...commitsByAuthor.entries()]
+    .map(([author, commitsByDate]) => author
+      ? `## ${author}\n\n${formatCommitsByDate(commitsByDate, {}, dayNames, 3, options)}`
+      : formatCommitsByDate(commitsByDate, {}, dayNames, 2, options))
+    .join('')
+    .trimEnd() + '\n';
+};
+
+/**
+ * Format the label of a tree row
+ * @param {Object} node - Tree node
+ * @param {Object} state - Browser state
+ * @param {Object} context - Rendering context ({ dayNames, terminalCaps, cwd })
+ * @returns {string} Colored label
+ */
+const formatRowLabel = (node, state, context) => {
+  const { dayNames, terminalCaps, cwd } = context;
+
+  if (node.type === 'commit') {
+    const mark = state.selected.has(node.id) ? colorize('●', getInsertionsColor(terminalCaps), terminalCaps) : ' ';
+    return `${mark} ${formatCommitLine(node.commit, terminalCaps)}`;
+  }
+  if (node.type === 'rebase') {
+    const { summary } = node;
+    const time = colorize(summary.commitTime, getTimeColor(summary.commitTime, terminalCaps), terminalCaps);
+    return `  ${time} ${colorize('⟲', ANSI.rgb(255, 165, 0), terminalCaps)} ${colorize(formatRewriteSummary(summary), getMessageColor(terminalCaps), terminalCaps)}`;
+  }
+
+  const commits = collectCommitNodes(node);
+  const selectedCount = commits.filter(commit => state.selected.has(commit.id)).length;
+  const mark = selectedCount === 0 ? ' ' : (selectedCount === commits.length ? '●' : '◐');
+  const arrow = state.query || state.expanded.has(node.id) ? '▾' : '▸';
+  const count = colorize(`· ${commits.length} commit${commits.length !== 1 ? 's' : ''}`, getMessageColor(terminalCaps), terminalCaps);
+  const name = node.type === 'day'
+    ? `${node.date} (${dayNames[new Date(node.date).getDay()]})`
+    : (node.type === 'repo' ? formatRepoPath(node.repo, cwd) : node.author);
+  return `${colorize(mark, getInsertionsColor(terminalCaps), terminalCaps)} ${arrow} ${name} ${count}`;
+};
+
+/**
+ * Format the detail lines of a commit
+ * @param {Object} detail - Detail view state ({ node, files })
+ * @param {Object} terminalCaps - Terminal color capabilities
+ * @param {string} cwd - Current working directory for path formatting
+ * @returns {Array<string>} Lines
+ */
+const formatDetailLines = (detail, terminalCaps, cwd) => {
+  const { node, files } = detail;
+  const { commit } = node;
+  const lines = [
+    `commit ${colorize(commit.fullHash, getHashColor(terminalCaps), terminalCaps)}`,
+    `Repository: ${formatRepoPath(node.repo, cwd)}`,
+    `Author:     ${commit.authorName} <${commit.authorEmail}>`,
+    `Date:       ${commit.date} ${commit.time}${commit.isRebase ? ` (committed ${commit.commitDate} ${commit.commitTime})` : ''}`
+  ];
+  if (commit.branches?.length) lines.push(`Branches:   ${commit.branches.join(', ')}`);
+  const rewriteNote = formatRewriteNote(commit);
+  if (rewriteNote) lines.push(`Rewritten:  ${rewriteNote}`);
+  const mergeNote = formatMergeNote(commit);
+  if (mergeNote) lines.push(`Merge:      ${mergeNote}`);
+  if (commit.tickets?.length) lines.push(`Tickets:    ${commit.tickets.join(', ')}`);
+
+  lines.push('', `    ${commit.message}`);
+  if (commit.body) lines.push('', ...commit.body.split('\n').map(line => `    ${line}`));
+  lines.push('');
+
+  if (files === null) {
+    lines.push(colorize('Loading diffstat…', getMessageColor(terminalCaps), terminalCaps));
+  } else if (files.length === 0) {
+    lines.push(colorize('No file changes', getMessageColor(terminalCaps), terminalCaps));
+  } else {
+    const totals = files.reduce((sum, file) => ({ insertions: sum.insertions + file.insertions, deletions: sum.deletions + file.deletions }), { insertions: 0, deletions: 0 });
+    lines.push(`${files.length} file${files.length !== 1 ? 's' : ''} changed${formatStatsSuffix(totals, terminalCaps)}`);
+    const width = Math.max(...files.map(file => `+${file.insertions}`.length));
+    for (const file of files) {
+      const insertions = colorize(`+${file.insertions}`.padStart(width), getInsertionsColor(terminalCaps), terminalCaps);
+      const deletions = colorize(`-${file.deletions}`, getDeletionsColor(terminalCaps), terminalCaps);
+      const changes = file.binary ? colorize('binary'.padStart(width), getMessageColor(terminalCaps), terminalCaps) : `${insertions} ${deletions}`;
+      lines.push(`  ${changes}  ${file.path}`);
+    }
+  }
+
+  return lines;
+};
+
+/**
+ * Get the number of list rows fitting on screen
+ * @param {number} height - Terminal height
+ * @returns {number} List height (screen minus header and footer lines)
+ */
+export const getListHeight = (height) => Math.max(1, height - 3);
+
+/**
+ * Keep the cursor inside the scrolled window
+ * @param {Object} state - Browser state
+ * @param {number} height - Terminal height
+ * @returns {Object} State with cursor and scroll adjusted
+ */
+export const clampScroll = (state, height) => {
+  const listHeight = getListHeight(height);
+  const rowCount = getVisibleRows(state).length;
+  const cursor = Math.max(0, Math.min(state.cursor, rowCount - 1));
+  let scroll = Math.min(state.scroll, Math.max(0, rowCount - listHeight));
+  if (cursor < scroll) scroll = cursor;
+  if (cursor >= scroll + listHeight) scroll = cursor - listHeight + 1;
+  return { ...state, cursor, scroll };
+};
+
+/**
+ * Render the browser screen
+ *
+ * @param {Object} state - Browser state (see clampScroll)
+ * @param {Object} context - Rendering context
+ * @param {Array<string>} context.dayNames - Array of day names
+ * @param {Object} context.terminalCaps - Terminal color capabilities
+ * @param {string} context.cwd - Current working directory for path formatting
+ * @param {number} context.width - Terminal width
+ * @param {number} context.height - Terminal height
+ * @returns {string} Screen content, one line per terminal row
+ */
+export const renderBrowser = (state, context) => {
+  const { terminalCaps, cwd, width, height } = context;
+  const listHeight = getListHeight(height);
+  const total = collectCommitNodes(state.tree).length;
+  const rows = getVisibleRows(state);
+
+  let header = `git did · ${total} commit${total !== 1 ? 's' : ''}`;
+  if (state.query || state.filtering) {
+    const matching = collectCommitNodes(filterTree(state.tree, state.query)).length;
+    header += ` · filter: ${state.query}${state.filtering ? '▏' : ''} (${matching} matching)`;
+  }
+  if (state.selected.size > 0) header += ` · ${state.selected.size} selected`;
+
+  let body;
+  if (state.detail) {
+    body = formatDetailLines(state.detail, terminalCaps, cwd).slice(state.detail.scroll, state.detail.scroll + listHeight);
+  } else if (rows.length === 0) {
+    body = [colorize(state.query ? '  No commits match the filter.' : '  No commits in the specified period.', getMessageColor(terminalCaps), terminalCaps)];
+  } else {
+    body = rows.slice(state.scroll, state.scroll + listHeight).map(({ node, depth }, index) => {
+      const line = `${'  '.repeat(depth)}${formatRowLabel(node, state, context)}`;
+      return state.scroll + index === state.cursor
+        ? `${SCREEN.inverse}${truncateAnsi(stripAnsi(line).padEnd(width), width)}${ANSI.reset}`
+        : line;
+    });
+  }
+
+  const footer = state.status || HELP[state.detail ? 'detail' : (state.filtering ? 'filter' : 'list')];
+  const lines = [
+    `${SCREEN.inverse}${truncateAnsi(` ${header}`.padEnd(width), width)}${ANSI.reset}`,
+    ...body,
+    ...Array(Math.max(0, listHeight - body.length)).fill(''),
+    '',
+    colorize(footer, getMessageColor(terminalCaps), terminalCaps)
+  ];
+  return lines.map(line => `${truncateAnsi(line, width)}${SCREEN.clearLine}`).join('\n');
+};
+
+/**
+ * Run a clipboard command
+ * @param {Array<string>} command - Command and arguments
+ * @param {string} text - Text written to its standard input
+ * @returns {Promise<boolean>} True if the command succeeded
+ */
+const runClipboardCommand = ([command, ...args], text) => new Promise(resolve => {
+  const child = spawn(command, args, { stdio: ['pipe', 'ignore', 'ignore'] });
+  child.on('error', () => resolve(false));
+  child.on('close', code => resolve(code === 0));
+  child.stdin.on('error', () => {});
+  child.stdin.end(text);
+});
+
+/**
+ * Copy text to the clipboard
+ * Falls back to the OSC 52 terminal escape sequence when no clipboard command works.
+ * @param {string} text - Text to copy
+ * @param {Object} output - Terminal output stream
+ * @returns {Promise<string>} 'clipboard' or 'terminal' (OSC 52)
+ */
+export const copyToClipboard = async (text, output) => {
+  for (const command of CLIPBOARD_COMMANDS[process.platform] ?? CLIPBOARD_COMMANDS.default) {
+    if (await runClipboardCommand(command, text)) return 'clipboard';
+  }
+  output.write(`\x1b]52;c;${Buffer.from(text).toString('base64')}\x07`);
+  return 'terminal';
+};
+
+/**
+ * Run the interactive browser until the user quits
+ *
+ * @param {Object} data - Report data (default or team mode)
+ * @param {Object} options - Browser options
+ * @param {Array<string>} options.dayNames - Array of day names
+ * @param {Object} options.terminalCaps - Terminal color capabilities
+ * @param {string} options.cwd - Current working directory for path formatting
+ * @param {string} [options.ticketUrl] - Ticket URL template for Markdown export
+ * @param {Object} [options.input=process.stdin] - Terminal input (a TTY)
+ * @param {Object} [options.output=process.stdout] - Terminal output (a TTY)
+ * @returns {Promise<void>} Resolves when the browser is closed
+ */
+export const runInteractiveBrowser = (data, options) => new Promise(resolve => {
+  const { dayNames, terminalCaps, cwd, ticketUrl, input = process.stdin, output = process.stdout } = options;
+  let state = createBrowserState(data);
+
+  const getContext = () => ({ dayNames, terminalCaps, cwd, width: output.columns || 80, height: output.rows || 24 });
+  const draw = () => {
+    const context = getContext();
+    state = clampScroll(state, context.height);
+    output.write(`${SCREEN.home}${renderBrowser(state, context)}`);
+  };
+
+  const close = () => {
+    input.off('keypress', onKeypress);
+    output.off('resize', draw);
+    input.setRawMode(false);
+    input.pause();
+    output.write(SCREEN.leave);
+    resolve();
+  };
+
+  const onKeypress = async (str, key) => {
+    const [next, effect] = handleBrowserKey(state, str, key, getListHeight(getContext().height));
+    state = next;
+
+    if (effect === 'quit') return close();
+    if (effect === 'copy') {
+      const nodes = getExportedCommitNodes(state);
+      if (nodes.length === 0) {
+        state = { ...state, status: 'Nothing to copy' };
+      } else {
+        const target = await copyToClipboard(formatCommitNodesAsMarkdown(nodes, dayNames, { ticketUrl }), output);
+        state = { ...state, status: `Copied ${nodes.length} commit${nodes.length !== 1 ? 's' : ''} as Markdown${target === 'terminal' ? ' (through the terminal)' : ''}` };
+      }
+    }
+    if (effect === 'details') {
+      const { detail } = state;
+      draw();
+      const files = await getCommitFileStats(detail.node.repo, detail.node.commit.fullHash);
+      // The user may have left the details while they were loading
+      if (state.detail?.node === detail.node) state = { ...state, detail: { ...state.detail, files } };
+    }
+    draw();
+  };
+
+  emitKeypressEvents(input);
+  input.setRawMode(true);
+  input.resume();
+  input.on('keypress', onKeypress);
+  output.on('resize', draw);
+  output.write(SCREEN.enter);
+  draw();
+});
@@ -1,46 +1,49 @@
 /**
  * CLI Options Parser
  *
- * This module handles command-line argument parsing and configuration merging.
- * Pure functions that process CLI arguments and git config.
+ * This module handles command-line argument parsing: positional arguments,
+ * repeatable options and output options. Report options are merged with the
+ * git configuration and validated by core/report-options.
  *
  * @module cli/options-parser
  */
 
+import { InvalidOptionError } from '../shared/types/errors.js';
+
 /**
- * Merge CLI options with git configuration
+ * Parse a --columns value
  *
- * CLI options take priority over git config values.
- * Provides sensible defaults for all configuration options.
+ * @param {string} [value] - Comma-separated column names
+ * @param {string[]} supportedColumns - Available column names
+ * @returns {string[]|undefined} Column names, or undefined if not set
+ * @throws {InvalidOptionError} If a column is not supported
  *
- * @param {Object} cliOptions - Options from command line
- * @param {Object} gitConfig - Parsed git config values
- * @returns {Object} Merged configuration
+ * @example
+ * parseColumns('date, repo,subject', ['repo', 'date', 'subject']);
+ * // => ['date', 'repo', 'subject']
  */
-export const mergeConfig = (cliOptions, gitConfig) => {
-  const config = {
-    path: cliOptions.path,
-    days: cliOptions.days ?? gitConfig.defaultDays ?? 7,
-    since: cliOptions.since,
-    until: cliOptions.until,
-    project: cliOptions.project ?? (gitConfig.defaultMode === 'project'),
-    short: cliOptions.short ?? (gitConfig.defaultMode === 'short'),
-    author: cliOptions.author ?? gitConfig.defaultAuthor,
-    format: cliOptions.format ?? gitConfig.defaultFormat ?? 'text',
-    color: cliOptions.color
-  };
-
-  // Handle colors config: 'auto', 'always', 'never'
-  if (gitConfig.colors && config.color === undefined) {
-    if (gitConfig.colors === 'always') {
-      config.color = true;
-    } else if (gitConfig.colors === 'never') {
-      config.color = false;
-    }
-    // 'auto' is the default behavior (undefined)
+export const parseColumns = (value, supportedColumns) => {
+  if (!value) return undefined;
+  const columns = value.split(',').map(column => column.trim()).filter(Boolean);
+  const unknown = columns.filter(column => !supportedColumns.includes(column));
+  if (unknown.length > 0) {
+    throw new InvalidOptionError(`Invalid --columns value "${unknown.join(', ')}". Supported columns: ${supportedColumns.join(', ')}`, { option: '--columns' });
   }
+  return columns;
+};
 
-  return config;
+/**
+ * Collect a repeatable option value
+ *
+ * Used as commander option parser so that `--author a --author b`
+ * yields ['a', 'b'].
+ *
+ * @param {string} value - Option value
+ * @param {string[]} [previous] - Values collected so far
+ * @returns {string[]} Collected values
+ */
+export const collectOption = (value, previous) => {
+  return [...(previous ?? []), value];
 };
 
 /**
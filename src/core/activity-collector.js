@@ -0,0 +1,332 @@
+/**
+ * Activity collection
+ *
+ * Finds the active repositories of a search root and collects their activity
+ * into the report data the formatters take, in any mode (default, project,
+ * short, team). This is the library entry point behind the CLI: nothing is
+ * printed and invalid options are thrown as InvalidOptionError; callers
+ * follow the progress of a run through the onProgress callback.
+ *
+ * @module core/activity-collector
+ */
+
+import { join } from 'node:path';
+import {
+  MS_PER_DAY,
+  formatDate,
+  calculateDateRange,
+  calculatePeriodRange
+} from '../shared/display/date-utils.js';
+import { IGNORE_FILE_NAME, loadIgnoreRules } from '../utils/file-patterns.js';
+import { calculateStandupRange, parseHolidayFile } from '../utils/working-days.js';
+import { getZonedDateTime, isValidTimeZone, toZonedDateRange } from '../utils/timezone.js';
+import { computeStatsTotals, sumCommitStats } from '../utils/commit-stats.js';
+import { InvalidOptionError } from '../shared/types/errors.js';
+import {
+  getLastCommitDate,
+  getUserCommits,
+  getWorkInProgress,
+  findActiveGitRepos
+} from './git-operations.js';
+import { normalizeAuthors } from './author-identity.js';
+import { findActiveIndexedRepos, saveRepositoryIndex, updateRepositoryIndex } from './repository-index.js';
+import {
+  OTHER_TYPE_KEY,
+  compareCommitTypeKeys,
+  getCommitTypeKeys,
+  groupCommitsByKey,
+  groupResultsByAuthor,
+  groupResultsByDateAndRepo
+} from './activity-grouping.js';
+import { NO_TICKET_KEY } from './ticket-extraction.js';
+import { estimateSessionsByDate } from './session-estimator.js';
+import { computeActivityStats } from './activity-stats.js';
+import { buildActivityHeatmap } from './activity-heatmap.js';
+import { getCurrentUserEmail, getTeamMembers, loadGitConfig, parseConfig } from './git-config.js';
+import { mergeConfig, parseDays, parseGroupBy, parseMinutes, parseTeamMembers } from './report-options.js';
+
+/**
+ * Load the rules of the global ignore file (did.ignoreFile) and of the search root's .didignore
+ * Nested .didignore files are read during discovery.
+ * @param {string} path - Search root
+ * @param {Object} config - Merged configuration
+ * @returns {Promise<{globalRules: Array<Object>, rootRules: Array<Object>}>} Rules of each file
+ */
+export const loadRootIgnoreRules = async (path, config) => ({
+  globalRules: config.ignoreFile ? await loadIgnoreRules(config.ignoreFile) : [],
+  rootRules: await loadIgnoreRules(join(path, IGNORE_FILE_NAME))
+});
+
+/**
+ * Check that the options of a report can be combined
+ * @param {Object} config - Merged configuration
+ * @returns {void}
+ * @throws {InvalidOptionError} If options conflict
+ */
+const validateOptions = (config) => {
+  const { standup, week, month, since, until, project, short, team, groupBy, stats, heatmap, noMerges, mergesOnly } = config;
+
+  const periodOptions = [standup && '--standup', week && '--week', month && '--month'].filter(Boolean);
+  if (periodOptions.length > 1) throw new InvalidOptionError(`${periodOptions.join(' and ')} cannot be combined`, { option: periodOptions[0] });
+  if (periodOptions.length > 0 && (since || until)) throw new InvalidOptionError(`${periodOptions[0]} cannot be combined with --since or --until`, { option: periodOptions[0] });
+
+  if (team) {
+    if (project || short) throw new InvalidOptionError('--team cannot be combined with --project or --short', { option: '--team' });
+    if (groupBy) throw new InvalidOptionError('--team cannot be combined with --group-by', { option: '--team' });
+  }
+  if (stats) {
+    if (project || short) throw new InvalidOptionError('--stats cannot be combined with --project or --short', { option: '--stats' });
+    if (groupBy) throw new InvalidOptionError('--stats cannot be combined with --group-by', { option: '--stats' });
+  }
+  if (heatmap) {
+    if (stats) throw new InvalidOptionError('--heatmap and --stats cannot be combined', { option: '--heatmap' });
+    if (project || short) throw new InvalidOptionError('--heatmap cannot be combined with --project or --short', { option: '--heatmap' });
+    if (groupBy) throw new InvalidOptionError('--heatmap cannot be combined with --group-by', { option: '--heatmap' });
+  }
+  if (noMerges && mergesOnly) throw new InvalidOptionError('--no-merges and --merges-only cannot be combined', { option: '--merges-only' });
+};
+
+/**
+ * Resolve the period of a report from the current time
+ * @param {Object} config - Merged configuration
+ * @returns {Promise<Object>} Date range ({ since, until, sinceStr, untilStr, days })
+ * @throws {InvalidOptionError} If a date expression or the time zone is invalid
+ * @throws {ConfigurationError} If the holiday file cannot be used
+ */
+const resolveDateRange = async (config) => {
+  const { standup, week, month, days, since, until, timezone: timeZone } = config;
+  const dateOptions = { sprintLength: config.sprintLength, sprintStart: config.sprintStart };
+
+  let range;
+  if (standup) {
+    const holidays = config.holidayFile ? await parseHolidayFile(config.holidayFile) : undefined;
+    range = calculateStandupRange(new Date(), { workdays: config.workdays, holidays });
+  } else if (week || month) {
+    range = calculatePeriodRange(week ? 'week' : 'month', week ?? month, dateOptions);
+  } else {
+    range = calculateDateRange(days, since, until, dateOptions);
+  }
+
+  if (timeZone) {
+    if (!isValidTimeZone(timeZone)) {
+      throw new InvalidOptionError(`Unknown time zone "${timeZone}". Use an IANA name such as "Europe/Paris" or "UTC"`, { option: '--timezone' });
+    }
+    // Boundaries computed from the current instant take their date in the zone
+    range = toZonedDateRange(range, timeZone, {
+      sinceIsInstant: !standup && !week && !month && !since,
+      untilIsInstant: !until && !week && !month
+    });
+  }
+  return range;
+};
+
+/**
+ * Collect the activity of the repositories found under a search root
+ *
+ * Options have the names of the CLI options (camelCase), and the did.* git
+ * configuration provides their defaults, as for the CLI. Output options
+ * (format, color, columns, interactive, watch) are left to the caller.
+ * The period is resolved from the current time on each call.
+ *
+ * @param {Object} [options] - Collection options
+ * @param {string} [options.path='.'] - Search root
+ * @param {number} [options.days] - Number of days to look back (default: did.defaultDays, or 7)
+ * @param {string} [options.since] - Start date expression (e.g. "2025-11-17", "last monday")
+ * @param {string} [options.until] - End date expression
+ * @param {string|boolean} [options.week] - Whole calendar week ("this", "last" or a date within it)
+ * @param {string|boolean} [options.month] - Whole calendar month ("this", "last" or a date within it)
+ * @param {boolean} [options.standup] - Activity since the previous working day
+ * @param {boolean} [options.project] - Project mode
+ * @param {boolean} [options.short] - Short mode
+ * @param {string|string[]} [options.author] - Author patterns (default: did.author, or git user.email)
+ * @param {string} [options.team] - did.team.<name> name, or comma-separated author patterns
+ * @param {string} [options.groupBy] - Group commits by "ticket" or "type"
+ * @param {boolean} [options.stat] - Per-commit diffstat
+ * @param {boolean} [options.stats] - Aggregate statistics
+ * @param {boolean} [options.heatmap] - Calendar heatmap
+ * @param {boolean} [options.sessions] - Estimated work sessions
+ * @param {boolean} [options.wip] - Pending work
+ * @param {boolean} [options.merges] - false to leave out merge commits
+ * @param {boolean} [options.mergesOnly] - Only list merge commits
+ * @param {string} [options.timezone] - IANA time zone for day grouping and times
+ * @param {Function} [options.onProgress] - Called with each step of the run: { type: 'search', startPath,
+ *   dateRange, globalRules, rootRules }, { type: 'repositories', repos, duration },
+ *   { type: 'team', name, members }, { type: 'authors', authors }, { type: 'missing-author' }
+ *   when no author is given and git user.email is not set, and { type: 'unreadable-directory', path, error }
+ *   for each directory of the search root that cannot be read (skipped)
+ * @returns {Promise<Object>} Report data, as taken by the formatters
+ * @throws {InvalidOptionError} If an option is invalid (e.g. days is not a whole number) or options conflict
+ * @throws {ConfigurationError} If the holiday file cannot be used
+ * @example
+ * const data = await collectActivity({ path: '~/projects', days: 7, author: 'me@example.com' });
+ * console.log(formatAsMarkdown(data, DAY_NAMES));
+ */
+export const collectActivity = async (options = {}) => {
+  const { onProgress = () => {} } = options;
+  const config = mergeConfig({ ...options, path: options.path ?? '.' }, parseConfig(await loadGitConfig()));
+  const { path: startPath, project: projectMode, short: shortMode, author: customAuthor, submodules, reflog, team, stat, showBranches, branch, excludeBranch, ticketPattern, sessions, timezone: timeZone, showAuthorTime, stats: statsMode, heatmap, wip, noMerges, mergesOnly } = config;
+
+  const days = parseDays(config.days);
+  validateOptions(config);
+  const dateRange = await resolveDateRange({ ...config, days });
+  const groupBy = parseGroupBy(config.groupBy);
+  const sessionOptions = {
+    maxGap: parseMinutes(config.sessionGap, '--session-gap'),
+    padding: parseMinutes(config.sessionPadding, '--session-padding', { allowZero: true })
+  };
+  const commitOptions = {
+    reflog,
+    stats: stat,
+    branches: showBranches,
+    branchFilters: { include: branch ?? [], exclude: excludeBranch ?? [] },
+    ticketPattern,
+    timeZone,
+    showAuthorTime,
+    merges: mergesOnly ? 'only' : (noMerges ? 'exclude' : 'all')
+  };
+
+  const { globalRules, rootRules } = await loadRootIgnoreRules(startPath, config);
+  const ignoreRules = [...globalRules, ...rootRules];
+  onProgress({ type: 'search', startPath, dateRange, globalRules, rootRules });
+
+  const startTime = Date.now();
+  const onError = (path, error) => onProgress({ type: 'unreadable-directory', path, error });
+  let repos;
+  if (config.index) {
+    const { index } = await updateRepositoryIndex(startPath, ignoreRules, { submodules, maxAge: config.indexMaxAge, onError });
+    repos = await findActiveIndexedRepos(index, startPath, dateRange.since, dateRange.until, { reflog });
+    await saveRepositoryIndex(index);
+  } else {
+    repos = await findActiveGitRepos(startPath, dateRange.since, dateRange.until, new Set(), null, ignoreRules, { submodules, reflog, onError });
+  }
+  const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+  onProgress({ type: 'repositories', repos, duration });
+
+  // Team members come from did.team.<name>, or from an inline comma-separated list
+  let members = [];
+  let teamName = null;
+  if (team) {
+    members = await getTeamMembers(team);
+    if (members.length > 0) teamName = team;
+    else members = parseTeamMembers(team);
+  }
+  const teamMode = members.length > 0;
+
+  const mode = teamMode ? 'team' : (projectMode ? 'project' : (shortMode ? 'short' : 'default'));
+  const outputData = { repos: [], mode, days: dateRange.days ?? days, since: dateRange.sinceStr, until: dateRange.untilStr, duration, startPath };
+  if (timeZone) outputData.timeZone = timeZone;
+  if (repos.length === 0) return outputData;
+
+  let authors = [];
+  if (teamMode) {
+    onProgress({ type: 'team', name: teamName, members });
+  }
+  else if (!shortMode || projectMode) {
+    if (customAuthor) {
+      authors = normalizeAuthors(customAuthor);
+      onProgress({ type: 'authors', authors });
+    } else {
+      const email = await getCurrentUserEmail();
+      if (email) authors = [email];
+      else onProgress({ type: 'missing-author' });
+    }
+  }
+  const author = authors.length > 0 ? authors.join(', ') : null;
+
+  // Pending work (--wip): repositories without any are left out of the section,
+  // unpushed commits are those of the reported authors
+  const wipOptions = { timeZone, authors: teamMode ? members : authors };
+  const wipResults = wip
+    ? await Promise.all(repos.map(repo => getWorkInProgress(repo, dateRange.sinceStr, dateRange.untilStr, wipOptions)))
+    : [];
+  const wipEntries = repos.map((repo, i) => wipResults[i] && { repo, ...wipResults[i] }).filter(Boolean);
+
+  if (teamMode) {
+    const allResults = await Promise.all(repos.map(repo => getUserCommits(repo, members, dateRange.sinceStr, dateRange.untilStr, commitOptions)));
+    const { commitsByAuthor, rebaseSummariesByAuthor } = groupResultsByAuthor(allResults, repos, members);
+
+    outputData.team = { name: teamName, members };
+    outputData.commitsByAuthor = commitsByAuthor;
+    outputData.rebaseSummariesByAuthor = rebaseSummariesByAuthor;
+    if (stat) {
+      outputData.statsTotalsByAuthor = Object.fromEntries(
+        Object.entries(commitsByAuthor).map(([member, commitsByDate]) => [member, computeStatsTotals(commitsByDate)])
+      );
+    }
+    if (sessions) {
+      outputData.sessionsByAuthor = Object.fromEntries(
+        Object.entries(commitsByAuthor).map(([member, commitsByDate]) => [member, estimateSessionsByDate(commitsByDate, sessionOptions)])
+      );
+    }
+    if (heatmap) {
+      outputData.heatmapByAuthor = Object.fromEntries(
+        Object.entries(commitsByAuthor).map(([member, commitsByDate]) => [member, buildActivityHeatmap(commitsByDate, dateRange.sinceStr, dateRange.untilStr)])
+      );
+    }
+    if (statsMode) {
+      outputData.statsByAuthor = Object.fromEntries(
+        Object.entries(commitsByAuthor).map(([member, commitsByDate]) => [member, computeActivityStats(commitsByDate, rebaseSummariesByAuthor[member])])
+      );
+    }
+    outputData.repos = [...new Set(Object.values(commitsByAuthor)
+      .flatMap(commitsByDate => Object.values(commitsByDate))
+      .flatMap(dateData => Object.keys(dateData)))];
+    if (wip) outputData.wip = wipEntries;
+  }
+  else if (!projectMode && !shortMode && author) {
+    const allResults = await Promise.all(repos.map(repo => getUserCommits(repo, authors, dateRange.sinceStr, dateRange.untilStr, commitOptions)));
+    const {
+      commitsByDate: commitsByDateAndRepo,
+      rebaseSummariesByDate
+    } = groupResultsByDateAndRepo(allResults, repos);
+
+    outputData.author = author;
+    outputData.authors = authors;
+    if (Object.keys(commitsByDateAndRepo).length === 0) {
+      outputData.commitsByDate = {};
+      // Pending work is still worth a report when nothing was committed
+      if (wip && wipEntries.length > 0) outputData.wip = wipEntries;
+    } else {
+      outputData.commitsByDate = commitsByDateAndRepo;
+      outputData.rebaseSummariesByDate = rebaseSummariesByDate;
+      if (stat) outputData.statsTotals = computeStatsTotals(commitsByDateAndRepo);
+      if (sessions) outputData.sessions = estimateSessionsByDate(commitsByDateAndRepo, sessionOptions);
+      if (statsMode) outputData.stats = computeActivityStats(commitsByDateAndRepo, rebaseSummariesByDate);
+      if (heatmap) outputData.heatmap = buildActivityHeatmap(commitsByDateAndRepo, dateRange.sinceStr, dateRange.untilStr);
+      if (groupBy === 'ticket') {
+        outputData.groupBy = groupBy;
+        outputData.commitsByGroup = groupCommitsByKey(commitsByDateAndRepo, commit => commit.tickets, NO_TICKET_KEY);
+      } else if (groupBy === 'type') {
+        outputData.groupBy = groupBy;
+        outputData.commitsByGroup = groupCommitsByKey(commitsByDateAndRepo, getCommitTypeKeys, OTHER_TYPE_KEY, compareCommitTypeKeys);
+      }
+      outputData.repos = [...new Set(Object.values(commitsByDateAndRepo).flatMap(dateData => Object.keys(dateData)))];
+      if (wip) outputData.wip = wipEntries;
+    }
+  }
+  else {
+    const lastCommitDates = await Promise.all(repos.map(repo => getLastCommitDate(repo, { reflog })));
+
+    let allUserResults = [];
+    if (projectMode && !shortMode && author) {
+      allUserResults = await Promise.all(repos.map(repo => getUserCommits(repo, authors, dateRange.sinceStr, dateRange.untilStr, commitOptions)));
+    }
+
+    outputData.repos = repos.map((repo, i) => {
+      const lastCommit = lastCommitDates[i];
+      const lastCommitDate = lastCommit.authorDate || lastCommit.commitDate;
+      return {
+        path: repo,
+        lastCommitDate: timeZone
+          ? getZonedDateTime(Math.floor(lastCommitDate.getTime() / 1000), timeZone).date
+          : formatDate(lastCommitDate),
+        daysAgo: Math.floor((Date.now() - lastCommitDate.getTime()) / MS_PER_DAY),
+        commits: projectMode && !shortMode && author ? allUserResults[i].commits : [],
+        ...(stat && projectMode && !shortMode && author ? { stats: sumCommitStats(allUserResults[i].commits) } : {}),
+        ...(wipResults[i] ? { wip: wipResults[i] } : {})
+      };
+    });
+  }
+
+  return outputData;
+};
@@ -0,0 +1,235 @@
+/**
+ * Activity grouping
+ *
+ * This module turns per-repository results of getUserCommits into the
+ * date/repository hierarchy consumed by the formatters, optionally with an
+ * extra author level for team mode.
+ *
+ * @module core/activity-grouping
+ */
+
+import { filterRebaseSummary } from './rebase-detection.js';
+
+/**
+ * Group per-repository commit results by date, then by repository
+ *
+ * Regular commits are grouped by author date, rebase summaries by the date
+ * the rebase happened (commit date) and merge summaries by the merge date.
+ * Every date and repository with a summary has a commit list, empty when
+ * nothing was committed there that day, so that it is reported.
+ *
+ * @param {Array<{commits: Array, rebaseSummaries: Array}>} results - getUserCommits results
+ * @param {string[]} repos - Repository paths (same order as results)
+ * @returns {{commitsByDate: Object, rebaseSummariesByDate: Object}} Grouped activity
+ *
+ * @example
+ * const { commitsByDate } = groupResultsByDateAndRepo(results, ['repo1']);
+ * // => { '2025-11-21': { 'repo1': [...] } }
+ */
+export const groupResultsByDateAndRepo = (results, repos) => {
+  const commitsByDate = {};
+  const rebaseSummariesByDate = {};
+
+  results.forEach((result, index) => {
+    const repo = repos[index];
+
+    for (const commit of result.commits) {
+      if (!commitsByDate[commit.date]) commitsByDate[commit.date] = {};
+      if (!commitsByDate[commit.date][repo]) commitsByDate[commit.date][repo] = [];
+      commitsByDate[commit.date][repo].push(commit);
+    }
+
+    for (const summary of result.rebaseSummaries) {
+      if (!rebaseSummariesByDate[summary.commitDate]) rebaseSummariesByDate[summary.commitDate] = {};
+      if (!rebaseSummariesByDate[summary.commitDate][repo]) rebaseSummariesByDate[summary.commitDate][repo] = [];
+      rebaseSummariesByDate[summary.commitDate][repo].push(summary);
+      if (!commitsByDate[summary.commitDate]) commitsByDate[summary.commitDate] = {};
+      if (!commitsByDate[summary.commitDate][repo]) commitsByDate[summary.commitDate][repo] = [];
+    }
+  });
+
+  return { commitsByDate, rebaseSummariesByDate };
+};
+
+/**
+ * Split a rebase summary into one summary per matched author
+ *
+ * @param {Object} summary - Rebase summary whose commits carry matchedAuthor
+ * @returns {Object} Rebase summaries keyed by author pattern
+ */
+export const splitRebaseSummaryByAuthor = (summary) => {
+  const authors = [...new Set(summary.commits.map(commit => commit.matchedAuthor).filter(Boolean))];
+  return Object.fromEntries(
+    authors.map(author => [author, filterRebaseSummary(summary, commit => commit.matchedAuthor === author)])
+  );
+};
+
+/**
+ * Group per-repository commit results by author, then by date and repository
+ *
+ * Every member gets an entry, even without commits, so that the report shows
+ * who had no activity in the period.
+ *
+ * @param {Array<{commits: Array, rebaseSummaries: Array}>} results - getUserCommits results (commits tagged with matchedAuthor)
+ * @param {string[]} repos - Repository paths (same order as results)
+ * @param {string[]} members - Author patterns of the team members
+ * @returns {{commitsByAuthor: Object, rebaseSummariesByAuthor: Object}} Grouped activity
+ *
+ * @example
+ * const { commitsByAuthor } = groupResultsByAuthor(results, ['repo1'], ['alice', 'bob']);
+ * // => { alice: { '2025-11-21': { 'repo1': [...] } }, bob: {} }
+ */
+export const groupResultsByAuthor = (results, repos, members) => {
+  const resultsByAuthor = Object.fromEntries(
+    members.map(member => [member, repos.map(() => ({ commits: [], rebaseSummaries: [] }))])
+  );
+
+  results.forEach((result, index) => {
+    for (const commit of result.commits) {
+      if (resultsByAuthor[commit.matchedAuthor]) {
+        resultsByAuthor[commit.matchedAuthor][index].commits.push(commit);
+      }
+    }
+
+    for (const summary of result.rebaseSummaries) {
+      const summariesByAuthor = splitRebaseSummaryByAuthor(summary);
+      for (const [author, authorSummary] of Object.entries(summariesByAuthor)) {
+        if (resultsByAuthor[author]) {
+          resultsByAuthor[author][index].rebaseSummaries.push(authorSummary);
+        }
+      }
+    }
+  });
+
+  const commitsByAuthor = {};
+  const rebaseSummariesByAuthor = {};
+  for (const member of members) {
+    const grouped = groupResultsByDateAndRepo(resultsByAuthor[member], repos);
+    commitsByAuthor[member] = grouped.commitsByDate;
+    rebaseSummariesByAuthor[member] = grouped.rebaseSummariesByDate;
+  }
+
+  return { commitsByAuthor, rebaseSummariesByAuthor };
+};
+
+/**
+ * Regroup commits by arbitrary keys, keeping the date and repository levels
+ *
+ * A commit with several keys (e.g. several tickets) appears in each group.
+ * Commits without any key are put in the fallback group, listed last.
+ *
+ * @param {Object} commitsByDate - Commits grouped by date and repo
+ * @param {Function} getKeys - Function returning the group keys of a commit
+ * @param {string} fallbackKey - Group of commits without keys
+ * @param {Function} [compareKeys] - Sort function for group keys (natural order by default)
+ * @returns {Object} Commits grouped by key, then by date and repo
+ *
+ * @example
+ * groupCommitsByKey(commitsByDate, commit => commit.tickets, 'No ticket');
+ * // => { 'PROJ-12': { '2025-11-21': { 'repo1': [...] } }, 'No ticket': {...} }
+ */
+export const groupCommitsByKey = (commitsByDate, getKeys, fallbackKey, compareKeys = (a, b) => a.localeCompare(b, undefined, { numeric: true })) => {
+  const commitsByGroup = {};
+
+  for (const [date, dateData] of Object.entries(commitsByDate)) {
+    for (const [repo, commits] of Object.entries(dateData)) {
+      for (const commit of commits) {
+        const keys = getKeys(commit);
+        for (const key of keys.length > 0 ? keys : [fallbackKey]) {
+          if (!commitsByGroup[key]) commitsByGroup[key] = {};
+          if (!commitsByGroup[key][date]) commitsByGroup[key][date] = {};
+          if (!commitsByGroup[key][date][repo]) commitsByGroup[key][date][repo] = [];
+          commitsByGroup[key][date][repo].push(commit);
+        }
+      }
+    }
+  }
+
+  const keys = Object.keys(commitsByGroup)
+    .filter(key => key !== fallbackKey)
+    .sort(compareKeys);
+  if (commitsByGroup[fallbackKey]) keys.push(fallbackKey);
+
+  return Object.fromEntries(keys.map(key => [key, commitsByGroup[key]]));
+};
+
+/**
+ * Section labels of Conventional Commits types (--group-by type), in display order
+ */
+export const COMMIT_TYPE_LABELS = {
+  feat: 'Features',
+  fix: 'Fixes',
+  perf: 'Performance',
+  refactor: 'Refactoring',
+  revert: 'Reverts',
+  docs: 'Documentation',
+  test: 'Tests',
+  build: 'Build',
+  ci: 'CI',
+  style: 'Styles',
+  chore: 'Chores'
+};
+
+/**
+ * Group key of commits not following Conventional Commits (--group-by type)
+ */
+export const OTHER_TYPE_KEY = 'Other';
+
+/**
+ * Get the section label of a commit's Conventional Commits type
+ *
+ * Unknown types get their capitalized name as label.
+ *
+ * @param {Object} commit - Commit with parsed conventional fields
+ * @returns {string[]} Label of the commit type, or no label for non-conforming commits
+ *
+ * @example
+ * getCommitTypeKeys({ conventional: { type: 'feat', ... } });
+ * // => ['Features']
+ */
+export const getCommitTypeKeys = (commit) => {
+  if (!commit.conventional) return [];
+  const { type } = commit.conventional;
+  return [COMMIT_TYPE_LABELS[type] ?? `${type.charAt(0).toUpperCase()}${type.slice(1)}`];
+};
+
+/**
+ * Sort commit type labels: known types in COMMIT_TYPE_LABELS order, then others alphabetically
+ *
+ * @param {string} a - First label
+ * @param {string} b - Second label
+ * @returns {number} Sort order
+ */
+export const compareCommitTypeKeys = (a, b) => {
+  const order = Object.values(COMMIT_TYPE_LABELS);
+  const indexA = order.includes(a) ? order.indexOf(a) : order.length;
+  const indexB = order.includes(b) ? order.indexOf(b) : order.length;
+  return indexA - indexB || a.localeCompare(b);
+};
+
+/**
+ * List the commits of report data, whatever its mode
+ *
+ * @param {Object} data - Report data (commitsByDate, commitsByAuthor or repos with commits)
+ * @returns {Array<{repo: string, commit: Object, author: string|undefined}>} Commits, oldest first
+ *
+ * @example
+ * listReportCommits({ commitsByDate: { '2025-11-21': { 'repo1': [commit] } } });
+ * // => [{ repo: 'repo1', commit, author: undefined }]
+ */
+export const listReportCommits = (data) => {
+  const fromCommitsByDate = (commitsByDate, author) => Object.values(commitsByDate)
+    .flatMap(dateData => Object.entries(dateData))
+    .flatMap(([repo, commits]) => commits.map(commit => ({ repo, commit, author })));
+
+  let entries;
+  if (data.commitsByAuthor) {
+    entries = Object.entries(data.commitsByAuthor).flatMap(([author, commitsByDate]) => fromCommitsByDate(commitsByDate, author));
+  } else if (data.commitsByDate) {
+    entries = fromCommitsByDate(data.commitsByDate);
+  } else {
+    entries = (data.repos || []).flatMap(repo => (repo.commits || []).map(commit => ({ repo: repo.path, commit, author: undefined })));
+  }
+
+  return entries.sort((a, b) => a.commit.timestamp - b.commit.timestamp);
+};
@@ -0,0 +1,77 @@
+/**
+ * Activity heatmap
+ *
+ * This module lays out commit counts per day as a calendar grid (one column
+ * per week, Monday first, one row per weekday) with intensity levels, for
+ * the terminal heatmap (--heatmap).
+ *
+ * @module core/activity-heatmap
+ */
+
+import { formatDate } from '../shared/display/date-utils.js';
+
+/**
+ * Number of intensity levels of active days (level 0 is a day without commits)
+ */
+export const HEATMAP_LEVELS = 4;
+
+/**
+ * Get the intensity level of a day
+ * @param {number} commits - Commits of the day
+ * @param {number} max - Commits of the busiest day of the period
+ * @returns {number} Level from 0 (no commits) to HEATMAP_LEVELS (busiest days)
+ * @example
+ * getHeatmapLevel(3, 12); // 1
+ * getHeatmapLevel(12, 12); // 4
+ */
+export const getHeatmapLevel = (commits, max) => {
+  if (commits === 0 || max === 0) return 0;
+  return Math.max(1, Math.ceil(commits / max * HEATMAP_LEVELS));
+};
+
+/**
+ * Build the heatmap of a period
+ * @param {Object} commitsByDate - Commits grouped by date and repo
+ * @param {string} since - First day of the period (YYYY-MM-DD)
+ * @param {string} until - Last day of the period (YYYY-MM-DD)
+ * @returns {Object} Heatmap:
+ *   - since, until: period
+ *   - commits, activeDays, max: totals and commits of the busiest day
+ *   - weeks: weeks from the one containing since, each an array of 7 days (Monday first),
+ *     { date, commits, level } or null for days outside the period
+ * @example
+ * buildActivityHeatmap(commitsByDate, '2025-11-01', '2025-11-30');
+ * // { since: '2025-11-01', until: '2025-11-30', commits: 42, activeDays: 12, max: 8, weeks: [[null, ..., { date: '2025-11-01', commits: 0, level: 0 }], ...] }
+ */
+export const buildActivityHeatmap = (commitsByDate, since, until) => {
+  const counts = {};
+  for (const [date, dateData] of Object.entries(commitsByDate)) {
+    counts[date] = Object.values(dateData).reduce((total, commits) => total + commits.length, 0);
+  }
+  const periodCounts = Object.entries(counts).filter(([date]) => date >= since && date <= until);
+  const max = Math.max(0, ...periodCounts.map(([, commits]) => commits));
+
+  const weeks = [];
+  // Noon keeps day arithmetic away from DST changes
+  const day = new Date(`${since}T12:00:00`);
+  day.setDate(day.getDate() - (day.getDay() + 6) % 7);
+  for (let date = formatDate(day); date <= until; date = formatDate(day)) {
+    const week = [];
+    for (let weekday = 0; weekday < 7; weekday++) {
+      const current = formatDate(day);
+      const commits = counts[current] ?? 0;
+      week.push(current >= since && current <= until ? { date: current, commits, level: getHeatmapLevel(commits, max) } : null);
+      day.setDate(day.getDate() + 1);
+    }
+    weeks.push(week);
+  }
+
+  return {
+    since,
+    until,
+    commits: periodCounts.reduce((total, [, commits]) => total + commits, 0),
+    activeDays: periodCounts.filter(([, commits]) => commits > 0).length,
+    max,
+    weeks
+  };
+};
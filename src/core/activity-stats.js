@@ -0,0 +1,150 @@
+/**
+ * Activity statistics
+ *
+ * This module turns commits grouped by date and repository (as produced for
+ * the default and team modes) into aggregate numbers for a period (--stats):
+ * commits per repository, weekday and hour bucket, active days, longest
+ * streak, rebases and, when diffstat was collected, lines changed.
+ *
+ * @module core/activity-stats
+ */
+
+import { DAY_NAMES, MS_PER_DAY } from '../shared/display/date-utils.js';
+import { flattenCommitsByDate, groupCommitsByRepo, hasCommitStats, sumCommitStats } from '../utils/commit-stats.js';
+
+/**
+ * Width of the hour buckets (hours)
+ */
+export const HOUR_BUCKET_SIZE = 3;
+
+/**
+ * Date#getDay() numbers in display order (Monday first)
+ */
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * Get the day number of a YYYY-MM-DD date, for calendar arithmetic
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {number} Days since the Unix epoch
+ */
+const toDayNumber = (date) => Math.round(Date.parse(`${date}T00:00:00Z`) / MS_PER_DAY);
+
+/**
+ * Find the longest run of consecutive calendar days
+ * @param {string[]} dates - Dates in YYYY-MM-DD format
+ * @returns {{days: number, start: string, end: string}|null} Longest streak (the earliest one on ties), or null if no date
+ * @example
+ * findLongestStreak(['2025-11-17', '2025-11-18', '2025-11-20']);
+ * // { days: 2, start: '2025-11-17', end: '2025-11-18' }
+ */
+export const findLongestStreak = (dates) => {
+  let longest = null;
+  let start = null;
+  let previous = null;
+
+  for (const date of [...new Set(dates)].sort()) {
+    if (previous === null || toDayNumber(date) - toDayNumber(previous) !== 1) start = date;
+    const days = toDayNumber(date) - toDayNumber(start) + 1;
+    if (!longest || days > longest.days) longest = { days, start, end: date };
+    previous = date;
+  }
+
+  return longest;
+};
+
+/**
+ * Format an hour bucket label
+ * @param {number} startHour - First hour of the bucket
+ * @returns {string} Label (e.g. "09–12")
+ */
+const formatHourBucket = (startHour) => {
+  const pad = hour => String(hour).padStart(2, '0');
+  return `${pad(startHour)}–${pad(startHour + HOUR_BUCKET_SIZE)}`;
+};
+
+/**
+ * Compute the activity statistics of a period
+ * @param {Object} commitsByDate - Commits grouped by date and repo
+ * @param {Object} [rebaseSummariesByDate={}] - Rebase summaries grouped by date and repo
+ * @returns {Object} Statistics:
+ *   - commits, activeDays, rebases (rewrite summaries, merge summaries left out), rebasedCommits
+ *   - longestStreak ({ days, start, end } or null), busiestRepo ({ repo, commits } or null),
+ *     busiestDay ({ date, commits } or null)
+ *   - lines ({ files, insertions, deletions }, or null without diffstat)
+ *   - byRepo: [{ repo, commits, activeDays, rebases, rebasedCommits[, files, insertions, deletions] }], busiest first
+ *   - byWeekday: [{ day, commits }], Monday first
+ *   - byHour: [{ hours, commits }], one entry per HOUR_BUCKET_SIZE hours
+ * @example
+ * computeActivityStats({ '2025-11-21': { 'repo1': [...] } });
+ * // { commits: 4, activeDays: 1, longestStreak: { days: 1, ... }, byRepo: [...], ... }
+ */
+export const computeActivityStats = (commitsByDate, rebaseSummariesByDate = {}) => {
+  const allCommits = flattenCommitsByDate(commitsByDate);
+  const withLines = hasCommitStats(allCommits);
+  const repos = {};
+  const getRepo = repo => {
+    if (!repos[repo]) repos[repo] = { repo, commits: [], activeDays: 0, rebases: 0, rebasedCommits: 0 };
+    return repos[repo];
+  };
+
+  const activeDates = [];
+  let busiestDay = null;
+  for (const [date, dateData] of Object.entries(commitsByDate)) {
+    const dayCommits = Object.values(dateData).flat();
+    if (dayCommits.length === 0) continue;
+    activeDates.push(date);
+    if (!busiestDay || dayCommits.length > busiestDay.commits || (dayCommits.length === busiestDay.commits && date < busiestDay.date)) {
+      busiestDay = { date, commits: dayCommits.length };
+    }
+  }
+
+  for (const [repo, commits] of Object.entries(groupCommitsByRepo(commitsByDate))) {
+    if (commits.length === 0) continue;
+    const entry = getRepo(repo);
+    entry.commits = commits;
+    entry.activeDays = Object.values(commitsByDate).filter(dateData => dateData[repo]?.length > 0).length;
+  }
+
+  for (const dateData of Object.values(rebaseSummariesByDate)) {
+    for (const [repo, summaries] of Object.entries(dateData)) {
+      // Merge summaries list commits merged during the period, not rewritten
+      const rewrites = summaries.filter(summary => summary.rewriteType !== 'merge');
+      if (rewrites.length === 0) continue;
+      const entry = getRepo(repo);
+      entry.rebases += rewrites.length;
+      entry.rebasedCommits += rewrites.reduce((total, summary) => total + summary.count, 0);
+    }
+  }
+
+  const byRepo = Object.values(repos)
+    .map(({ repo, commits, ...entry }) => {
+      if (!withLines) return { repo, commits: commits.length, ...entry };
+      const { files, insertions, deletions } = sumCommitStats(commits);
+      return { repo, commits: commits.length, ...entry, files, insertions, deletions };
+    })
+    .sort((a, b) => b.commits - a.commits || b.rebasedCommits - a.rebasedCommits || a.repo.localeCompare(b.repo));
+
+  const weekdayCounts = new Array(7).fill(0);
+  const hourCounts = new Array(24 / HOUR_BUCKET_SIZE).fill(0);
+  for (const commit of allCommits) {
+    weekdayCounts[new Date(`${commit.date}T00:00:00`).getDay()] += 1;
+    hourCounts[Math.floor(parseInt(commit.time, 10) / HOUR_BUCKET_SIZE)] += 1;
+  }
+
+  const busiestRepo = byRepo.find(entry => entry.commits > 0);
+  const lines = withLines ? sumCommitStats(allCommits) : null;
+
+  return {
+    commits: allCommits.length,
+    activeDays: activeDates.length,
+    rebases: byRepo.reduce((total, entry) => total + entry.rebases, 0),
+    rebasedCommits: byRepo.reduce((total, entry) => total + entry.rebasedCommits, 0),
+    longestStreak: findLongestStreak(activeDates),
+    busiestRepo: busiestRepo ? { repo: busiestRepo.repo, commits: busiestRepo.commits } : null,
+    busiestDay,
+    lines: lines ? { files: lines.files, insertions: lines.insertions, deletions: lines.deletions } : null,
+    byRepo,
+    byWeekday: WEEKDAY_ORDER.map(day => ({ day: DAY_NAMES[day], commits: weekdayCounts[day] })),
+    byHour: hourCounts.map((commits, index) => ({ hours: formatHourBucket(index * HOUR_BUCKET_SIZE), commits }))
+  };
+};
@@ -0,0 +1,75 @@
+/**
+ * Author identity handling
+ *
+ * A person usually commits under several identities (work email, personal
+ * email, GitHub noreply address). These helpers normalize the configured
+ * author patterns and find out which of them matched a given commit.
+ *
+ * @module core/author-identity
+ */
+
+/**
+ * Normalize author patterns to a de-duplicated array
+ *
+ * @param {string|string[]|null|undefined} authors - One or several author patterns
+ * @returns {string[]} Non-empty author patterns
+ *
+ * @example
+ * normalizeAuthors('me@work.com');
+ * // => ['me@work.com']
+ * normalizeAuthors(['me@work.com', '', 'me@work.com', 'me@home.org']);
+ * // => ['me@work.com', 'me@home.org']
+ */
+export const normalizeAuthors = (authors) => {
+  if (!authors) return [];
+  const list = Array.isArray(authors) ? authors : [authors];
+  return [...new Set(list.map(author => author.trim()).filter(Boolean))];
+};
+
+/**
+ * Check if an author pattern matches an identity
+ *
+ * Mirrors `git log --author`: the pattern matches anywhere in
+ * "Name <email>". Patterns are first compared literally, so that
+ * characters like "+" in email addresses are not treated as regex syntax.
+ *
+ * @param {string} pattern - Author pattern
+ * @param {string} identity - Identity in "Name <email>" form
+ * @returns {boolean} True if the pattern matches
+ */
+export const authorPatternMatches = (pattern, identity) => {
+  if (identity.includes(pattern)) return true;
+  try {
+    return new RegExp(pattern).test(identity);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Find which author pattern matched a commit
+ *
+ * Checks both the identity recorded in the commit and the canonical
+ * identity from .mailmap. When git matched the commit but no pattern can be
+ * matched again here (e.g. basic regex syntax), a single pattern is assumed
+ * to be the match.
+ *
+ * @param {Object} commit - Parsed commit
+ * @param {string} commit.identity - Identity recorded in the commit ("Name <email>")
+ * @param {string} commit.authorName - Canonical author name (.mailmap applied)
+ * @param {string} commit.authorEmail - Canonical author email (.mailmap applied)
+ * @param {string[]} authors - Author patterns
+ * @returns {string|null} Matching pattern, or null if none could be determined
+ *
+ * @example
+ * findMatchingAuthor({ identity: 'Me <me@home.org>', ... }, ['me@work.com', 'me@home.org']);
+ * // => 'me@home.org'
+ */
+export const findMatchingAuthor = (commit, authors) => {
+  const canonicalIdentity = `${commit.authorName} <${commit.authorEmail}>`;
+  const match = authors.find(pattern =>
+    authorPatternMatches(pattern, commit.identity) || authorPatternMatches(pattern, canonicalIdentity)
+  );
+  if (match) return match;
+  return authors.length === 1 ? authors[0] : null;
+};
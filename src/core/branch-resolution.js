@@ -0,0 +1,97 @@
+/**
+ * Branch resolution and filtering for commits
+ *
+ * Commits are collected with `git log --all`, so each one is attached the
+ * branches containing it, which gives context in the report and allows
+ * filtering out experiments or abandoned branches.
+ *
+ * @module core/branch-resolution
+ */
+
+/**
+ * Convert a branch glob pattern to a regex
+ *
+ * `*` matches any sequence of characters (including `/`), `?` a single one.
+ *
+ * @param {string} pattern - Branch glob pattern (e.g. "feature/*")
+ * @returns {RegExp} Anchored regular expression
+ *
+ * @example
+ * branchPatternToRegex('feature/*').test('feature/login');
+ * // => true
+ */
+export const branchPatternToRegex = (pattern) => {
+  const regexPattern = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${regexPattern}$`);
+};
+
+/**
+ * Check if a branch matches any of the given patterns
+ *
+ * Remote-tracking branches also match without their remote prefix,
+ * so "main" matches both "main" and "origin/main".
+ *
+ * @param {string} branch - Branch short name (e.g. "main", "origin/main")
+ * @param {boolean} isRemote - Whether the branch is a remote-tracking branch
+ * @param {string[]} patterns - Branch glob patterns
+ * @returns {boolean} True if any pattern matches
+ */
+export const matchesBranchPattern = (branch, isRemote, patterns) => {
+  const candidates = isRemote ? [branch, branch.slice(branch.indexOf('/') + 1)] : [branch];
+  return patterns.some(pattern => {
+    const regex = branchPatternToRegex(pattern);
+    return candidates.some(candidate => regex.test(candidate));
+  });
+};
+
+/**
+ * Check if a commit passes the branch filters
+ *
+ * - include: the commit must be contained in at least one matching branch
+ * - exclude: the commit is dropped when every branch containing it matches
+ *   (commits also merged into another branch are kept)
+ *
+ * @param {{local: string[], remote: string[]}} containing - Branches containing the commit
+ * @param {Object} filters - Branch filters
+ * @param {string[]} [filters.include=[]] - Patterns of branches to keep
+ * @param {string[]} [filters.exclude=[]] - Patterns of branches to drop
+ * @returns {boolean} True if the commit should be kept
+ */
+export const passesBranchFilters = (containing, filters) => {
+  const { include = [], exclude = [] } = filters;
+  const branches = [
+    ...containing.local.map(name => ({ name, isRemote: false })),
+    ...containing.remote.map(name => ({ name, isRemote: true }))
+  ];
+
+  if (include.length > 0 && !branches.some(({ name, isRemote }) => matchesBranchPattern(name, isRemote, include))) {
+    return false;
+  }
+
+  if (exclude.length > 0 && branches.length > 0 &&
+    branches.every(({ name, isRemote }) => matchesBranchPattern(name, isRemote, exclude))) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Select the branches displayed for a commit
+ *
+ * Local branches are preferred; remote-tracking branches are only shown for
+ * commits that no local branch contains.
+ *
+ * @param {{local: string[], remote: string[]}} containing - Branches containing the commit
+ * @returns {string[]} Branch names to display
+ *
+ * @example
+ * selectDisplayBranches({ local: ['main'], remote: ['origin/main'] });
+ * // => ['main']
+ */
+export const selectDisplayBranches = (containing) => {
+  return containing.local.length > 0 ? containing.local : containing.remote;
+};
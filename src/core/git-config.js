@@ -11,6 +11,11 @@
 import { execFile } from 'node:child_process';
 import { promisify } from 'node:util';
 
+import { isValidTicketPattern } from './ticket-extraction.js';
+import { parseWorkdays } from '../utils/working-days.js';
+import { parseDate } from '../shared/display/date-utils.js';
+import { isValidTimeZone } from '../utils/timezone.js';
+
 const execFileAsync = promisify(execFile);
 
 /**
@@ -58,6 +63,66 @@ export const getGitConfig = async (key, defaultValue = null) => {
   }
 };
 
+/**
+ * Read a git-did path configuration value from git config
+ *
+ * Like getGitConfig, with git's path expansion (a leading `~/` is
+ * expanded to the home directory).
+ *
+ * @param {string} key - Configuration key (without 'did.' prefix)
+ * @returns {Promise<string|null>} Expanded path or null if not found
+ *
+ * @example
+ * const holidayFile = await getGitConfigPath('holidayFile');
+ * // => "/home/user/.config/holidays.txt"
+ */
+export const getGitConfigPath = async (key) => {
+  try {
+    const { stdout } = await execFileAsync('git', ['config', '--type=path', `did.${key}`]);
+    return stdout.trim() || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Read all values of a multi-valued git-did configuration key
+ *
+ * Configuration keys are prefixed with 'did.' automatically.
+ *
+ * @param {string} key - Configuration key (without 'did.' prefix)
+ * @returns {Promise<string[]>} All configured values (empty if not found)
+ *
+ * @example
+ * const authors = await getGitConfigAll('author');
+ * // => ["me@work.com", "me@home.org"]
+ */
+export const getGitConfigAll = async (key) => {
+  try {
+    const { stdout } = await execFileAsync('git', ['config', '--get-all', `did.${key}`]);
+    return stdout.split('\n').map(value => value.trim()).filter(Boolean);
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Read the members of a team defined in git config
+ *
+ * Teams are multi-valued keys of the did.team section, one author
+ * pattern per value (e.g. `git config --add did.team.backend alice@example.com`).
+ *
+ * @param {string} name - Team name
+ * @returns {Promise<string[]>} Author patterns of the team members (empty if unknown)
+ *
+ * @example
+ * const members = await getTeamMembers('backend');
+ * // => ["alice@example.com", "bob@example.com"]
+ */
+export const getTeamMembers = async (name) => {
+  return getGitConfigAll(`team.${name}`);
+};
+
 /**
  * Read all git-did configuration values
  *
@@ -68,8 +133,28 @@ export const getGitConfig = async (key, defaultValue = null) => {
  * - defaultDays: Default number of days to look back
  * - defaultMode: Default display mode (default, project, short)
  * - colors: Color output mode (auto, always, never)
- * - defaultFormat: Default output format (text, json, markdown)
+ * - defaultFormat: Default output format (text, json, markdown, html, csv, tsv, ics)
  * - defaultAuthor: Default author filter pattern
+ * - submodules: Also look for activity in submodules (true, false)
+ * - reflog: Also consider commits only reachable from reflogs (true, false)
+ * - stat: Collect per-commit diffstat (true, false)
+ * - showBranches: Show the branches containing each commit (true, false)
+ * - sessions: Show estimated work sessions (true, false)
+ * - standup: Report since the previous working day by default (true, false)
+ * - workdays: Working days (e.g. "mon-fri", "sun-thu")
+ * - holidayFile: Holiday list file (one YYYY-MM-DD date per line)
+ * - ignoreFile: Global ignore file, applied before the .didignore files (gitignore syntax)
+ * - sprintLength: Sprint length in days ("this sprint", "last sprint")
+ * - sprintStart: First day of any sprint (YYYY-MM-DD)
+ * - timezone: IANA time zone dates and times are normalised to (e.g. "Europe/Paris")
+ * - showAuthorTime: Show the author's own local time next to normalised times (true, false)
+ * - sessionMaxGap: Maximum gap between commits of a work session (minutes)
+ * - sessionPadding: Time credited before the first commit of a work session (minutes)
+ * - index: Use the persistent repository index (true, false)
+ * - indexMaxAge: Days after which the indexed tree is walked again
+ * - ticketPattern: Regex extracting ticket references from commit messages
+ * - ticketUrl: Ticket URL template ({key} and {id} placeholders)
+ * - author: Author identities (multi-valued)
  *
  * @returns {Promise<Object>} Configuration object with found values
  *
@@ -86,7 +171,24 @@ export const loadGitConfig = async () => {
     'defaultMode',
     'colors',
     'defaultFormat',
-    'defaultAuthor'
+    'defaultAuthor',
+    'submodules',
+    'reflog',
+    'stat',
+    'showBranches',
+    'sessions',
+    'sessionMaxGap',
+    'sessionPadding',
+    'index',
+    'indexMaxAge',
+    'standup',
+    'workdays',
+    'sprintLength',
+    'sprintStart',
+    'timezone',
+    'showAuthorTime',
+    'ticketPattern',
+    'ticketUrl'
   ];
 
   await Promise.all(
@@ -98,9 +200,42 @@ export const loadGitConfig = async () => {
     })
   );
 
+  // Load path configuration keys
+  await Promise.all(
+    ['holidayFile', 'ignoreFile'].map(async (key) => {
+      const value = await getGitConfigPath(key);
+      if (value !== null) {
+        config[key] = value;
+      }
+    })
+  );
+
+  // Load multi-valued configuration keys
+  const authors = await getGitConfigAll('author');
+  if (authors.length > 0) {
+    config.author = authors;
+  }
+
   return config;
 };
 
+/**
+ * Parse a Git boolean configuration value
+ *
+ * @param {string} value - Raw configuration value
+ * @returns {boolean|null} Parsed boolean, or null if not a boolean
+ *
+ * @example
+ * parseBoolean('yes');
+ * // => true
+ */
+export const parseBoolean = (value) => {
+  const normalized = value.toLowerCase();
+  if (['true', 'yes', 'on', '1'].includes(normalized)) return true;
+  if (['false', 'no', 'off', '0'].includes(normalized)) return false;
+  return null;
+};
+
 /**
  * Parse and validate configuration values
  *
@@ -111,8 +246,20 @@ export const loadGitConfig = async () => {
  * - defaultDays: Must be positive integer
  * - defaultMode: Must be 'default', 'project', or 'short'
  * - colors: Must be 'auto', 'always', or 'never'
- * - defaultFormat: Must be 'text', 'json', or 'markdown'
+ * - defaultFormat: Must be 'text', 'json', 'markdown', 'html', 'csv', 'tsv', or 'ics'
  * - defaultAuthor: Any non-empty string
+ * - submodules, reflog, stat, showBranches, sessions, standup, showAuthorTime, index: Git boolean ('true', 'yes', 'on', '1' or 'false', 'no', 'off', '0')
+ * - author: Array of non-empty strings
+ * - ticketPattern: Valid regular expression
+ * - ticketUrl: Any non-empty string
+ * - sessionMaxGap: Must be positive integer
+ * - sessionPadding: Must be non-negative integer
+ * - indexMaxAge: Must be positive integer
+ * - workdays: Day names or ranges (e.g. "mon-fri", "sun-thu", "mon,wed,fri")
+ * - holidayFile, ignoreFile: Any non-empty path
+ * - sprintLength: Must be positive integer
+ * - sprintStart: Valid YYYY-MM-DD date
+ * - timezone: Time zone known to the runtime (IANA name, e.g. "America/New_York", or "UTC")
  *
  * @param {Object} config - Raw configuration from git config
  * @returns {Object} Parsed and validated configuration
@@ -134,6 +281,66 @@ export const parseConfig = (config) => {
     }
   }
 
+  // sessionMaxGap: integer (minutes)
+  if (config.sessionMaxGap) {
+    const maxGap = parseInt(config.sessionMaxGap, 10);
+    if (!isNaN(maxGap) && maxGap > 0) {
+      parsed.sessionMaxGap = maxGap;
+    }
+  }
+
+  // indexMaxAge: integer (days)
+  if (config.indexMaxAge) {
+    const indexMaxAge = parseInt(config.indexMaxAge, 10);
+    if (!isNaN(indexMaxAge) && indexMaxAge > 0) {
+      parsed.indexMaxAge = indexMaxAge;
+    }
+  }
+
+  // sessionPadding: integer (minutes)
+  if (config.sessionPadding) {
+    const padding = parseInt(config.sessionPadding, 10);
+    if (!isNaN(padding) && padding >= 0) {
+      parsed.sessionPadding = padding;
+    }
+  }
+
+  // workdays: array of day numbers (0 = Sunday)
+  if (config.workdays) {
+    const workdays = parseWorkdays(config.workdays);
+    if (workdays !== null) {
+      parsed.workdays = workdays;
+    }
+  }
+
+  // sprintLength: integer (days)
+  if (config.sprintLength) {
+    const sprintLength = parseInt(config.sprintLength, 10);
+    if (!isNaN(sprintLength) && sprintLength > 0) {
+      parsed.sprintLength = sprintLength;
+    }
+  }
+
+  // sprintStart: date (YYYY-MM-DD)
+  if (config.sprintStart && parseDate(config.sprintStart)) {
+    parsed.sprintStart = config.sprintStart;
+  }
+
+  // timezone: IANA time zone
+  if (config.timezone && isValidTimeZone(config.timezone)) {
+    parsed.timezone = config.timezone;
+  }
+
+  // holidayFile: string (path)
+  if (config.holidayFile) {
+    parsed.holidayFile = config.holidayFile;
+  }
+
+  // ignoreFile: string (path)
+  if (config.ignoreFile) {
+    parsed.ignoreFile = config.ignoreFile;
+  }
+
   // defaultMode: 'default', 'project', or 'short'
   if (config.defaultMode) {
     const mode = config.defaultMode.toLowerCase();
@@ -150,10 +357,10 @@ export const parseConfig = (config) => {
     }
   }
 
-  // defaultFormat: 'text', 'json', or 'markdown'
+  // defaultFormat: 'text', 'json', 'markdown', 'html', 'csv', 'tsv', or 'ics'
   if (config.defaultFormat) {
     const format = config.defaultFormat.toLowerCase();
-    if (['text', 'json', 'markdown'].includes(format)) {
+    if (['text', 'json', 'markdown', 'html', 'csv', 'tsv', 'ics'].includes(format)) {
       parsed.defaultFormat = format;
     }
   }
@@ -163,5 +370,87 @@ export const parseConfig = (config) => {
     parsed.defaultAuthor = config.defaultAuthor;
   }
 
+  // ticketPattern: regular expression
+  if (config.ticketPattern && isValidTicketPattern(config.ticketPattern)) {
+    parsed.ticketPattern = config.ticketPattern;
+  }
+
+  // ticketUrl: string (URL template)
+  if (config.ticketUrl) {
+    parsed.ticketUrl = config.ticketUrl;
+  }
+
+  // author: array of strings (one per identity)
+  if (Array.isArray(config.author)) {
+    const authors = config.author.filter(Boolean);
+    if (authors.length > 0) {
+      parsed.author = authors;
+    }
+  }
+
+  // submodules: boolean
+  if (config.submodules) {
+    const submodules = parseBoolean(config.submodules);
+    if (submodules !== null) {
+      parsed.submodules = submodules;
+    }
+  }
+
+  // reflog: boolean
+  if (config.reflog) {
+    const reflog = parseBoolean(config.reflog);
+    if (reflog !== null) {
+      parsed.reflog = reflog;
+    }
+  }
+
+  // stat: boolean
+  if (config.stat) {
+    const stat = parseBoolean(config.stat);
+    if (stat !== null) {
+      parsed.stat = stat;
+    }
+  }
+
+  // showBranches: boolean
+  if (config.showBranches) {
+    const showBranches = parseBoolean(config.showBranches);
+    if (showBranches !== null) {
+      parsed.showBranches = showBranches;
+    }
+  }
+
+  // sessions: boolean
+  if (config.sessions) {
+    const sessions = parseBoolean(config.sessions);
+    if (sessions !== null) {
+      parsed.sessions = sessions;
+    }
+  }
+
+  // standup: boolean
+  if (config.standup) {
+    const standup = parseBoolean(config.standup);
+    if (standup !== null) {
+      parsed.standup = standup;
+    }
+  }
+
+  // index: boolean
+  if (config.index) {
+    const index = parseBoolean(config.index);
+    if (index !== null) {
+      parsed.index = index;
+    }
+  }
+
+  // showAuthorTime: boolean
+  if (config.showAuthorTime) {
+    const showAuthorTime = parseBoolean(config.showAuthorTime);
+    if (showAuthorTime !== null) {
+      parsed.showAuthorTime = showAuthorTime;
+    }
+  }
+
   return parsed;
 };
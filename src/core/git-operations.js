@@ -3,17 +3,59 @@
  * @module git-operations
  */
 
-import { readdir, stat } from 'node:fs/promises';
-import { join, relative } from 'node:path';
-import { execFile } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import { readdir, readFile, realpath, stat } from 'node:fs/promises';
+import { join, relative, resolve } from 'node:path';
+import { execFile, spawn } from 'node:child_process';
 import { promisify } from 'node:util';
-import { parseCommitsAndDetectRebases } from './rebase-detection.js';
-import { shouldIgnorePath } from '../utils/file-patterns.js';
+import { COMMIT_LOG_FORMAT, filterRebaseSummary, parseCommitsAndDetectRebases } from './rebase-detection.js';
+import { passesBranchFilters, selectDisplayBranches } from './branch-resolution.js';
+import { findIntegratingCommits, parsePullRequestReference } from './merge-detection.js';
+import { findReflogRewrites, getCherryPickedFrom, pairRewrittenCommits, parseReflog } from './rewrite-detection.js';
+import { findMatchingAuthor, normalizeAuthors } from './author-identity.js';
+import { createTicketExtractor } from './ticket-extraction.js';
+import { IGNORE_FILE_NAME, loadIgnoreRules, shouldIgnorePath } from '../utils/file-patterns.js';
+import { getZonedDateTime, zonedTimeToTimestamp } from '../utils/timezone.js';
+import { GitDidError } from '../shared/types/errors.js';
 
 const execFileAsync = promisify(execFile);
 
+/**
+ * Maximum git log output size (bytes), large enough for --numstat on busy repositories
+ */
+const LOG_MAX_BUFFER = 64 * 1024 * 1024;
+
+/**
+ * Margin before the period where commits are still read (seconds)
+ * git log --since stops at the first commit dated before the cutoff, so a commit
+ * authored in the period is missed when it sits behind a parent with an older
+ * committer date (clock skew, imported history); within this margin it is found.
+ */
+const COMMIT_DATE_MARGIN = 30 * 24 * 60 * 60;
+
+/**
+ * Check if a directory is a bare Git repository
+ * A bare repository has HEAD, objects/ and refs/ directly in the directory
+ * @param {string} dirPath - Directory path
+ * @returns {Promise<boolean>}
+ */
+export const isBareRepository = async (dirPath) => {
+  try {
+    const [head, objects, refs] = await Promise.all([
+      stat(join(dirPath, 'HEAD')),
+      stat(join(dirPath, 'objects')),
+      stat(join(dirPath, 'refs'))
+    ]);
+    return head.isFile() && objects.isDirectory() && refs.isDirectory();
+  } catch {
+    return false;
+  }
+};
+
 /**
  * Check if a directory is a Git repository
+ * Recognizes regular repositories (.git directory), linked worktrees and
+ * submodules (.git file containing a "gitdir:" pointer) and bare repositories
  * @param {string} dirPath - Directory path
  * @returns {Promise<boolean>}
  */
@@ -21,20 +63,124 @@ export const isGitRepository = async (dirPath) => {
   try {
     const gitPath = join(dirPath, '.git');
     const stats = await stat(gitPath);
-    return stats.isDirectory();
-  } catch {
+    if (stats.isDirectory()) return true;
+    if (stats.isFile()) {
+      const content = await readFile(gitPath, 'utf-8');
+      return content.startsWith('gitdir:');
+    }
     return false;
+  } catch {
+    return isBareRepository(dirPath);
+  }
+};
+
+/**
+ * Get the Git directory of a repository (the worktree's own one for linked worktrees)
+ * @param {string} repoPath - Repository path
+ * @returns {Promise<string|null>} Absolute Git directory path, or null on error
+ */
+export const getGitDir = async (repoPath) => {
+  try {
+    const { stdout } = await execFileAsync('git', ['-C', repoPath, 'rev-parse', '--absolute-git-dir']);
+    return await realpath(stdout.trim());
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Get the shared object store (common Git directory) of a repository
+ * Linked worktrees of the same repository share one common directory
+ * @param {string} repoPath - Repository path
+ * @returns {Promise<string|null>} Absolute common directory path, or null on error
+ */
+export const getGitCommonDir = async (repoPath) => {
+  try {
+    const { stdout } = await execFileAsync('git', ['-C', repoPath, 'rev-parse', '--git-common-dir']);
+    return await realpath(resolve(repoPath, stdout.trim()));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * List the initialized submodule paths of a repository
+ * @param {string} repoPath - Repository path
+ * @returns {Promise<string[]>} Submodule paths (joined with the repository path)
+ */
+export const getSubmodulePaths = async (repoPath) => {
+  try {
+    const { stdout } = await execFileAsync('git', [
+      '-C',
+      repoPath,
+      'config',
+      '--file',
+      '.gitmodules',
+      '--get-regexp',
+      '^submodule\\..*\\.path$'
+    ]);
+    return stdout
+      .trim()
+      .split('\n')
+      .filter(Boolean)
+      .map(line => join(repoPath, line.slice(line.indexOf(' ') + 1)));
+  } catch {
+    return []; // No .gitmodules file
   }
 };
 
+/**
+ * Remove repositories sharing an object store with an earlier one
+ * Linked worktrees list the same commits with --all, so only one path is
+ * kept per common Git directory (the main worktree when it is present).
+ * @param {string[]} repos - Repository paths
+ * @returns {Promise<string[]>} De-duplicated repository paths
+ */
+export const dedupeSharedRepositories = async (repos) => {
+  const commonDirs = await Promise.all(repos.map(getGitCommonDir));
+  // Common directories are real paths: compare them with the real paths of the repositories
+  const realPaths = await Promise.all(repos.map(repo => Promise.all([
+    realpath(resolve(repo, '.git')).catch(() => null),
+    realpath(resolve(repo)).catch(() => null)
+  ])));
+  const selected = new Map();
+
+  repos.forEach((repo, index) => {
+    const key = commonDirs[index] ?? repo;
+    const current = selected.get(key);
+    // Prefer the main worktree, whose .git directory is the common directory
+    const isMain = commonDirs[index] !== null && realPaths[index].includes(commonDirs[index]);
+    if (!current || (isMain && !current.isMain)) {
+      selected.set(key, { repo, isMain });
+    }
+  });
+
+  return [...selected.values()].map(({ repo }) => repo);
+};
+
+/**
+ * Build the revision arguments selecting which commits are searched for activity
+ * Shared by activity detection and commit retrieval so that both phases agree
+ * on what "active" means: every local branch, remote-tracking ref, tag and HEAD,
+ * plus commits only reachable from the reflog when requested
+ * @param {Object} [options] - Revision options
+ * @param {boolean} [options.reflog=false] - Include commits reachable from reflogs
+ * @returns {string[]} git log revision arguments
+ */
+export const getRevisionArgs = (options = {}) => {
+  return options.reflog ? ['--all', '--reflog'] : ['--all'];
+};
+
 /**
  * Get the date of the last commit in a Git repository
  * @param {string} repoPath - Repository path
+ * @param {Object} [options] - Revision options (see getRevisionArgs)
  * @returns {Promise<{authorDate: Date|null, commitDate: Date|null}>}
  */
-export const getLastCommitDate = async (repoPath) => {
+export const getLastCommitDate = async (repoPath, options = {}) => {
   try {
-    const { stdout } = await execFileAsync('git', ['-C', repoPath, 'log', '-1', '--format=%at|%ct']);
+    const { stdout } = await execFileAsync('git', ['-C', repoPath, 'log', ...getRevisionArgs(options), '-1', '--format=%at|%ct']);
+    if (!stdout.trim()) return { authorDate: null, commitDate: null };
     const [authorTimestamp, commitTimestamp] = stdout.trim().split('|').map(t => parseInt(t, 10));
     return {
       authorDate: new Date(authorTimestamp * 1000),
@@ -45,57 +191,737 @@ export const getLastCommitDate = async (repoPath) => {
   }
 };
 
+/**
+ * Find which local and remote-tracking branches contain recent commits
+ * Only commits with a CommitDate after the given timestamp are resolved. The
+ * recent commit graph is read once and each branch is walked from its tip,
+ * stopping at older commits as rev-list --since does, so the number of git
+ * processes does not grow with the number of branches.
+ * @param {string} repoPath - Repository path
+ * @param {number} sinceTimestamp - Start timestamp (seconds)
+ * @returns {Promise<Map<string, {local: string[], remote: string[]}>|null>} Branches by full commit hash,
+ *   or null if they could not be resolved
+ */
+export const getBranchesContaining = async (repoPath, sinceTimestamp) => {
+  const branchesByCommit = new Map();
+
+  try {
+    const [{ stdout: refList }, { stdout: graph }] = await Promise.all([
+      execFileAsync('git', [
+        '-C',
+        repoPath,
+        'for-each-ref',
+        '--format=%(objectname)|%(refname)|%(refname:short)|%(symref)',
+        'refs/heads/',
+        'refs/remotes/'
+      ], { maxBuffer: LOG_MAX_BUFFER }),
+      execFileAsync('git', [
+        '-C',
+        repoPath,
+        'rev-list',
+        '--parents',
+        `--since=@${Math.floor(sinceTimestamp)}`,
+        '--branches',
+        '--remotes'
+      ], { maxBuffer: LOG_MAX_BUFFER })
+    ]);
+
+    const parentsByCommit = new Map(graph.split('\n').filter(Boolean).map(line => {
+      const [hash, ...parents] = line.split(' ');
+      return [hash, parents];
+    }));
+    const refs = refList
+      .split('\n')
+      .filter(Boolean)
+      .map(line => line.split('|'))
+      .filter(([, , , symref]) => !symref); // Skip symbolic refs like origin/HEAD
+
+    for (const [tip, refname, shortName] of refs) {
+      const kind = refname.startsWith('refs/heads/') ? 'local' : 'remote';
+      const reached = new Set();
+      const pending = [tip];
+      while (pending.length > 0) {
+        const hash = pending.pop();
+        if (reached.has(hash) || !parentsByCommit.has(hash)) continue;
+        reached.add(hash);
+        pending.push(...parentsByCommit.get(hash));
+      }
+      for (const hash of reached) {
+        if (!branchesByCommit.has(hash)) branchesByCommit.set(hash, { local: [], remote: [] });
+        branchesByCommit.get(hash)[kind].push(shortName);
+      }
+    }
+  } catch {
+    // Branch information is optional context: callers go on without it
+    return null;
+  }
+
+  for (const containing of branchesByCommit.values()) {
+    containing.local.sort();
+    containing.remote.sort();
+  }
+
+  return branchesByCommit;
+};
+
+/**
+ * Get the timestamps bounding a date range
+ * Days start and end in the selected time zone, or in the local one.
+ * @param {string} sinceDate - Start date (YYYY-MM-DD)
+ * @param {string} untilDate - End date (YYYY-MM-DD)
+ * @param {string} [timeZone] - IANA time zone (default: local)
+ * @returns {{sinceTimestamp: number, untilTimestamp: number}} First and last second of the range
+ */
+const getRangeTimestamps = (sinceDate, untilDate, timeZone) => {
+  const toTimestamp = (date, time) => timeZone
+    ? zonedTimeToTimestamp(date, time, timeZone)
+    : new Date(`${date}T${time}`).getTime() / 1000;
+  return {
+    sinceTimestamp: toTimestamp(sinceDate, '00:00:00'),
+    untilTimestamp: toTimestamp(untilDate, '23:59:59')
+  };
+};
+
+/**
+ * Get the patch-ids of commits (git show piped to git patch-id --stable)
+ * @param {string} repoPath - Repository path
+ * @param {string[]} hashes - Full commit hashes
+ * @returns {Promise<Map<string, string>>} Patch-id by commit hash; merges and empty commits have none
+ */
+const getPatchIds = (repoPath, hashes) => new Promise(resolve => {
+  if (hashes.length === 0) {
+    resolve(new Map());
+    return;
+  }
+
+  const show = spawn('git', ['-C', repoPath, 'show', '--no-color', '--no-ext-diff', '--format=commit %H', ...hashes], { stdio: ['ignore', 'pipe', 'ignore'] });
+  const patchId = spawn('git', ['-C', repoPath, 'patch-id', '--stable'], { stdio: ['pipe', 'pipe', 'ignore'] });
+  let output = '';
+  show.on('error', () => patchId.stdin.end());
+  patchId.stdin.on('error', () => show.kill());
+  show.stdout.pipe(patchId.stdin);
+  patchId.stdout.on('data', chunk => { output += chunk; });
+  patchId.on('error', () => resolve(new Map()));
+  patchId.on('close', () => {
+    resolve(new Map(output.split('\n').filter(Boolean).map(line => {
+      const [id, hash] = line.split(' ');
+      return [hash, id];
+    })));
+  });
+});
+
+/**
+ * List commits with their author timestamp, subject and body
+ * @param {string} repoPath - Repository path
+ * @param {string[]} revisionArgs - git log revision arguments
+ * @returns {Promise<Array<{hash: string, authorTimestamp: number, subject: string, body: string}>>} Commits, empty on error
+ */
+const listCommitTimestamps = async (repoPath, revisionArgs) => {
+  try {
+    const { stdout } = await execFileAsync('git', ['-C', repoPath, 'log', '--format=%H%x1f%at%x1f%s%x1f%b%x1e', ...revisionArgs], { maxBuffer: LOG_MAX_BUFFER });
+    return stdout.split('\x1e').filter(record => record.trim()).map(record => {
+      const [hash, authorTimestamp, subject, body] = record.trim().split('\x1f');
+      return { hash, authorTimestamp: parseInt(authorTimestamp, 10), subject, body };
+    });
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Get the commits rewritten in a time range, from the HEAD reflog
+ * Rebased and cherry-picked commits are paired with their originals by
+ * patch-id (see pairRewrittenCommits); amended commits replace the previous HEAD.
+ * @param {string} repoPath - Repository path
+ * @param {number} sinceTimestamp - Start timestamp (seconds)
+ * @param {number} untilTimestamp - End timestamp (seconds)
+ * @returns {Promise<Map<string, Object>>} Rewrites by full commit hash:
+ *   { type, original, originalHash, branch, onto } (original, branch and onto null when unknown);
+ *   empty without reflog (bare repositories, expired entries)
+ * @example
+ * await getCommitRewrites('/home/me/projects/api', 1763337600, 1763769599);
+ * // Map { 'b2c…' => { type: 'rebase', original: 'a1b…', originalHash: 'a1b2c3d', branch: 'topic', onto: 'main' } }
+ */
+export const getCommitRewrites = async (repoPath, sinceTimestamp, untilTimestamp) => {
+  const rewritesByCommit = new Map();
+
+  try {
+    const { stdout } = await execFileAsync('git', ['-C', repoPath, 'log', '-g', 'HEAD', '--date=unix', '--format=%H|%gd|%gs'], { maxBuffer: LOG_MAX_BUFFER });
+    const { rewrites, sessions } = findReflogRewrites(parseReflog(stdout), sinceTimestamp, untilTimestamp);
+    if (rewrites.length === 0) return rewritesByCommit;
+
+    const paired = rewrites.filter(rewrite => rewrite.type !== 'amend');
+    const rewritten = paired.length > 0
+      ? await listCommitTimestamps(repoPath, ['--no-walk=unsorted', ...paired.map(rewrite => rewrite.hash)])
+      : [];
+    const rewrittenByHash = new Map(rewritten.map(commit => [commit.hash, commit]));
+
+    // Possible originals: commits of the rebased branch (base..previous tip), and commits
+    // authored when cherry-picked commits were (cherry-picks keep the author date)
+    const sessionCandidates = await Promise.all(sessions.map(session => session.originalTip
+      ? listCommitTimestamps(repoPath, [session.originalTip, `^${session.ontoHash}`])
+      : []));
+    const cherryPicks = paired.filter(rewrite => rewrite.type === 'cherry-pick' && rewrittenByHash.has(rewrite.hash));
+    const cherryPickTimestamps = new Set(cherryPicks.map(rewrite => rewrittenByHash.get(rewrite.hash).authorTimestamp));
+    const cherryPickCandidates = cherryPicks.length > 0
+      ? (await listCommitTimestamps(repoPath, ['--all', '--reflog', `--since=@${Math.min(...cherryPickTimestamps)}`]))
+        .filter(commit => cherryPickTimestamps.has(commit.authorTimestamp))
+      : [];
+
+    const patchIds = await getPatchIds(repoPath, [...new Set([
+      ...rewritten.map(commit => commit.hash),
+      ...sessionCandidates.flat().map(commit => commit.hash),
+      ...cherryPickCandidates.map(commit => commit.hash)
+    ])]);
+    const withPatchId = commit => ({ ...commit, patchId: patchIds.get(commit.hash) ?? null });
+    const originals = new Map();
+    sessions.forEach((session, index) => {
+      const sessionCommits = session.commits.filter(hash => rewrittenByHash.has(hash)).map(hash => withPatchId(rewrittenByHash.get(hash)));
+      pairRewrittenCommits(sessionCommits, sessionCandidates[index].map(withPatchId)).forEach((original, hash) => originals.set(hash, original));
+    });
+    pairRewrittenCommits(
+      cherryPicks.map(rewrite => withPatchId(rewrittenByHash.get(rewrite.hash))),
+      cherryPickCandidates.map(withPatchId)
+    ).forEach((original, hash) => originals.set(hash, original));
+
+    for (const rewrite of rewrites) {
+      const cherryPickedFrom = rewrite.type === 'cherry-pick' ? getCherryPickedFrom(rewrittenByHash.get(rewrite.hash)?.body ?? '') : null;
+      const original = rewrite.type === 'amend' ? rewrite.previous : (cherryPickedFrom ?? originals.get(rewrite.hash) ?? null);
+      rewritesByCommit.set(rewrite.hash, {
+        type: rewrite.type,
+        original,
+        originalHash: original ? original.slice(0, 7) : null,
+        branch: rewrite.session?.branch ?? null,
+        onto: rewrite.session?.onto ?? null
+      });
+    }
+  } catch {
+    // No reflog: rewrites are left to the date heuristic
+  }
+
+  return rewritesByCommit;
+};
+
+/**
+ * Local branches tried, in order, when no remote default branch is set
+ */
+const DEFAULT_BRANCH_NAMES = ['main', 'master'];
+
+/**
+ * Get the default branch of a repository
+ * The branch origin/HEAD points to, else the first local branch of DEFAULT_BRANCH_NAMES.
+ * @param {string} repoPath - Repository path
+ * @returns {Promise<{ref: string, name: string}|null>} Full ref and display name, or null if none
+ */
+export const getDefaultBranch = async (repoPath) => {
+  try {
+    const { stdout } = await execFileAsync('git', ['-C', repoPath, 'symbolic-ref', '--quiet', 'refs/remotes/origin/HEAD']);
+    const ref = stdout.trim();
+    return { ref, name: ref.replace(/^refs\/remotes\/[^/]+\//, '') };
+  } catch {
+    // No remote default branch
+  }
+
+  for (const name of DEFAULT_BRANCH_NAMES) {
+    try {
+      await execFileAsync('git', ['-C', repoPath, 'rev-parse', '--verify', '--quiet', `refs/heads/${name}`]);
+      return { ref: `refs/heads/${name}`, name };
+    } catch {
+      // Try the next name
+    }
+  }
+  return null;
+};
+
+/**
+ * Get the commits merged into the default branch in a time range
+ * Commits reachable from the default branch but not from its tip when the
+ * range started are attributed the merge that brought them in (see
+ * findIntegratingCommits); commits made on the default branch itself and
+ * fast-forwards are left out.
+ * @param {string} repoPath - Repository path
+ * @param {number} sinceTimestamp - Start timestamp (seconds)
+ * @param {number} untilTimestamp - End timestamp (seconds)
+ * @param {Object} [options] - Options
+ * @param {string} [options.timeZone] - IANA time zone for merge dates and times (default: committer's own)
+ * @returns {Promise<{mergedByCommit: Map<string, Object>, range: string[]|null}>} Merges by full commit hash
+ *   ({ branch, hash, date, time, mergedBy, pullRequest }), and the revision range of the default branch
+ *   walked to find them; empty and null without default branch
+ * @example
+ * await getMergedCommits('/home/me/projects/api', 1763337600, 1763769599);
+ * // { mergedByCommit: Map { 'a1b…' => { branch: 'main', hash: 'f00ba47', date: '2025-11-20', time: '16:05', mergedBy: 'Alice', pullRequest: '#123' } },
+ * //   range: ['refs/remotes/origin/main', '^9e8d…'] }
+ */
+export const getMergedCommits = async (repoPath, sinceTimestamp, untilTimestamp, options = {}) => {
+  const mergedByCommit = new Map();
+  let range = null;
+
+  try {
+    const defaultBranch = await getDefaultBranch(repoPath);
+    if (!defaultBranch) return { mergedByCommit, range };
+
+    const { stdout: boundary } = await execFileAsync('git', ['-C', repoPath, 'rev-list', '-1', '--first-parent', `--before=@${sinceTimestamp}`, defaultBranch.ref]);
+    range = [defaultBranch.ref, ...(boundary.trim() ? [`^${boundary.trim()}`] : [])];
+    const [{ stdout: graph }, { stdout: firstParentLog }] = await Promise.all([
+      execFileAsync('git', ['-C', repoPath, 'rev-list', '--parents', ...range], { maxBuffer: LOG_MAX_BUFFER }),
+      execFileAsync('git', ['-C', repoPath, 'log', '--first-parent', '--abbrev=7', '--format=%x1e%H|%h|%P|%ct|%cI|%cN|%s%x1f%b', ...range], { maxBuffer: LOG_MAX_BUFFER })
+    ]);
+
+    const parentsByCommit = new Map(graph.split('\n').filter(Boolean).map(line => {
+      const [hash, ...parents] = line.split(' ');
+      return [hash, parents];
+    }));
+    const firstParents = firstParentLog.split('\x1e').filter(record => record.trim()).map(record => {
+      const [line, body = ''] = record.split('\x1f');
+      const [fullHash, hash, parents, timestamp, isoDate, mergedBy, ...subject] = line.split('|');
+      const commitTimestamp = parseInt(timestamp, 10);
+      const message = subject.join('|');
+      const { date, time } = options.timeZone
+        ? getZonedDateTime(commitTimestamp, options.timeZone)
+        : { date: isoDate.slice(0, 10), time: isoDate.slice(11, 16) };
+      return {
+        fullHash,
+        hash,
+        isMerge: parents.split(' ').length > 1,
+        inRange: commitTimestamp >= sinceTimestamp && commitTimestamp <= untilTimestamp,
+        date,
+        time,
+        mergedBy,
+        pullRequest: parsePullRequestReference(message, body.trim())
+      };
+    });
+    const mergesByHash = new Map(firstParents.filter(merge => merge.isMerge && merge.inRange).map(merge => [merge.fullHash, merge]));
+
+    findIntegratingCommits(firstParents.map(commit => commit.fullHash), parentsByCommit).forEach((integrating, commit) => {
+      const merge = mergesByHash.get(integrating);
+      if (!merge || commit === integrating) return;
+      mergedByCommit.set(commit, {
+        branch: defaultBranch.name,
+        hash: merge.hash,
+        date: merge.date,
+        time: merge.time,
+        mergedBy: merge.mergedBy,
+        pullRequest: merge.pullRequest
+      });
+    });
+  } catch {
+    // Merges are only context: the report goes on without them
+  }
+
+  return { mergedByCommit, range };
+};
+
+/**
+ * Get the ref state of a repository: a digest of HEAD and every ref
+ * @param {string} repoPath - Repository path
+ * @returns {Promise<string>} Ref state digest (stable while no ref moves)
+ */
+export const getRefState = async (repoPath) => {
+  try {
+    const { stdout } = await execFileAsync('git', ['-C', repoPath, 'show-ref', '--head']);
+    return createHash('sha1').update(stdout).digest('hex');
+  } catch {
+    return ''; // No refs yet
+  }
+};
+
+/**
+ * Rewrites and merges of each repository, with the ref state and period they were read for
+ */
+const repositoryHistoryCache = new Map();
+
+/**
+ * Get the rewrites and merges of a repository in a time range
+ * They don't depend on the authors or the other options of getUserCommits,
+ * so they are read once per repository and reused while its refs don't
+ * move (e.g. from one refresh of watch mode to the next).
+ * @param {string} repoPath - Repository path
+ * @param {number} sinceTimestamp - Start timestamp (seconds)
+ * @param {number} untilTimestamp - End timestamp (seconds)
+ * @param {Object} [options] - Options
+ * @param {string} [options.timeZone] - IANA time zone for merge dates and times (default: committer's own)
+ * @returns {Promise<{rewrites: Map<string, Object>, mergedByCommit: Map<string, Object>, mergeRange: string[]|null}>}
+ *   See getCommitRewrites and getMergedCommits
+ */
+const getRepositoryHistory = async (repoPath, sinceTimestamp, untilTimestamp, options = {}) => {
+  const key = [await getRefState(repoPath), sinceTimestamp, untilTimestamp, options.timeZone].join('|');
+  const cached = repositoryHistoryCache.get(repoPath);
+  if (cached?.key === key) return cached.history;
+
+  const history = Promise.all([
+    getCommitRewrites(repoPath, sinceTimestamp, untilTimestamp),
+    getMergedCommits(repoPath, sinceTimestamp, untilTimestamp, { timeZone: options.timeZone })
+  ]).then(([rewrites, { mergedByCommit, range }]) => ({ rewrites, mergedByCommit, mergeRange: range }));
+  repositoryHistoryCache.set(repoPath, { key, history });
+  return history;
+};
+
 /**
  * Get user commits in the repository for a given period
+ * Commits matching any of the author patterns are returned, each one tagged
+ * with the pattern that matched it (matchedAuthor) and the ticket references
+ * found in its message (tickets), including the commits listed in rebase
+ * summaries. Commits merged into the default branch during the period are
+ * tagged with that merge (mergedInto); those authored before the period are
+ * kept in a summary of the merge (rewriteType 'merge'), on the merge date.
+ * Identities are resolved through .mailmap, so aliases of a
+ * canonical identity match too.
  * @param {string} repoPath - Repository path
- * @param {string} author - Author pattern (email or partial name)
+ * @param {string|string[]} author - Author pattern(s) (email or partial name)
  * @param {string} sinceDate - Start date (YYYY-MM-DD)
  * @param {string} untilDate - End date (YYYY-MM-DD)
- * @returns {Promise<{commits: Array, rebaseSummaries: Array}>} Commits and rebase summaries
+ * @param {Object} [options] - Revision options (see getRevisionArgs)
+ * @param {boolean} [options.stats=false] - Collect per-commit diffstat with --numstat
+ * @param {boolean} [options.branches=false] - Attach the branches containing each commit
+ * @param {Object} [options.branchFilters] - Branch filters (see passesBranchFilters)
+ * @param {string} [options.ticketPattern] - Regex extracting ticket references (see createTicketExtractor)
+ * @param {string} [options.timeZone] - IANA time zone for day boundaries, dates and times (default: local)
+ * @param {boolean} [options.showAuthorTime=false] - Keep the author's own local time on each commit
+ * @param {string} [options.merges='all'] - Merge commits to keep: 'all', 'exclude' (--no-merges) or 'only' (--merges-only)
+ * @returns {Promise<{commits: Array, rebaseSummaries: Array}>} Commits, and rebase and merge summaries
+ * @throws {GitDidError} If the log of the period is too large to be read
  */
-export const getUserCommits = async (repoPath, author, sinceDate, untilDate) => {
+export const getUserCommits = async (repoPath, author, sinceDate, untilDate, options = {}) => {
   try {
-    const format = '%h|%s|%as|%at|%aI|%cs|%ct|%cI'; // short hash|subject|author date|author timestamp|author ISO|commit date|commit timestamp|commit ISO
-    // Use --all to include all branches, and filter by author date range manually
+    const authors = normalizeAuthors(author);
+    // Parse date range for filtering and rebase detection
+    const { sinceTimestamp, untilTimestamp } = getRangeTimestamps(sinceDate, untilDate, options.timeZone);
+
+    const logArgs = [
+      '--use-mailmap',
+      ...authors.map(pattern => `--author=${pattern}`),
+      `--abbrev=7`,
+      ...(options.merges === 'exclude' ? ['--no-merges'] : []),
+      ...(options.merges === 'only' ? ['--merges'] : []),
+      `--format=${COMMIT_LOG_FORMAT}`,
+      ...(options.stats ? ['--numstat'] : [])
+    ];
+
+    // Search all refs (see getRevisionArgs), and filter by author date range manually;
+    // --since prunes on CommitDate, widened by a margin for commits behind out-of-order dates
+    const cutoff = Math.floor(sinceTimestamp) - COMMIT_DATE_MARGIN;
     const { stdout } = await execFileAsync('git', [
       '-C',
       repoPath,
       'log',
-      '--all',
-      `--author=${author}`,
-      `--abbrev=7`,
-      `--format=${format}`
-    ]);
+      ...getRevisionArgs(options),
+      `--since=@${cutoff}`,
+      ...logArgs
+    ], { maxBuffer: LOG_MAX_BUFFER });
 
-    // Parse date range for filtering and rebase detection
-    const sinceTimestamp = new Date(sinceDate).getTime() / 1000;
-    const untilTimestamp = new Date(untilDate + 'T23:59:59').getTime() / 1000;
+    const { rewrites, mergedByCommit, mergeRange } = await getRepositoryHistory(repoPath, sinceTimestamp, untilTimestamp, { timeZone: options.timeZone });
+    // Commits merged during the period may have been committed before it, out of the log above
+    const { stdout: mergedStdout } = mergedByCommit.size > 0
+      ? await execFileAsync('git', ['-C', repoPath, 'log', ...mergeRange, `--until=@${cutoff - 1}`, ...logArgs], { maxBuffer: LOG_MAX_BUFFER })
+      : { stdout: '' };
+    const { commits, rebaseSummaries } = parseCommitsAndDetectRebases(stdout + mergedStdout, sinceTimestamp, untilTimestamp, {
+      rewrites,
+      mergedByCommit,
+      stats: options.stats,
+      timeZone: options.timeZone,
+      showAuthorTime: options.showAuthorTime
+    });
+    const extractTickets = createTicketExtractor(options.ticketPattern);
+    const annotate = commit => ({
+      ...commit,
+      matchedAuthor: findMatchingAuthor(commit, authors),
+      tickets: extractTickets(commit.message, commit.body),
+      ...(mergedByCommit.has(commit.fullHash) ? { mergedInto: mergedByCommit.get(commit.fullHash) } : {})
+    });
+    const result = {
+      commits: commits.map(annotate),
+      rebaseSummaries: rebaseSummaries.map(summary => ({ ...summary, commits: summary.commits.map(annotate) }))
+    };
 
-    return parseCommitsAndDetectRebases(stdout, sinceTimestamp, untilTimestamp);
-  } catch {
+    const { include = [], exclude = [] } = options.branchFilters || {};
+    if (!options.branches && include.length === 0 && exclude.length === 0) return result;
+
+    // Without branch information, commits are kept rather than all filtered out
+    const branchesByCommit = await getBranchesContaining(repoPath, sinceTimestamp);
+    if (!branchesByCommit) return result;
+    const noBranches = { local: [], remote: [] };
+    const keep = commit => passesBranchFilters(branchesByCommit.get(commit.fullHash) ?? noBranches, { include, exclude });
+
+    return {
+      commits: result.commits
+        .filter(keep)
+        .map(commit => options.branches
+          ? { ...commit, branches: selectDisplayBranches(branchesByCommit.get(commit.fullHash) ?? noBranches) }
+          : commit),
+      rebaseSummaries: result.rebaseSummaries
+        .map(summary => filterRebaseSummary(summary, keep))
+        .filter(Boolean)
+    };
+  } catch (error) {
+    // A truncated log would silently hide commits
+    if (error.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') {
+      throw new GitDidError(`git log output of ${repoPath} exceeds ${LOG_MAX_BUFFER / 1024 / 1024} MB, try a shorter period`, { cause: error });
+    }
     return { commits: [], rebaseSummaries: [] };
   }
 };
 
+/**
+ * Get the per-file diffstat of a commit
+ * Merge commits have no diffstat (as with git log --numstat).
+ * @param {string} repoPath - Repository path
+ * @param {string} hash - Commit hash
+ * @returns {Promise<Array<{path: string, insertions: number, deletions: number, binary: boolean}>>} Changed files, empty on error
+ */
+export const getCommitFileStats = async (repoPath, hash) => {
+  try {
+    const { stdout } = await execFileAsync('git', ['-C', repoPath, 'diff-tree', '--no-commit-id', '--numstat', '-r', '--root', hash], { maxBuffer: LOG_MAX_BUFFER });
+    return stdout.split('\n').filter(Boolean).map(line => {
+      const [insertions, deletions, ...path] = line.split('\t');
+      return {
+        path: path.join('\t'),
+        insertions: insertions === '-' ? 0 : parseInt(insertions, 10),
+        deletions: deletions === '-' ? 0 : parseInt(deletions, 10),
+        binary: insertions === '-'
+      };
+    });
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * git log date format of pending work entries: date and time, split on '|'
+ */
+const WIP_DATE_FORMAT = '--date=format:%Y-%m-%d|%H:%M';
+
+/**
+ * Get the date and time of a pending work entry
+ * @param {number} timestamp - Unix timestamp (seconds)
+ * @param {string} date - Date in the entry's own time zone (YYYY-MM-DD)
+ * @param {string} time - Time in the entry's own time zone (HH:MM)
+ * @param {string} [timeZone] - IANA time zone overriding the entry's own one
+ * @returns {{date: string, time: string}} Date and time
+ */
+const getWipDateTime = (timestamp, date, time, timeZone) => {
+  return timeZone ? getZonedDateTime(timestamp, timeZone) : { date, time };
+};
+
+/**
+ * Count the modified and untracked files of a working tree
+ * @param {string} repoPath - Repository path
+ * @returns {Promise<{modified: number, untracked: number}>} File counts, zeros for bare repositories or on error
+ */
+const getWorkingTreeStatus = async (repoPath) => {
+  try {
+    const { stdout } = await execFileAsync('git', ['-C', repoPath, 'status', '--porcelain'], { maxBuffer: LOG_MAX_BUFFER });
+    const lines = stdout.split('\n').filter(Boolean);
+    const untracked = lines.filter(line => line.startsWith('??')).length;
+    return { modified: lines.length - untracked, untracked };
+  } catch {
+    return { modified: 0, untracked: 0 };
+  }
+};
+
+/**
+ * Get the stashes of a repository created in a time range
+ * @param {string} repoPath - Repository path
+ * @param {number} sinceTimestamp - Start timestamp (seconds)
+ * @param {number} untilTimestamp - End timestamp (seconds)
+ * @param {string} [timeZone] - IANA time zone for dates and times
+ * @returns {Promise<Array<{ref: string, message: string, date: string, time: string}>>} Stashes, newest first
+ */
+const getStashes = async (repoPath, sinceTimestamp, untilTimestamp, timeZone) => {
+  try {
+    // Same walk as git stash list: stash@{n} is the position in the stash reflog
+    const { stdout } = await execFileAsync('git', ['-C', repoPath, 'log', '-g', '--first-parent', '-m', 'refs/stash', WIP_DATE_FORMAT, '--format=%ct|%cd|%gs']);
+    return stdout.split('\n').filter(Boolean)
+      .map((line, index) => {
+        const [timestamp, date, time, ...message] = line.split('|');
+        return { index, timestamp: parseInt(timestamp, 10), date, time, message: message.join('|') };
+      })
+      .filter(({ timestamp }) => timestamp >= sinceTimestamp && timestamp <= untilTimestamp)
+      .map(({ index, timestamp, date, time, message }) => ({
+        ref: `stash@{${index}}`,
+        message,
+        ...getWipDateTime(timestamp, date, time, timeZone)
+      }));
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Maximum number of unpushed commits listed per repository (all are counted)
+ */
+const UNPUSHED_COMMIT_LIMIT = 100;
+
+/**
+ * Get the local commits not pushed yet
+ * Each branch is compared with the ref it pushes to or its upstream, or with
+ * every remote-tracking ref when it has none (a branch never pushed).
+ * Bare repositories, and repositories whose remotes were never fetched, have
+ * nothing to compare with and report none.
+ * @param {string} repoPath - Repository path
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.authors] - Author patterns the commits must match (default: any author)
+ * @param {string} [options.timeZone] - IANA time zone for dates and times
+ * @returns {Promise<{commits: Array<{hash: string, branch: string, message: string, date: string, time: string}>, count: number}>}
+ *   Unpushed commits, newest first and at most UNPUSHED_COMMIT_LIMIT, and their total count
+ */
+const getUnpushedCommits = async (repoPath, options = {}) => {
+  const none = { commits: [], count: 0 };
+
+  try {
+    const { stdout: isBare } = await execFileAsync('git', ['-C', repoPath, 'rev-parse', '--is-bare-repository']);
+    if (isBare.trim() === 'true') return none;
+
+    const { stdout: refList } = await execFileAsync('git', [
+      '-C',
+      repoPath,
+      'for-each-ref',
+      '--format=%(refname)|%(push)|%(upstream)',
+      'refs/heads/',
+      'refs/remotes/'
+    ], { maxBuffer: LOG_MAX_BUFFER });
+    const refs = refList.split('\n').filter(Boolean).map(line => line.split('|'));
+    const existing = new Set(refs.map(([refname]) => refname));
+    const hasRemoteRefs = refs.some(([refname]) => refname.startsWith('refs/remotes/'));
+
+    const branches = [];
+    const pushedRefs = new Set();
+    for (const [refname, push, upstream] of refs.filter(([refname]) => refname.startsWith('refs/heads/'))) {
+      const target = [push, upstream].find(ref => ref && existing.has(ref));
+      if (target) {
+        branches.push(refname);
+        pushedRefs.add(target);
+      }
+      // A branch whose upstream is gone or was never fetched cannot be compared
+      else if (!push && !upstream && hasRemoteRefs) {
+        branches.push(refname);
+      }
+    }
+    if (branches.length === 0) return none;
+
+    const logArgs = [
+      '-C',
+      repoPath,
+      'log',
+      '--use-mailmap',
+      ...(options.authors ?? []).map(pattern => `--author=${pattern}`),
+      '--abbrev=7',
+      ...branches,
+      '--not',
+      ...(hasRemoteRefs ? ['--remotes'] : []),
+      ...pushedRefs
+    ];
+    // Listed up to the limit, counted in full (rev-list --count has no --use-mailmap)
+    const [{ stdout }, { stdout: hashes }] = await Promise.all([
+      execFileAsync('git', [...logArgs, `--max-count=${UNPUSHED_COMMIT_LIMIT}`, '--source', WIP_DATE_FORMAT, '--format=%h|%S|%at|%ad|%s'], { maxBuffer: LOG_MAX_BUFFER }),
+      execFileAsync('git', [...logArgs, '--format=%h'], { maxBuffer: LOG_MAX_BUFFER })
+    ]);
+    return {
+      commits: stdout.split('\n').filter(Boolean).map(line => {
+        const [hash, source, timestamp, date, time, ...message] = line.split('|');
+        return {
+          hash,
+          branch: source.replace(/^refs\/heads\//, ''),
+          message: message.join('|'),
+          ...getWipDateTime(parseInt(timestamp, 10), date, time, options.timeZone)
+        };
+      }),
+      count: hashes.split('\n').filter(Boolean).length
+    };
+  } catch {
+    return none;
+  }
+};
+
+/**
+ * Get the pending work of a repository (--wip): working tree changes, stashes
+ * created in the period and local commits not pushed yet (see getUnpushedCommits)
+ * @param {string} repoPath - Repository path
+ * @param {string} sinceDate - Start date (YYYY-MM-DD)
+ * @param {string} untilDate - End date (YYYY-MM-DD)
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.authors] - Author patterns unpushed commits must match (default: any author)
+ * @param {string} [options.timeZone] - IANA time zone for day boundaries, dates and times (default: local)
+ * @returns {Promise<Object|null>} Pending work ({ modified, untracked, stashes, unpushed, unpushedCount }),
+ *   or null if there is none
+ * @example
+ * await getWorkInProgress('/home/me/projects/api', '2025-11-17', '2025-11-21');
+ * // { modified: 2, untracked: 1, stashes: [{ ref: 'stash@{0}', message: 'WIP on main: ...', ... }], unpushed: [], unpushedCount: 0 }
+ */
+export const getWorkInProgress = async (repoPath, sinceDate, untilDate, options = {}) => {
+  const { sinceTimestamp, untilTimestamp } = getRangeTimestamps(sinceDate, untilDate, options.timeZone);
+  const [{ modified, untracked }, stashes, { commits: unpushed, count: unpushedCount }] = await Promise.all([
+    getWorkingTreeStatus(repoPath),
+    getStashes(repoPath, sinceTimestamp, untilTimestamp, options.timeZone),
+    getUnpushedCommits(repoPath, options)
+  ]);
+
+  if (modified === 0 && untracked === 0 && stashes.length === 0 && unpushedCount === 0) return null;
+  return { modified, untracked, stashes, unpushed, unpushedCount };
+};
+
+/**
+ * Check whether any line of a git log output matches, stopping git at the first match
+ * The output is streamed, so that long histories are neither buffered nor read to the end.
+ * @param {string} repoPath - Repository path
+ * @param {string[]} args - git log arguments
+ * @param {Function} predicate - Line test ((line) => boolean)
+ * @returns {Promise<boolean>} True if a line matched, false otherwise or on error
+ */
+const someLogLine = (repoPath, args, predicate) => new Promise(resolve => {
+  const log = spawn('git', ['-C', repoPath, 'log', ...args], { stdio: ['ignore', 'pipe', 'ignore'] });
+  let found = false;
+  let pending = '';
+  log.stdout.setEncoding('utf-8');
+  log.stdout.on('data', chunk => {
+    if (found) return;
+    const lines = (pending + chunk).split('\n');
+    pending = lines.pop();
+    if (lines.some(predicate)) {
+      found = true;
+      log.kill();
+    }
+  });
+  log.on('error', () => resolve(false));
+  log.on('close', () => resolve(found || (pending !== '' && predicate(pending))));
+});
+
 /**
  * Check if the repository has had activity in a date range
- * Checks both AuthorDate and CommitDate - repository is active if either is in range
+ * Looks at every commit reachable from the refs selected by getRevisionArgs,
+ * not only HEAD. Checks both AuthorDate and CommitDate - repository is active
+ * if either is in range
  * @param {string} repoPath - Repository path
  * @param {Date} sinceDate - Start date
  * @param {Date} untilDate - End date
+ * @param {Object} [options] - Revision options (see getRevisionArgs)
  * @returns {Promise<boolean>}
  */
-export const hasRecentActivity = async (repoPath, sinceDate, untilDate) => {
-  const lastCommit = await getLastCommitDate(repoPath);
-  if (!lastCommit.authorDate && !lastCommit.commitDate) return false;
+export const hasRecentActivity = async (repoPath, sinceDate, untilDate, options = {}) => {
+  const sinceTimestamp = Math.floor(sinceDate.getTime() / 1000);
+  const untilTimestamp = Math.floor(untilDate.getTime() / 1000);
 
-  // Repository is active if either AuthorDate or CommitDate is in range
-  const authorInRange = lastCommit.authorDate &&
-    lastCommit.authorDate >= sinceDate && lastCommit.authorDate <= untilDate;
-  const commitInRange = lastCommit.commitDate &&
-    lastCommit.commitDate >= sinceDate && lastCommit.commitDate <= untilDate;
+  try {
+    // A CommitDate in range: git prunes the walk on --since and stops at the first match
+    const { stdout } = await execFileAsync('git', [
+      '-C',
+      repoPath,
+      'log',
+      ...getRevisionArgs(options),
+      `--since=@${sinceTimestamp}`,
+      `--until=@${untilTimestamp}`,
+      '-1',
+      '--format=%H'
+    ], { maxBuffer: LOG_MAX_BUFFER });
+    if (stdout.trim()) return true;
+  } catch {
+    return false;
+  }
 
-  return authorInRange || commitInRange;
+  // An AuthorDate in range, on a commit made after the range (e.g. rebased since)
+  return someLogLine(repoPath, [...getRevisionArgs(options), `--since=@${untilTimestamp + 1}`, '--format=%at'], line => {
+    const authorTimestamp = parseInt(line, 10);
+    return authorTimestamp >= sinceTimestamp && authorTimestamp <= untilTimestamp;
+  });
 };
 
 /**
@@ -105,15 +931,22 @@ export const hasRecentActivity = async (repoPath, sinceDate, untilDate) => {
  * @param {Date} untilDate - End date for activity check
  * @param {Set<string>} visited - Set of already visited paths (to avoid loops)
  * @param {string} rootPath - Root path for relative path calculation
- * @param {RegExp[]} ignoreRegexes - Array of ignore pattern regexes
+ * @param {Array<Object>} ignoreRules - Ignore rules applying to this directory (see compileIgnorePattern);
+ *   the .didignore file of each subdirectory traversed adds rules for what lies below it
+ * @param {Object} [options] - Discovery options
+ * @param {boolean} [options.submodules=false] - Also look into submodules of found repositories
+ * @param {boolean} [options.reflog=false] - Also consider commits only reachable from reflogs
+ * @param {Function} [options.onError] - Called with the path and the error of each directory that
+ *   cannot be read (permission errors excepted); such directories are skipped
  * @returns {Promise<string[]>}
  */
-export const findActiveGitRepos = async (dirPath, sinceDate, untilDate, visited = new Set(), rootPath = null, ignoreRegexes = []) => {
+export const findActiveGitRepos = async (dirPath, sinceDate, untilDate, visited = new Set(), rootPath = null, ignoreRules = [], options = {}) => {
   const activeRepos = [];
 
-  // Set root path on first call
+  // Set root path on first call, and de-duplicate worktrees once traversal is done
   if (rootPath === null) {
-    rootPath = dirPath;
+    const repos = await findActiveGitRepos(dirPath, sinceDate, untilDate, visited, dirPath, ignoreRules, options);
+    return dedupeSharedRepositories(repos);
   }
 
   // Avoid infinite loops with symbolic links
@@ -128,34 +961,47 @@ export const findActiveGitRepos = async (dirPath, sinceDate, untilDate, visited
 
   // Check if this path should be ignored
   const relativePath = relative(rootPath, dirPath);
-  if (relativePath && shouldIgnorePath(relativePath, ignoreRegexes)) {
+  if (relativePath && shouldIgnorePath(relativePath, ignoreRules)) {
     return activeRepos;
   }
 
   try {
     // Check if it's a Git repository
     if (await isGitRepository(dirPath)) {
-      const hasActivity = await hasRecentActivity(dirPath, sinceDate, untilDate);
+      const hasActivity = await hasRecentActivity(dirPath, sinceDate, untilDate, options);
       if (hasActivity) {
         activeRepos.push(dirPath);
       }
-      // Don't descend into subdirectories of a Git repository
+
+      // Submodules are the only subdirectories of a Git repository worth visiting
+      if (options.submodules) {
+        const submodulePaths = await getSubmodulePaths(dirPath);
+        const subResults = await Promise.all(submodulePaths.map(subPath =>
+          findActiveGitRepos(subPath, sinceDate, untilDate, visited, rootPath, ignoreRules, options)
+        ));
+        subResults.forEach(subRepos => activeRepos.push(...subRepos));
+      }
+
+      // Don't descend into other subdirectories of a Git repository
       return activeRepos;
     }
 
-    // Read directory contents
+    // Read directory contents, and the rules of its own ignore file (the root one is given)
     const entries = await readdir(dirPath, { withFileTypes: true });
+    const rules = relativePath
+      ? [...ignoreRules, ...await loadIgnoreRules(join(dirPath, IGNORE_FILE_NAME), relativePath)]
+      : ignoreRules;
 
     // Recursively traverse subdirectories in parallel
     const subdirPromises = entries
       .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
       .map(entry => {
         const fullPath = join(dirPath, entry.name);
-        return findActiveGitRepos(fullPath, sinceDate, untilDate, visited, rootPath, ignoreRegexes)
+        return findActiveGitRepos(fullPath, sinceDate, untilDate, visited, rootPath, rules, options)
           .catch(error => {
             // Ignore permission errors, etc.
             if (error.code !== 'EACCES' && error.code !== 'EPERM') {
-              console.error(`Error traversing ${fullPath}:`, error.message);
+              options.onError?.(fullPath, error);
             }
             return [];
           });
@@ -165,7 +1011,7 @@ export const findActiveGitRepos = async (dirPath, sinceDate, untilDate, visited
     subResults.forEach(subRepos => activeRepos.push(...subRepos));
   } catch (error) {
     if (error.code !== 'EACCES' && error.code !== 'EPERM') {
-      console.error(`Error reading ${dirPath}:`, error.message);
+      options.onError?.(dirPath, error);
     }
   }
 
@@ -0,0 +1,80 @@
+/**
+ * Merge and pull request detection
+ *
+ * Merge commits are recognised by their parents, and the pull or merge
+ * request they integrated by the messages hosting services write
+ * ("Merge pull request #123 from …", "See merge request group/project!45", …).
+ * Commits that became reachable from the default branch during the period
+ * are attributed the first-parent commit of the default branch that brought
+ * them in, so that work merged by someone else shows up in the report.
+ *
+ * @module core/merge-detection
+ */
+
+/**
+ * Pull request references written by hosting services, each with the
+ * message part it is found in and the prefix of the reference
+ */
+const PULL_REQUEST_PATTERNS = [
+  // GitHub merge commits
+  { field: 'message', regex: /^Merge pull request #(\d+) /, prefix: '#' },
+  // GitLab merge commits
+  { field: 'body', regex: /^See merge request [\w./-]*!(\d+)$/m, prefix: '!' },
+  // Bitbucket Cloud
+  { field: 'message', regex: /\(pull request #(\d+)\)$/, prefix: '#' },
+  // Bitbucket Server
+  { field: 'message', regex: /^Pull request #(\d+): /, prefix: '#' },
+  // Azure DevOps
+  { field: 'message', regex: /^Merged PR (\d+): /, prefix: '#' },
+  // GitHub squash merges
+  { field: 'message', regex: / \(#(\d+)\)$/, prefix: '#' }
+];
+
+/**
+ * Find the pull or merge request a commit message refers to
+ * @param {string} message - Commit subject
+ * @param {string} [body=''] - Commit body
+ * @returns {string|null} Reference (e.g. "#123" or "!45"), or null if none
+ * @example
+ * parsePullRequestReference('Merge pull request #123 from alice/login');
+ * // '#123'
+ * parsePullRequestReference("Merge branch 'login' into 'main'", 'See merge request team/app!45');
+ * // '!45'
+ */
+export const parsePullRequestReference = (message, body = '') => {
+  for (const { field, regex, prefix } of PULL_REQUEST_PATTERNS) {
+    const match = (field === 'body' ? body : message).match(regex);
+    if (match) return `${prefix}${match[1]}`;
+  }
+  return null;
+};
+
+/**
+ * Attribute commits to the first-parent commit of a branch that integrated them
+ *
+ * Walks the parents of each first-parent commit, oldest first, so that each
+ * commit is attributed the earliest one it became reachable from.
+ *
+ * @param {Array<string>} firstParents - First-parent commits of the branch, newest first
+ * @param {Map<string, string[]>} parentsByCommit - Parents of every commit to attribute
+ *   (commits missing from the map are not walked)
+ * @returns {Map<string, string>} Integrating first-parent commit by commit hash
+ * @example
+ * findIntegratingCommits(['m2', 'm1'], new Map([['m2', ['m1', 'c2']], ['c2', ['c1']], ['c1', ['m0']], ['m1', ['m0']]]));
+ * // Map { 'm1' => 'm1', 'm2' => 'm2', 'c2' => 'm2', 'c1' => 'm2' }
+ */
+export const findIntegratingCommits = (firstParents, parentsByCommit) => {
+  const integratedBy = new Map();
+
+  for (const firstParent of [...firstParents].reverse()) {
+    const pending = [firstParent];
+    while (pending.length > 0) {
+      const commit = pending.pop();
+      if (integratedBy.has(commit) || !parentsByCommit.has(commit)) continue;
+      integratedBy.set(commit, firstParent);
+      pending.push(...parentsByCommit.get(commit));
+    }
+  }
+
+  return integratedBy;
+};
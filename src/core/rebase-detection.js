@@ -1,9 +1,65 @@
 /**
  * Rebase detection logic for Git commits
+ * Rewrites found in the reflog (see rewrite-detection) take precedence over
+ * the date heuristic of isRebasedCommit.
  * @module rebase-detection
  */
 
 import { createRebaseSummary } from '../shared/types/activity-entry.js';
+import { getZonedDateTime } from '../utils/timezone.js';
+import { parsePullRequestReference } from './merge-detection.js';
+
+/**
+ * git log format parsed by parseCommitsAndDetectRebases
+ * Each record starts with a record separator (0x1E), followed by
+ * short hash|full hash|author date|author timestamp|author ISO|commit date|commit timestamp|commit ISO|
+ * author name|author email|mailmapped author name|mailmapped author email|parent hashes|subject
+ * then the body between unit separators (0x1F). --numstat lines, if any, come last.
+ */
+export const COMMIT_LOG_FORMAT = '%x1e%h|%H|%as|%at|%aI|%cs|%ct|%cI|%an|%ae|%aN|%aE|%P|%s%x1f%b%x1f';
+
+/**
+ * Separators used by COMMIT_LOG_FORMAT
+ */
+const RECORD_SEPARATOR = '\x1e';
+const UNIT_SEPARATOR = '\x1f';
+
+/**
+ * Number of fixed fields preceding the subject in COMMIT_LOG_FORMAT
+ */
+const COMMIT_FIELD_COUNT = 13;
+
+/**
+ * Matches a Conventional Commits header: type(scope)!: description
+ */
+const CONVENTIONAL_HEADER_REGEX = /^(\w+)(?:\(([^()]*)\))?(!)?: (.+)$/;
+
+/**
+ * Matches a breaking change footer in a commit body
+ */
+const BREAKING_FOOTER_REGEX = /^BREAKING[ -]CHANGE: /m;
+
+/**
+ * Parse a Conventional Commits message (https://www.conventionalcommits.org)
+ * @param {string} message - Commit subject
+ * @param {string} [body=''] - Commit body (checked for BREAKING CHANGE footers)
+ * @returns {{type: string, scope: string|null, breaking: boolean, description: string}|null} Parsed fields, or null if not conforming
+ * @example
+ * parseConventionalCommit('feat(api)!: drop v1 endpoints');
+ * // { type: 'feat', scope: 'api', breaking: true, description: 'drop v1 endpoints' }
+ */
+export const parseConventionalCommit = (message, body = '') => {
+  const match = message.match(CONVENTIONAL_HEADER_REGEX);
+  if (!match) return null;
+
+  const [, type, scope, bang, description] = match;
+  return {
+    type: type.toLowerCase(),
+    scope: scope || null,
+    breaking: Boolean(bang) || BREAKING_FOOTER_REGEX.test(body),
+    description
+  };
+};
 
 /**
  * Check if a commit was rebased (CommitDate significantly different from AuthorDate)
@@ -46,58 +102,187 @@ export const groupCommitsByDate = (commits, dateExtractor) => {
   }, {});
 };
 
+/**
+ * Keep the fields of a commit listed in a summary
+ * @param {Object} commit - Parsed commit
+ * @returns {Object} Summary commit
+ */
+const toSummaryCommit = (commit) => ({
+  hash: commit.hash,
+  fullHash: commit.fullHash,
+  date: commit.date,
+  message: commit.message,
+  authorName: commit.authorName,
+  authorEmail: commit.authorEmail,
+  identity: commit.identity,
+  ...(commit.rewrite ? { rewrite: commit.rewrite } : {})
+});
+
 /**
  * Create rebase summaries from grouped rebased commits
- * @param {Object} rebasesByDate - Commits grouped by commit date
+ * Commits of a group share their commit date and, when known from the reflog,
+ * their rewrite type, branch and base.
+ * @param {Object} rebasesByDate - Commits grouped by commit date (and rewrite)
  * @returns {Array<Object>} Array of rebase summary objects
  */
 export const createRebaseSummaries = (rebasesByDate) => {
-  return Object.entries(rebasesByDate).map(([commitDate, commits]) => {
+  return Object.values(rebasesByDate).map(commits => {
     // Find the date range of original commits
     const authorDates = commits.map(c => c.date).sort();
     const firstDate = authorDates[0];
     const lastDate = authorDates[authorDates.length - 1];
-
-    // Get the time from the first commit's CommitDate (ISO format)
-    const firstCommit = commits[0];
-    const commitTime = firstCommit.commitIsoDate.split('T')[1].substring(0, 5);
+    const { rewrite } = commits[0];
 
     return createRebaseSummary({
-      commitDate,
-      commitTime,
+      commitDate: commits[0].commitDate,
+      commitTime: commits[0].commitTime,
+      rewriteType: rewrite?.type,
+      branch: rewrite?.branch,
+      onto: rewrite?.onto,
       count: commits.length,
       firstAuthorDate: firstDate,
       lastAuthorDate: lastDate,
-      commits: commits.map(c => ({ hash: c.hash, date: c.date, message: c.message }))
+      commits: commits.map(toSummaryCommit)
     });
   });
 };
 
+/**
+ * Create merge summaries: commits merged into the default branch during the
+ * period but authored before it, one summary per merge, on the merge date
+ * @param {Object} commitsByMerge - Merged commits grouped by merge hash
+ * @param {Map<string, Object>} mergedByCommit - Merges by full commit hash (see getMergedCommits)
+ * @returns {Array<Object>} Summaries with rewriteType 'merge' and the merge in mergedInto
+ */
+export const createMergeSummaries = (commitsByMerge, mergedByCommit) => {
+  return Object.values(commitsByMerge).map(commits => {
+    const authorDates = commits.map(c => c.date).sort();
+    const merge = mergedByCommit.get(commits[0].fullHash);
+
+    return createRebaseSummary({
+      commitDate: merge.date,
+      commitTime: merge.time,
+      rewriteType: 'merge',
+      mergedInto: merge,
+      count: commits.length,
+      firstAuthorDate: authorDates[0],
+      lastAuthorDate: authorDates[authorDates.length - 1],
+      commits: commits.map(toSummaryCommit)
+    });
+  });
+};
+
+/**
+ * Matches a `git log --numstat` line: insertions, deletions ("-" for binary files) and path
+ */
+const NUMSTAT_LINE_REGEX = /^(\d+|-)\t(\d+|-)\t/;
+
+/**
+ * Split git log output into one record per commit
+ * Numstat lines following a commit's body are attached to that commit's record
+ * @param {string} stdout - Git log output (COMMIT_LOG_FORMAT), optionally with --numstat
+ * @returns {Array<{line: string, body: string, stats: {files: number, insertions: number, deletions: number}}>} Commit records
+ */
+export const splitLogRecords = (stdout) => {
+  return stdout
+    .split(RECORD_SEPARATOR)
+    .filter(chunk => chunk.trim())
+    .map(chunk => {
+      const [line, body = '', numstatOutput = ''] = chunk.split(UNIT_SEPARATOR);
+      const stats = { files: 0, insertions: 0, deletions: 0 };
+
+      for (const numstatLine of numstatOutput.split('\n')) {
+        const numstat = numstatLine.match(NUMSTAT_LINE_REGEX);
+        if (!numstat) continue;
+        stats.files += 1;
+        stats.insertions += numstat[1] === '-' ? 0 : parseInt(numstat[1], 10);
+        stats.deletions += numstat[2] === '-' ? 0 : parseInt(numstat[2], 10);
+      }
+
+      return { line: line.trim(), body: body.trim(), stats };
+    });
+};
+
+/**
+ * Keep only the commits of a rebase summary matching a predicate
+ * Count and author date range are recomputed from the remaining commits
+ * @param {Object} summary - Rebase summary
+ * @param {Function} predicate - Function receiving a summary commit, returns true to keep it
+ * @returns {Object|null} Filtered rebase summary, or null if no commit remains
+ */
+export const filterRebaseSummary = (summary, predicate) => {
+  const commits = summary.commits.filter(predicate);
+  if (commits.length === 0) return null;
+
+  const authorDates = commits.map(c => c.date).sort();
+  return createRebaseSummary({
+    ...summary,
+    count: commits.length,
+    firstAuthorDate: authorDates[0],
+    lastAuthorDate: authorDates[authorDates.length - 1],
+    commits
+  });
+};
+
+/**
+ * Get the date, HH:MM time and UTC offset of an ISO 8601 date as written
+ * @param {string} isoDate - ISO 8601 date (e.g. "2025-11-21T23:30:00+02:00")
+ * @returns {{date: string, time: string, offset: string}} Local date, time and offset
+ */
+const splitIsoDate = (isoDate) => {
+  const [date, rest] = isoDate.split('T');
+  const offset = rest.slice(8);
+  return { date, time: rest.substring(0, 5), offset: offset === 'Z' ? '+00:00' : offset };
+};
+
 /**
  * Parse commit data and detect rebases
- * @param {string} stdout - Git log output
+ * Dates and times are the author's and committer's own local ones, or the
+ * ones in options.timeZone when set (so that every commit is grouped on the
+ * same calendar).
+ * @param {string} stdout - Git log output (COMMIT_LOG_FORMAT, optionally with --numstat)
  * @param {number} sinceTimestamp - Start timestamp (seconds)
  * @param {number} untilTimestamp - End timestamp (seconds)
+ * @param {Object} [options] - Parsing options
+ * @param {Map<string, Object>} [options.rewrites] - Rewrites found in the reflog, by full hash (see getCommitRewrites)
+ * @param {Map<string, Object>} [options.mergedByCommit] - Merges into the default branch during the period, by full hash (see getMergedCommits)
+ * @param {boolean} [options.stats=false] - Attach diffstat (files, insertions, deletions) to each commit
+ * @param {string} [options.timeZone] - IANA time zone the dates and times are normalised to
+ * @param {boolean} [options.showAuthorTime=false] - Keep the author's own local time (authorLocalDate, authorLocalTime, authorOffset)
  * @returns {Object} Object with commits and rebase summaries
  */
-export const parseCommitsAndDetectRebases = (stdout, sinceTimestamp, untilTimestamp) => {
+export const parseCommitsAndDetectRebases = (stdout, sinceTimestamp, untilTimestamp, options = {}) => {
   if (!stdout.trim()) return { commits: [], rebaseSummaries: [] };
 
-  const allCommits = stdout
-    .trim()
-    .split('\n')
-    .map(line => {
+  const allCommits = splitLogRecords(stdout)
+    .map(({ line, body, stats }) => {
       const parts = line.split('|');
-      const hash = parts[0];
-      const date = parts[2];
-      const timestamp = parseInt(parts[3], 10);
-      const authorIsoDate = parts[4];
-      const commitDate = parts[parts.length - 3];
-      const commitTimestamp = parseInt(parts[parts.length - 2], 10);
-      const commitIsoDate = parts[parts.length - 1];
-      // Message is everything between first and last 6 pipes (handles pipes in message)
-      const message = parts.slice(1, -6).join('|');
-      const time = authorIsoDate.split('T')[1].substring(0, 5);
+      const [
+        hash,
+        fullHash,
+        authorDate,
+        rawTimestamp,
+        authorIsoDate,
+        committerDate,
+        rawCommitTimestamp,
+        commitIsoDate,
+        authorName,
+        authorEmail,
+        mailmapName,
+        mailmapEmail,
+        parents
+      ] = parts;
+      const timestamp = parseInt(rawTimestamp, 10);
+      const commitTimestamp = parseInt(rawCommitTimestamp, 10);
+      // Message is the last field: everything after the fixed fields (handles pipes in message)
+      const message = parts.slice(COMMIT_FIELD_COUNT).join('|');
+      const authorLocal = splitIsoDate(authorIsoDate);
+      const { date, time } = options.timeZone
+        ? getZonedDateTime(timestamp, options.timeZone)
+        : { date: authorDate, time: authorLocal.time };
+      const { date: commitDate, time: commitTime } = options.timeZone
+        ? getZonedDateTime(commitTimestamp, options.timeZone)
+        : { date: committerDate, time: splitIsoDate(commitIsoDate).time };
 
       // Check if AuthorDate is in range
       const authorInRange = timestamp >= sinceTimestamp && timestamp <= untilTimestamp;
@@ -105,37 +290,66 @@ export const parseCommitsAndDetectRebases = (stdout, sinceTimestamp, untilTimest
       // Check if CommitDate is in range
       const commitInRange = commitTimestamp >= sinceTimestamp && commitTimestamp <= untilTimestamp;
 
-      // Detect rebase
-      const isRebase = isRebasedCommit(timestamp, commitTimestamp);
+      // Detect rebase: the reflog tells how a commit was rewritten, the date
+      // heuristic covers commits it doesn't know (expired reflogs, other clones)
+      const rewrite = options.rewrites?.get(fullHash) ?? null;
+      const isRebase = rewrite ? rewrite.type === 'rebase' || rewrite.type === 'squash' : isRebasedCommit(timestamp, commitTimestamp);
 
       return {
         hash,
+        fullHash,
         message,
+        body,
+        conventional: parseConventionalCommit(message, body),
+        isMerge: parents.split(' ').length > 1,
+        pullRequest: parsePullRequestReference(message, body),
+        authorName: mailmapName || authorName,
+        authorEmail: mailmapEmail || authorEmail,
+        identity: `${authorName} <${authorEmail}>`,
         date,
         time,
         timestamp,
         commitDate,
+        commitTime,
         commitTimestamp,
         commitIsoDate,
         isRebase,
+        ...(rewrite ? { rewrite } : {}),
         authorInRange,
-        commitInRange
+        commitInRange,
+        ...(options.stats ? { stats } : {}),
+        ...(options.showAuthorTime
+          ? { authorLocalDate: authorLocal.date, authorLocalTime: authorLocal.time, authorOffset: authorLocal.offset }
+          : {})
       };
     });
 
   // Regular commits: authored in the date range
   const commits = filterCommitsByDateRange(allCommits, sinceTimestamp, untilTimestamp, 'authorInRange');
 
-  // Rebased commits: rebased during the period but authored outside
+  // Rebased commits: rewritten during the period but authored outside
   const rebasedCommits = allCommits.filter(commit =>
-    commit.isRebase && commit.commitInRange && !commit.authorInRange
+    (commit.isRebase || commit.rewrite) && commit.commitInRange && !commit.authorInRange
   );
 
-  // Group rebased commits by CommitDate
-  const rebasesByDate = groupCommitsByDate(rebasedCommits, commit => commit.commitDate);
+  // Group rebased commits by CommitDate, then by rewrite (type, branch and base)
+  const rebasesByDate = groupCommitsByDate(rebasedCommits, ({ commitDate, rewrite }) =>
+    rewrite ? [commitDate, rewrite.type, rewrite.branch, rewrite.onto].join('|') : commitDate
+  );
+
+  // Merged commits: merged during the period but authored outside, and not rewritten in it
+  const rebased = new Set(rebasedCommits);
+  const mergedByCommit = options.mergedByCommit ?? new Map();
+  const mergedCommits = allCommits.filter(commit =>
+    !commit.authorInRange && !rebased.has(commit) && mergedByCommit.has(commit.fullHash)
+  );
+  const commitsByMerge = groupCommitsByDate(mergedCommits, commit => mergedByCommit.get(commit.fullHash).hash);
 
   // Create summary entries
-  const rebaseSummaries = createRebaseSummaries(rebasesByDate);
+  const rebaseSummaries = [
+    ...createRebaseSummaries(rebasesByDate),
+    ...createMergeSummaries(commitsByMerge, mergedByCommit)
+  ];
 
   return { commits, rebaseSummaries };
 };
@@ -0,0 +1,163 @@
+/**
+ * Report Options
+ *
+ * This module merges report options with the did.* git configuration and
+ * validates the option values that need parsing. Shared by the library
+ * (collectActivity) and the CLI; pure functions that throw
+ * InvalidOptionError on invalid values.
+ *
+ * @module core/report-options
+ */
+
+import { InvalidOptionError } from '../shared/types/errors.js';
+
+/**
+ * Merge CLI options with git configuration
+ *
+ * CLI options take priority over git config values.
+ * Provides sensible defaults for all configuration options.
+ *
+ * @param {Object} cliOptions - Options from command line
+ * @param {Object} gitConfig - Parsed git config values
+ * @returns {Object} Merged configuration
+ */
+export const mergeConfig = (cliOptions, gitConfig) => {
+  const config = {
+    path: cliOptions.path,
+    days: cliOptions.days ?? gitConfig.defaultDays ?? 7,
+    since: cliOptions.since,
+    until: cliOptions.until,
+    project: cliOptions.project ?? (gitConfig.defaultMode === 'project'),
+    short: cliOptions.short ?? (gitConfig.defaultMode === 'short'),
+    author: cliOptions.author ?? gitConfig.author ?? (gitConfig.defaultAuthor ? [gitConfig.defaultAuthor] : undefined),
+    format: cliOptions.format ?? gitConfig.defaultFormat ?? 'text',
+    color: cliOptions.color,
+    submodules: cliOptions.submodules ?? gitConfig.submodules ?? false,
+    reflog: cliOptions.reflog ?? gitConfig.reflog ?? false,
+    team: cliOptions.team,
+    stat: cliOptions.stat ?? gitConfig.stat ?? false,
+    stats: cliOptions.stats ?? false,
+    heatmap: cliOptions.heatmap ?? false,
+    interactive: cliOptions.interactive ?? false,
+    watch: cliOptions.watch ?? false,
+    wip: cliOptions.wip ?? false,
+    noMerges: cliOptions.merges === false,
+    mergesOnly: cliOptions.mergesOnly ?? false,
+    showBranches: cliOptions.showBranches ?? gitConfig.showBranches ?? false,
+    sessions: cliOptions.sessions ?? gitConfig.sessions ?? false,
+    // did.standup only applies when no explicit period is given
+    standup: cliOptions.standup ??
+      (cliOptions.days === undefined && !cliOptions.since && !cliOptions.until && !cliOptions.week && !cliOptions.month ? gitConfig.standup : undefined) ??
+      false,
+    week: cliOptions.week,
+    month: cliOptions.month,
+    sprintLength: gitConfig.sprintLength,
+    sprintStart: gitConfig.sprintStart,
+    workdays: gitConfig.workdays,
+    holidayFile: gitConfig.holidayFile,
+    ignoreFile: gitConfig.ignoreFile,
+    timezone: cliOptions.timezone ?? gitConfig.timezone,
+    showAuthorTime: cliOptions.showAuthorTime ?? gitConfig.showAuthorTime ?? false,
+    index: cliOptions.index ?? gitConfig.index ?? true,
+    indexMaxAge: gitConfig.indexMaxAge,
+    sessionGap: cliOptions.sessionGap ?? gitConfig.sessionMaxGap,
+    sessionPadding: cliOptions.sessionPadding ?? gitConfig.sessionPadding,
+    branch: cliOptions.branch,
+    excludeBranch: cliOptions.excludeBranch,
+    groupBy: cliOptions.groupBy,
+    columns: cliOptions.columns,
+    ticketPattern: gitConfig.ticketPattern,
+    ticketUrl: gitConfig.ticketUrl
+  };
+
+  // Handle colors config: 'auto', 'always', 'never'
+  if (gitConfig.colors && config.color === undefined) {
+    if (gitConfig.colors === 'always') {
+      config.color = true;
+    } else if (gitConfig.colors === 'never') {
+      config.color = false;
+    }
+    // 'auto' is the default behavior (undefined)
+  }
+
+  return config;
+};
+
+/**
+ * Validate the number of days to look back
+ *
+ * @param {string|number} value - Option value (0 covers today only)
+ * @returns {number} Number of days
+ * @throws {InvalidOptionError} If the value is not a non-negative whole number
+ *
+ * @example
+ * parseDays('14');
+ * // => 14
+ */
+export const parseDays = (value) => {
+  const days = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+  if (!Number.isInteger(days) || days < 0) {
+    throw new InvalidOptionError(`Invalid days value "${value}". Expected a non-negative whole number of days`, { option: 'days' });
+  }
+  return days;
+};
+
+/**
+ * Fields supported by --group-by
+ */
+export const GROUP_BY_FIELDS = ['ticket', 'type'];
+
+/**
+ * Validate a --group-by value
+ *
+ * @param {string} [groupBy] - Grouping field
+ * @returns {string|null} Normalized grouping field, or null if not set
+ * @throws {InvalidOptionError} If the field is not supported
+ */
+export const parseGroupBy = (groupBy) => {
+  if (!groupBy) return null;
+  const field = groupBy.toLowerCase();
+  if (!GROUP_BY_FIELDS.includes(field)) {
+    throw new InvalidOptionError(`Invalid --group-by value "${groupBy}". Supported values: ${GROUP_BY_FIELDS.join(', ')}`, { option: '--group-by' });
+  }
+  return field;
+};
+
+/**
+ * Validate a duration option given in minutes
+ *
+ * @param {string|number} [value] - Option value
+ * @param {string} optionName - Option name, for error messages
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.allowZero=false] - Whether 0 is accepted
+ * @returns {number|undefined} Number of minutes, or undefined if not set
+ * @throws {InvalidOptionError} If the value is not a valid number of minutes
+ *
+ * @example
+ * parseMinutes('90', '--session-gap');
+ * // => 90
+ */
+export const parseMinutes = (value, optionName, options = {}) => {
+  if (value === undefined) return undefined;
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 0 || (minutes === 0 && !options.allowZero)) {
+    throw new InvalidOptionError(`Invalid ${optionName} value "${value}". Expected a ${options.allowZero ? 'non-negative' : 'positive'} number of minutes`, { option: optionName });
+  }
+  return minutes;
+};
+
+/**
+ * Parse an inline team member list
+ *
+ * Used when the --team value is not the name of a did.team.<name> config entry.
+ *
+ * @param {string} value - Comma-separated author patterns
+ * @returns {string[]} Author patterns
+ *
+ * @example
+ * parseTeamMembers('alice@example.com, bob');
+ * // => ['alice@example.com', 'bob']
+ */
+export const parseTeamMembers = (value) => {
+  return value.split(',').map(member => member.trim()).filter(Boolean);
+};
@@ -0,0 +1,349 @@
+/**
+ * Persistent repository index
+ *
+ * Walking a large directory tree to find repositories dominates execution
+ * time, so the repositories found under a search root are kept in an index
+ * file under the XDG cache directory, with the modification time of every
+ * directory traversed and the last seen ref state of every repository.
+ *
+ * A normal run only re-reads the directories that changed: an entry was added
+ * or removed (their modification time changed), or their .didignore file was
+ * edited. It only runs git log on the repositories whose refs moved or whose
+ * last commit is recent enough. The whole tree is walked again when the index
+ * is older than its maximum age, or on `git did index --rebuild`.
+ *
+ * @module core/repository-index
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, readdir, readFile, rename, stat, writeFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { dirname, join, relative, resolve, sep } from 'node:path';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { dedupeSharedRepositories, getRefState, getSubmodulePaths, hasRecentActivity, isGitRepository } from './git-operations.js';
+import { IGNORE_FILE_NAME, loadIgnoreRules, loadNestedIgnoreRules, shouldIgnorePath } from '../utils/file-patterns.js';
+import { MS_PER_DAY } from '../shared/display/date-utils.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Index file format version, bumped when the format changes
+ */
+const INDEX_VERSION = 2;
+
+/**
+ * Default maximum age of an index before a full rescan (days)
+ */
+export const DEFAULT_INDEX_MAX_AGE = 7;
+
+/**
+ * Get the git-did cache directory
+ * @returns {string} $XDG_CACHE_HOME/git-did, or ~/.cache/git-did
+ */
+export const getCacheDir = () => {
+  return join(process.env.XDG_CACHE_HOME || join(homedir(), '.cache'), 'git-did');
+};
+
+/**
+ * Get the index file of a search root
+ * @param {string} rootPath - Search root
+ * @param {string} [cacheDir=getCacheDir()] - Cache directory
+ * @returns {string} Index file path (one file per resolved root)
+ */
+export const getIndexPath = (rootPath, cacheDir = getCacheDir()) => {
+  const key = createHash('sha1').update(resolve(rootPath)).digest('hex').slice(0, 16);
+  return join(cacheDir, `repositories-${key}.json`);
+};
+
+/**
+ * Create an empty index
+ * @param {string} rootPath - Search root
+ * @param {Object} settings - Discovery settings the index depends on ({ ignore, submodules })
+ * @returns {Object} Index ({ version, root, settings, scannedAt, directories, repositories })
+ */
+const createIndex = (rootPath, settings) => ({
+  version: INDEX_VERSION,
+  root: resolve(rootPath),
+  settings,
+  scannedAt: Date.now(),
+  directories: {},
+  repositories: {}
+});
+
+/**
+ * Load the index of a search root
+ * @param {string} rootPath - Search root
+ * @param {Object} settings - Discovery settings the index depends on
+ * @param {string} [cacheDir] - Cache directory
+ * @returns {Promise<Object|null>} Index, or null if missing, unreadable or built with other settings
+ */
+export const loadRepositoryIndex = async (rootPath, settings, cacheDir) => {
+  try {
+    const index = JSON.parse(await readFile(getIndexPath(rootPath, cacheDir), 'utf-8'));
+    if (index.version !== INDEX_VERSION || index.root !== resolve(rootPath)) return null;
+    if (JSON.stringify(index.settings) !== JSON.stringify(settings)) return null;
+    return index;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Save the index of a search root
+ * The file is replaced atomically. The index is only a cache: failing to
+ * write it (e.g. read-only cache directory) is not an error.
+ * @param {Object} index - Index
+ * @param {string} [cacheDir=getCacheDir()] - Cache directory
+ * @returns {Promise<boolean>} True if the index was written
+ */
+export const saveRepositoryIndex = async (index, cacheDir = getCacheDir()) => {
+  const indexPath = getIndexPath(index.root, cacheDir);
+  const tempPath = `${indexPath}.${process.pid}.tmp`;
+  try {
+    await mkdir(cacheDir, { recursive: true });
+    await writeFile(tempPath, JSON.stringify(index));
+    await rename(tempPath, indexPath);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Remove a directory and everything below it from the index
+ * @param {Object} index - Index
+ * @param {string} relativePath - Directory path relative to the root
+ */
+const removeSubtree = (index, relativePath) => {
+  const isInside = path => path === relativePath || relativePath === '' || path.startsWith(`${relativePath}${sep}`);
+  for (const path of Object.keys(index.directories)) {
+    if (isInside(path)) delete index.directories[path];
+  }
+  for (const path of Object.keys(index.repositories)) {
+    if (isInside(path)) delete index.repositories[path];
+  }
+};
+
+/**
+ * Get the modification time of the ignore file of a directory
+ * @param {string} dirPath - Directory path
+ * @returns {Promise<number|null>} Modification time (ms), or null if there is no ignore file
+ */
+const getIgnoreFileMtime = async (dirPath) => {
+  try {
+    return (await stat(join(dirPath, IGNORE_FILE_NAME))).mtimeMs;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Get the parent of a path relative to the search root
+ * @param {string} relativePath - Path relative to the search root
+ * @returns {string} Parent path ('' for the root)
+ */
+const getParentPath = (relativePath) => {
+  const parent = dirname(relativePath);
+  return parent === '.' ? '' : parent;
+};
+
+/**
+ * Walk a directory tree and record its directories and repositories
+ * Same traversal rules as findActiveGitRepos: hidden directories are skipped,
+ * repositories are not descended into (except for submodules when enabled)
+ * and ignored paths are neither recorded nor visited.
+ * @param {string} dirPath - Directory path
+ * @param {Object} index - Index to fill
+ * @param {Object} context - Walk context ({ rootPath, submodules, visited, onError })
+ * @param {Array<Object>} rules - Ignore rules applying to this directory
+ * @returns {Promise<void>}
+ */
+const scanDirectory = async (dirPath, index, context, rules) => {
+  if (context.visited.has(dirPath)) return;
+  context.visited.add(dirPath);
+
+  const relativePath = relative(context.rootPath, dirPath);
+  if (relativePath && shouldIgnorePath(relativePath, rules)) return;
+
+  let stats;
+  try {
+    stats = await stat(dirPath);
+  } catch {
+    return;
+  }
+
+  try {
+    if (await isGitRepository(dirPath)) {
+      if (!index.repositories[relativePath]) index.repositories[relativePath] = { refState: null, lastCommit: null };
+      if (context.submodules) {
+        const submodulePaths = await getSubmodulePaths(dirPath);
+        await Promise.all(submodulePaths.map(subPath => scanDirectory(subPath, index, context, rules)));
+      }
+      return;
+    }
+
+    const entries = await readdir(dirPath, { withFileTypes: true });
+    // The root ignore file is part of the index settings
+    const ignoreMtime = relativePath ? await getIgnoreFileMtime(dirPath) : null;
+    const childRules = ignoreMtime === null
+      ? rules
+      : [...rules, ...await loadIgnoreRules(join(dirPath, IGNORE_FILE_NAME), relativePath)];
+    index.directories[relativePath] = { mtime: stats.mtimeMs, ignoreMtime };
+    await Promise.all(entries
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+      .map(entry => scanDirectory(join(dirPath, entry.name), index, context, childRules)));
+  } catch (error) {
+    if (error.code !== 'EACCES' && error.code !== 'EPERM') {
+      context.onError?.(dirPath, error);
+    }
+  }
+};
+
+/**
+ * Re-read the directories whose modification time changed
+ * Only new entries are walked; removed entries are dropped with everything
+ * below them. A directory that became a repository, or whose ignore file
+ * changed, is recorded again from scratch.
+ * @param {Object} index - Index to update
+ * @param {Object} context - Walk context (see scanDirectory)
+ * @param {Array<Object>} ignoreRules - Rules of the global and root ignore files
+ * @returns {Promise<number>} Number of directories re-read
+ */
+const refreshChangedDirectories = async (index, context, ignoreRules) => {
+  const changed = [];
+  await Promise.all(Object.entries(index.directories).map(async ([relativePath, entry]) => {
+    const dirPath = join(context.rootPath, relativePath);
+    try {
+      const stats = await stat(dirPath);
+      const ignoreMtime = relativePath ? await getIgnoreFileMtime(dirPath) : null;
+      if (stats.mtimeMs !== entry.mtime || ignoreMtime !== entry.ignoreMtime) changed.push(relativePath);
+    } catch {
+      changed.push(relativePath);
+    }
+  }));
+
+  // Parents first, so that entries removed with a parent are not re-read
+  for (const relativePath of changed.sort()) {
+    const entry = index.directories[relativePath];
+    if (!entry) continue;
+    const dirPath = join(context.rootPath, relativePath);
+
+    const ignoreMtime = relativePath ? await getIgnoreFileMtime(dirPath) : null;
+    if (ignoreMtime !== entry.ignoreMtime || await isGitRepository(dirPath)) {
+      removeSubtree(index, relativePath);
+      const rules = await loadNestedIgnoreRules(context.rootPath, getParentPath(relativePath), ignoreRules);
+      await scanDirectory(dirPath, index, context, rules);
+      continue;
+    }
+
+    let entries;
+    try {
+      const { mtimeMs } = await stat(dirPath);
+      entries = await readdir(dirPath, { withFileTypes: true });
+      index.directories[relativePath] = { mtime: mtimeMs, ignoreMtime };
+    } catch {
+      // Removed or no longer readable
+      removeSubtree(index, relativePath);
+      continue;
+    }
+
+    const children = new Set(entries
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+      .map(entry => join(relativePath, entry.name)));
+    const isDirectChild = path => path !== relativePath && getParentPath(path) === relativePath;
+
+    for (const path of [...Object.keys(index.directories), ...Object.keys(index.repositories)]) {
+      if (isDirectChild(path) && !children.has(path)) removeSubtree(index, path);
+    }
+    const newChildren = [...children].filter(child => !index.directories[child] && !index.repositories[child]);
+    if (newChildren.length === 0) continue;
+    const rules = await loadNestedIgnoreRules(context.rootPath, relativePath, ignoreRules);
+    for (const child of newChildren) {
+      await scanDirectory(join(context.rootPath, child), index, context, rules);
+    }
+  }
+
+  return changed.length;
+};
+
+/**
+ * Build or refresh the index of a search root
+ * @param {string} rootPath - Search root
+ * @param {Array<Object>} [ignoreRules=[]] - Rules of the global and root ignore files (nested
+ *   .didignore files are read during the walk)
+ * @param {Object} [options] - Index options
+ * @param {boolean} [options.rebuild=false] - Walk the whole tree even if a valid index exists
+ * @param {number} [options.maxAge=DEFAULT_INDEX_MAX_AGE] - Days after which the whole tree is walked again
+ * @param {boolean} [options.submodules=false] - Also record submodules of found repositories
+ * @param {string} [options.cacheDir] - Cache directory
+ * @param {Function} [options.onError] - Called with the path and the error of each directory that
+ *   cannot be read (permission errors excepted)
+ * @returns {Promise<{index: Object, rebuilt: boolean, refreshed: number}>} Index, whether the tree was
+ *   walked, and the number of directories re-read otherwise
+ */
+export const updateRepositoryIndex = async (rootPath, ignoreRules = [], options = {}) => {
+  const { rebuild = false, maxAge = DEFAULT_INDEX_MAX_AGE, submodules = false, cacheDir, onError } = options;
+  const settings = { ignore: ignoreRules.map(rule => rule.pattern), submodules };
+  const context = { rootPath, submodules, visited: new Set(), onError };
+
+  const existing = rebuild ? null : await loadRepositoryIndex(rootPath, settings, cacheDir);
+  if (existing && Date.now() - existing.scannedAt <= maxAge * MS_PER_DAY) {
+    const refreshed = await refreshChangedDirectories(existing, context, ignoreRules);
+    return { index: existing, rebuilt: false, refreshed };
+  }
+
+  const index = createIndex(rootPath, settings);
+  await scanDirectory(rootPath, index, context, ignoreRules);
+  // Keep the ref states already known, so that unchanged repositories stay cheap
+  for (const [path, state] of Object.entries(existing?.repositories ?? {})) {
+    if (index.repositories[path]) index.repositories[path] = state;
+  }
+  return { index, rebuilt: true, refreshed: 0 };
+};
+
+/**
+ * Get the newest CommitDate reachable from any ref
+ * @param {string} repoPath - Repository path
+ * @returns {Promise<number|null>} Unix timestamp (seconds), or null if there is no commit
+ */
+const getNewestCommitTimestamp = async (repoPath) => {
+  try {
+    const { stdout } = await execFileAsync('git', ['-C', repoPath, 'log', '--all', '-1', '--format=%ct']);
+    return stdout.trim() ? parseInt(stdout.trim(), 10) : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Find the indexed repositories with activity in a date range
+ * Repositories whose refs did not move since the last run and whose newest
+ * commit is older than the range are skipped without running git log; the
+ * ref states of the other ones are updated in the index.
+ * @param {Object} index - Index (see updateRepositoryIndex)
+ * @param {string} rootPath - Search root, as given by the user (paths are joined to it)
+ * @param {Date} sinceDate - Start date
+ * @param {Date} untilDate - End date
+ * @param {Object} [options] - Revision options (see getRevisionArgs)
+ * @returns {Promise<string[]>} Active repository paths, de-duplicated (see dedupeSharedRepositories)
+ */
+export const findActiveIndexedRepos = async (index, rootPath, sinceDate, untilDate, options = {}) => {
+  const sinceTimestamp = sinceDate.getTime() / 1000;
+
+  const active = await Promise.all(Object.entries(index.repositories).map(async ([relativePath, state]) => {
+    const repoPath = join(rootPath, relativePath);
+    const refState = await getRefState(repoPath);
+
+    if (refState !== state.refState) {
+      index.repositories[relativePath] = { refState, lastCommit: await getNewestCommitTimestamp(repoPath) };
+    }
+    // Commits only reachable from reflogs do not show in ref states
+    const { lastCommit } = index.repositories[relativePath];
+    if (!options.reflog && (lastCommit === null || lastCommit < sinceTimestamp)) return null;
+
+    return await hasRecentActivity(repoPath, sinceDate, untilDate, options) ? repoPath : null;
+  }));
+
+  return dedupeSharedRepositories(active.filter(Boolean).sort());
+};
@@ -0,0 +1,144 @@
+/**
+ * Repository watcher
+ *
+ * This module watches the refs and HEAD files of repositories with fs.watch,
+ * so that new commits, amends, rebases and branch updates can be reported as
+ * they happen (--watch). Changes are debounced: one notification lists every
+ * repository changed in a burst of file events.
+ *
+ * @module core/repository-watcher
+ */
+
+import { watch } from 'node:fs';
+import { basename, join } from 'node:path';
+import { getGitCommonDir, getGitDir } from './git-operations.js';
+
+/**
+ * Delay without file events before changes are notified (milliseconds)
+ */
+export const WATCH_DEBOUNCE_DELAY = 300;
+
+/**
+ * Delay between two searches for new repositories (milliseconds)
+ */
+export const WATCH_RESCAN_INTERVAL = 60 * 1000;
+
+/**
+ * Files of a Git directory whose changes mean refs moved
+ */
+const REF_FILE_NAMES = new Set(['HEAD', 'ORIG_HEAD', 'packed-refs']);
+
+/**
+ * Check if a file event is about a ref
+ * A lock file counts as its ref: git writes "<ref>.lock" and renames it over
+ * the ref, and the rename may only be reported under the lock file name.
+ * @param {string|null} filename - File name reported by fs.watch (null if unknown)
+ * @param {boolean} anyFile - Whether any file counts (refs directory) or only HEAD-like files
+ * @returns {boolean} True if the event may mean refs moved
+ * @example
+ * isRefChange('heads/main', true); // true
+ * isRefChange('HEAD.lock', false); // true
+ * isRefChange('index.lock', false); // false
+ */
+export const isRefChange = (filename, anyFile) => {
+  if (!filename) return true;
+  const name = basename(filename.toString()).replace(/\.lock$/, '');
+  return anyFile || REF_FILE_NAMES.has(name);
+};
+
+/**
+ * Get the paths to watch for ref changes of a repository
+ * @param {string} repoPath - Repository path
+ * @returns {Promise<Array<{path: string, recursive: boolean, anyFile: boolean}>>} Watched paths, empty if not a repository
+ */
+export const getWatchedPaths = async (repoPath) => {
+  const [gitDir, commonDir] = await Promise.all([getGitDir(repoPath), getGitCommonDir(repoPath)]);
+  if (!gitDir || !commonDir) return [];
+
+  return [
+    { path: gitDir, recursive: false, anyFile: false },
+    ...(commonDir !== gitDir ? [{ path: commonDir, recursive: false, anyFile: false }] : []),
+    { path: join(commonDir, 'refs'), recursive: true, anyFile: true },
+    // HEAD files of linked worktrees
+    { path: join(commonDir, 'worktrees'), recursive: true, anyFile: false }
+  ];
+};
+
+/**
+ * Watch a path, ignoring paths that can't be watched (missing, permissions)
+ * @param {string} path - Path to watch
+ * @param {boolean} recursive - Whether to watch subdirectories
+ * @param {Function} listener - fs.watch listener
+ * @returns {import('node:fs').FSWatcher|null} Watcher, or null if the path can't be watched
+ */
+const watchPath = (path, recursive, listener) => {
+  try {
+    const watcher = watch(path, { recursive }, listener);
+    watcher.on('error', () => watcher.close());
+    return watcher;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Create a watcher of repository refs
+ *
+ * @param {Function} onChange - Called with the paths of changed repositories, once per burst of changes
+ * @param {Object} [options] - Watcher options
+ * @param {number} [options.delay=WATCH_DEBOUNCE_DELAY] - Debounce delay (milliseconds)
+ * @returns {{update: Function, close: Function, size: Function}} Watcher:
+ *   update(repos) watches exactly these repositories, close() stops everything,
+ *   size() gives the number of watched repositories
+ * @example
+ * const watcher = createRepositoryWatcher(repos => console.log('Changed:', repos));
+ * await watcher.update(['/home/me/projects/api']);
+ */
+export const createRepositoryWatcher = (onChange, options = {}) => {
+  const delay = options.delay ?? WATCH_DEBOUNCE_DELAY;
+  const watchersByRepo = new Map();
+  const changedRepos = new Set();
+  let timer = null;
+
+  const notify = (repo) => {
+    changedRepos.add(repo);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const repos = [...changedRepos];
+      changedRepos.clear();
+      onChange(repos);
+    }, delay);
+  };
+
+  const closeRepo = (repo) => {
+    watchersByRepo.get(repo).forEach(watcher => watcher.close());
+    watchersByRepo.delete(repo);
+  };
+
+  const watchRepo = async (repo) => {
+    // Registered before the Git directories are resolved, so that concurrent updates don't watch twice
+    watchersByRepo.set(repo, []);
+    const watchers = (await getWatchedPaths(repo))
+      .map(({ path, recursive, anyFile }) => watchPath(path, recursive, (event, filename) => {
+        if (isRefChange(filename, anyFile)) notify(repo);
+      }))
+      .filter(Boolean);
+
+    if (watchersByRepo.has(repo)) watchersByRepo.set(repo, watchers);
+    else watchers.forEach(watcher => watcher.close());
+  };
+
+  return {
+    update: async (repos) => {
+      for (const repo of [...watchersByRepo.keys()]) {
+        if (!repos.includes(repo)) closeRepo(repo);
+      }
+      await Promise.all(repos.filter(repo => !watchersByRepo.has(repo)).map(watchRepo));
+    },
+    close: () => {
+      clearTimeout(timer);
+      [...watchersByRepo.keys()].forEach(closeRepo);
+    },
+    size: () => watchersByRepo.size
+  };
+};
@@ -0,0 +1,204 @@
+/**
+ * Rewrite detection from the reflog
+ *
+ * The HEAD reflog records how each commit came to be: `commit (amend)`,
+ * `cherry-pick`, and the `rebase (start)` … `rebase (finish)` sessions of
+ * rebases (including `pull --rebase` and interactive ones). This module reads
+ * those entries to classify rewritten commits as rebase, amend, cherry-pick
+ * or squash, with the branch and base of each rebase, and pairs them with
+ * their original commits by patch-id. Commits the reflog knows nothing about
+ * (expired reflogs, bare repositories) keep the date heuristic of
+ * rebase-detection.
+ *
+ * @module core/rewrite-detection
+ */
+
+/**
+ * Kinds of rewritten commits
+ */
+export const REWRITE_TYPES = ['rebase', 'amend', 'cherry-pick', 'squash'];
+
+/**
+ * Matches a reflog entry of a rebase session: command, action and message
+ * (e.g. "rebase (pick): fix login", "rebase -i (start): checkout main",
+ * "pull --rebase (finish): returning to refs/heads/main")
+ */
+const REBASE_ENTRY_REGEX = /^(?:rebase(?: -i| -m)?|pull --rebase) \((\w+)\): ?(.*)$/;
+
+/**
+ * Matches the reflog entry ending a rebase with the apply backend of older Git versions
+ */
+const LEGACY_REBASE_FINISH_REGEX = /^rebase(?: -i)? finished: (.*)$/;
+
+/**
+ * Matches the branch a finished or aborted rebase returned to
+ */
+const RETURNING_TO_REGEX = /returning to refs\/heads\/(.+)$/;
+
+/**
+ * Matches the trailer added by git cherry-pick -x
+ */
+const CHERRY_PICKED_FROM_REGEX = /\(cherry picked from commit ([0-9a-f]{7,40})\)/;
+
+/**
+ * Rebase actions creating a commit, with the rewrite type of that commit
+ */
+const REBASE_COMMIT_ACTIONS = {
+  pick: 'rebase',
+  reword: 'rebase',
+  edit: 'rebase',
+  continue: 'rebase',
+  squash: 'squash',
+  fixup: 'squash'
+};
+
+/**
+ * Parse a reflog listed by git log -g --date=unix --format=%H|%gd|%gs
+ * @param {string} stdout - Reflog output, newest entry first
+ * @returns {Array<{hash: string, previous: string|null, timestamp: number, subject: string}>} Entries, oldest first,
+ *   each with the value of the ref before it (previous)
+ * @example
+ * parseReflog('b2c…|HEAD@{1763719800}|commit (amend): fix login\na1b…|HEAD@{1763716200}|commit: fix login\n');
+ * // [{ hash: 'a1b…', previous: null, ... }, { hash: 'b2c…', previous: 'a1b…', timestamp: 1763719800, subject: 'commit (amend): fix login' }]
+ */
+export const parseReflog = (stdout) => {
+  const entries = stdout
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      const [hash, selector, ...subject] = line.split('|');
+      const timestamp = parseInt(selector.slice(selector.lastIndexOf('{') + 1), 10);
+      return { hash, timestamp, subject: subject.join('|') };
+    })
+    .reverse();
+
+  return entries.map((entry, index) => ({ ...entry, previous: index > 0 ? entries[index - 1].hash : null }));
+};
+
+/**
+ * Matches a rebase base that names a branch or tag, rather than a hash or a
+ * revision relative to HEAD (e.g. HEAD~2), which mean nothing afterwards
+ */
+const NAMED_BASE_REGEX = /^(?!HEAD\b|[0-9a-f]{7,40}$)[\w./-]+$/;
+
+/**
+ * Get the display name of a rebase base
+ * @param {string} onto - Argument of the rebase (branch name, hash or revision)
+ * @param {string} hash - Commit the rebase started from
+ * @returns {string} Branch or tag name, or abbreviated hash
+ */
+const formatOnto = (onto, hash) => NAMED_BASE_REGEX.test(onto) ? onto : hash.slice(0, 7);
+
+/**
+ * Find the commits created by rewrites in a reflog
+ *
+ * Only the rewrites of entries in the time range are returned; rebases are
+ * returned as sessions, each with the commits it created and what is needed
+ * to find the originals (the commits between the base and the previous tip).
+ *
+ * @param {Array<Object>} entries - Reflog entries, oldest first (see parseReflog)
+ * @param {number} sinceTimestamp - Start timestamp (seconds)
+ * @param {number} untilTimestamp - End timestamp (seconds)
+ * @returns {{rewrites: Array<Object>, sessions: Array<Object>}} Rewritten commits
+ *   ({ hash, type, previous, session }) and rebase sessions
+ *   ({ onto, ontoHash, originalTip, branch, commits })
+ * @example
+ * findReflogRewrites(parseReflog(stdout), since, until);
+ * // { rewrites: [{ hash: 'b2c…', type: 'amend', previous: 'a1b…', session: null }], sessions: [] }
+ */
+export const findReflogRewrites = (entries, sinceTimestamp, untilTimestamp) => {
+  const rewrites = [];
+  const sessions = [];
+  let session = null;
+
+  for (const entry of entries) {
+    const inRange = entry.timestamp >= sinceTimestamp && entry.timestamp <= untilTimestamp;
+    const rebaseEntry = entry.subject.match(REBASE_ENTRY_REGEX);
+    const legacyFinish = entry.subject.match(LEGACY_REBASE_FINISH_REGEX);
+    const [, action, detail] = rebaseEntry ?? (legacyFinish ? [null, 'finish', legacyFinish[1]] : []);
+
+    if (action === 'start') {
+      session = {
+        onto: formatOnto(detail.replace(/^checkout /, ''), entry.hash),
+        ontoHash: entry.hash,
+        originalTip: entry.previous,
+        branch: null,
+        commits: [],
+        inRange
+      };
+    }
+    else if (action === 'finish' || action === 'abort') {
+      if (session) {
+        session.branch = detail.match(RETURNING_TO_REGEX)?.[1] ?? null;
+        session.inRange ||= inRange;
+        // Commits of an aborted rebase are not reachable anymore
+        if (action === 'finish' && session.inRange) sessions.push(session);
+      }
+      session = null;
+    }
+    else if (!inRange) {
+      continue;
+    }
+    else if (session && (REBASE_COMMIT_ACTIONS[action] || entry.subject.startsWith('commit (amend): '))) {
+      // Squashes and amends (while a rebase stops for edit or reword) replace the previous commit
+      const replaced = REBASE_COMMIT_ACTIONS[action] === 'rebase'
+        ? null
+        : rewrites.find(rewrite => rewrite.hash === entry.previous && rewrite.session === session);
+      if (replaced) {
+        rewrites.splice(rewrites.indexOf(replaced), 1);
+        session.commits.splice(session.commits.indexOf(replaced.hash), 1);
+      }
+      const type = REBASE_COMMIT_ACTIONS[action] ?? replaced?.type ?? 'rebase';
+      rewrites.push({ hash: entry.hash, type, previous: entry.previous, session });
+      session.commits.push(entry.hash);
+      session.inRange = true;
+    }
+    else if (entry.subject.startsWith('commit (amend): ')) {
+      rewrites.push({ hash: entry.hash, type: 'amend', previous: entry.previous, session: null });
+    }
+    else if (entry.subject.startsWith('cherry-pick: ')) {
+      rewrites.push({ hash: entry.hash, type: 'cherry-pick', previous: entry.previous, session: null });
+    }
+  }
+
+  return { rewrites, sessions };
+};
+
+/**
+ * Get the original commit named by a cherry-pick -x trailer
+ * @param {string} body - Commit body
+ * @returns {string|null} Original commit hash (possibly abbreviated), or null without trailer
+ */
+export const getCherryPickedFrom = (body) => body.match(CHERRY_PICKED_FROM_REGEX)?.[1] ?? null;
+
+/**
+ * Pair rewritten commits with their originals
+ * Commits are paired by patch-id (same change), then by author timestamp and
+ * subject, which rebases and cherry-picks keep, for changes resolved differently.
+ * @param {Array<{hash: string, patchId: string|null, authorTimestamp: number, subject: string}>} rewritten - Rewritten commits
+ * @param {Array<{hash: string, patchId: string|null, authorTimestamp: number, subject: string}>} candidates - Possible originals
+ * @returns {Map<string, string>} Original hash by rewritten commit hash
+ * @example
+ * pairRewrittenCommits([{ hash: 'b2c…', patchId: 'f00…', authorTimestamp: 1763716200, subject: 'fix login' }], [{ hash: 'a1b…', patchId: 'f00…', ... }]);
+ * // Map { 'b2c…' => 'a1b…' }
+ */
+export const pairRewrittenCommits = (rewritten, candidates) => {
+  const pairs = new Map();
+  const used = new Set();
+  const rewrittenHashes = new Set(rewritten.map(commit => commit.hash));
+  const available = candidates.filter(candidate => !rewrittenHashes.has(candidate.hash));
+
+  const pairBy = (getKey) => {
+    for (const commit of rewritten) {
+      if (pairs.has(commit.hash) || getKey(commit) === null) continue;
+      const original = available.find(candidate => !used.has(candidate.hash) && getKey(candidate) === getKey(commit));
+      if (!original) continue;
+      pairs.set(commit.hash, original.hash);
+      used.add(original.hash);
+    }
+  };
+  pairBy(commit => commit.patchId);
+  pairBy(commit => `${commit.authorTimestamp}|${commit.subject}`);
+
+  return pairs;
+};
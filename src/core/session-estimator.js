@@ -0,0 +1,166 @@
+/**
+ * Work session estimation
+ *
+ * Clusters a person's commits into work sessions: consecutive commits less
+ * than a maximum gap apart belong to the same session, and each session is
+ * padded before its first commit to account for the work leading to it.
+ * Sessions are computed on one timeline across repositories, so that time is
+ * counted once when work switches between them, and attributed to the date
+ * of their first commit.
+ *
+ * @module core/session-estimator
+ */
+
+import { flattenCommitsByDate } from '../utils/commit-stats.js';
+
+/**
+ * Default maximum gap between two commits of the same session (minutes)
+ */
+export const DEFAULT_SESSION_MAX_GAP = 120;
+
+/**
+ * Default time credited before the first commit of a session (minutes)
+ */
+export const DEFAULT_SESSION_PADDING = 30;
+
+/**
+ * Shift a HH:MM time by a number of minutes (wrapping around midnight)
+ *
+ * @param {string} time - Time in HH:MM format
+ * @param {number} minutes - Minutes to add (negative to subtract)
+ * @returns {string} Shifted time in HH:MM format
+ *
+ * @example
+ * shiftTime('00:10', -30);
+ * // => '23:40'
+ */
+export const shiftTime = (time, minutes) => {
+  const [hours, mins] = time.split(':').map(Number);
+  const total = (((hours * 60 + mins + minutes) % 1440) + 1440) % 1440;
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Split the time of a session between the repositories of its commits
+ *
+ * The time leading to each commit (from the previous commit, or from the
+ * start of the session) goes to the repository of that commit. Minutes are
+ * rounded on the running total, so that the shares add up to the session.
+ *
+ * @param {Array<Object>} cluster - Commits of the session, in chronological order (with repo)
+ * @param {number} start - Start of the session (seconds)
+ * @returns {Array<{repo: string, minutes: number, commits: number}>} Shares, largest first
+ */
+const splitSessionByRepo = (cluster, start) => {
+  const shares = new Map();
+  let previous = start;
+  let elapsed = 0;
+  let rounded = 0;
+
+  for (const commit of cluster) {
+    elapsed += commit.timestamp - previous;
+    previous = commit.timestamp;
+    const minutes = Math.round(elapsed / 60) - rounded;
+    rounded += minutes;
+
+    const share = shares.get(commit.repo) ?? { repo: commit.repo, minutes: 0, commits: 0 };
+    share.minutes += minutes;
+    share.commits += 1;
+    shares.set(commit.repo, share);
+  }
+
+  return [...shares.values()].sort((a, b) => b.minutes - a.minutes || b.commits - a.commits);
+};
+
+/**
+ * Cluster commits into work sessions
+ *
+ * @param {Array<Object>} commits - Commits with timestamp (seconds), date, time and, to split
+ *   sessions between repositories, repo
+ * @param {Object} [options] - Estimation options
+ * @param {number} [options.maxGap=DEFAULT_SESSION_MAX_GAP] - Maximum gap between commits of a session (minutes)
+ * @param {number} [options.padding=DEFAULT_SESSION_PADDING] - Time credited before the first commit (minutes)
+ * @returns {Array<Object>} Sessions in chronological order
+ *   ({ date, startTime, endTime, start, end, minutes, commits, repos }), repos as given by splitSessionByRepo
+ *
+ * @example
+ * estimateSessions(commits, { maxGap: 90, padding: 15 });
+ * // => [{ date: '2025-11-21', startTime: '08:45', endTime: '10:12', minutes: 87, commits: 4,
+ * //       repos: [{ repo: 'api', minutes: 60, commits: 3 }, { repo: 'web', minutes: 27, commits: 1 }], ... }]
+ */
+export const estimateSessions = (commits, options = {}) => {
+  const { maxGap = DEFAULT_SESSION_MAX_GAP, padding = DEFAULT_SESSION_PADDING } = options;
+  const sorted = commits.slice().sort((a, b) => a.timestamp - b.timestamp);
+  const clusters = [];
+
+  for (const commit of sorted) {
+    const current = clusters[clusters.length - 1];
+    if (current && commit.timestamp - current[current.length - 1].timestamp <= maxGap * 60) {
+      current.push(commit);
+    } else {
+      clusters.push([commit]);
+    }
+  }
+
+  return clusters.map(cluster => {
+    const first = cluster[0];
+    const last = cluster[cluster.length - 1];
+    const start = first.timestamp - padding * 60;
+    return {
+      date: first.date,
+      startTime: shiftTime(first.time, -padding),
+      endTime: last.time,
+      start,
+      end: last.timestamp,
+      minutes: Math.round((last.timestamp - start) / 60),
+      commits: cluster.length,
+      repos: splitSessionByRepo(cluster, start)
+    };
+  });
+};
+
+/**
+ * Estimate work sessions per date and repository
+ *
+ * Sessions are estimated over all the commits of the period, and listed
+ * under every repository they touched, with that repository's share of
+ * their time (see splitSessionByRepo).
+ *
+ * @param {Object} commitsByDate - Commits grouped by date and repo
+ * @param {Object} [options] - Estimation options (see estimateSessions)
+ * @returns {{maxGap: number, padding: number, byDate: Object, totalMinutes: number}} Sessions
+ *   grouped by date, then repo ({ minutes, hours, sessions })
+ *
+ * @example
+ * estimateSessionsByDate({ '2025-11-21': { 'repo1': [...] } });
+ * // => { maxGap: 120, padding: 30, totalMinutes: 135,
+ * //      byDate: { '2025-11-21': { 'repo1': { minutes: 135, hours: 2.25, sessions: [...] } } } }
+ */
+export const estimateSessionsByDate = (commitsByDate, options = {}) => {
+  const { maxGap = DEFAULT_SESSION_MAX_GAP, padding = DEFAULT_SESSION_PADDING } = options;
+
+  // Cluster over the whole period, so that sessions spanning midnight stay whole
+  const commits = flattenCommitsByDate(commitsByDate, { withRepo: true });
+
+  const byDate = {};
+  let totalMinutes = 0;
+
+  for (const session of estimateSessions(commits, { maxGap, padding })) {
+    if (!byDate[session.date]) byDate[session.date] = {};
+    for (const share of session.repos) {
+      if (!byDate[session.date][share.repo]) byDate[session.date][share.repo] = { minutes: 0, hours: 0, sessions: [] };
+
+      const entry = byDate[session.date][share.repo];
+      entry.sessions.push(session);
+      entry.minutes += share.minutes;
+      entry.hours = Math.round(entry.minutes / 60 * 100) / 100;
+    }
+    totalMinutes += session.minutes;
+  }
+
+  const sortedByDate = Object.fromEntries(
+    Object.keys(byDate).sort().map(date => [date, byDate[date]])
+  );
+
+  return { maxGap, padding, byDate: sortedByDate, totalMinutes };
+};
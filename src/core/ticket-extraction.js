@@ -0,0 +1,58 @@
+/**
+ * Issue-tracker ticket extraction
+ *
+ * Commit messages often reference tickets (`PROJ-1234`, `#567`). This
+ * module extracts those references with a configurable pattern
+ * (did.ticketPattern).
+ *
+ * @module core/ticket-extraction
+ */
+
+/**
+ * Default ticket pattern: Jira-style keys (PROJ-1234) and issue numbers (#567)
+ * Common standard names shaped like keys (UTF-8, SHA-256, ISO-8601...) are skipped
+ */
+export const DEFAULT_TICKET_PATTERN = '\\b(?!(?:UTF|UCS|SHA|MD|ISO|RFC|ES|TLS|SSL|HTTP)-)[A-Z][A-Z0-9]+-\\d+\\b|(?<![\\w&])#\\d+\\b';
+
+/**
+ * Group key of commits without ticket references (--group-by ticket)
+ */
+export const NO_TICKET_KEY = 'No ticket';
+
+/**
+ * Create a ticket extractor from a regex pattern
+ *
+ * @param {string} [pattern] - Ticket regex (source, without flags), DEFAULT_TICKET_PATTERN if empty
+ * @returns {Function} Function extracting unique ticket keys (in order of appearance) from texts
+ * @throws {Error} If the pattern is not a valid regular expression
+ *
+ * @example
+ * const extractTickets = createTicketExtractor();
+ * extractTickets('PROJ-12: fix login', 'Refs #34');
+ * // => ['PROJ-12', '#34']
+ */
+export const createTicketExtractor = (pattern) => {
+  const regex = new RegExp(pattern || DEFAULT_TICKET_PATTERN, 'g');
+
+  return (...texts) => {
+    const tickets = texts
+      .filter(Boolean)
+      .flatMap(text => [...text.matchAll(regex)].map(match => match[0]));
+    return [...new Set(tickets)];
+  };
+};
+
+/**
+ * Check if a ticket pattern is a valid regular expression
+ *
+ * @param {string} pattern - Ticket regex
+ * @returns {boolean} True if the pattern compiles
+ */
+export const isValidTicketPattern = (pattern) => {
+  try {
+    new RegExp(pattern, 'g');
+    return true;
+  } catch {
+    return false;
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * git-did library entry point
+ *
+ * Collects Git activity and formats it as the CLI does, without printing
+ * anything or exiting the process.
+ *
+ * @module git-did
+ * @example
+ * import { DAY_NAMES, collectActivity, formatAsMarkdown } from 'git-did';
+ *
+ * const data = await collectActivity({ path: '/home/me/projects', standup: true });
+ * console.log(formatAsMarkdown(data, DAY_NAMES));
+ */
+
+export { collectActivity } from './core/activity-collector.js';
+export { listReportCommits } from './core/activity-grouping.js';
+export { GitDidError, InvalidOptionError, ConfigurationError } from './shared/types/errors.js';
+export { DAY_NAMES } from './shared/display/date-utils.js';
+export { detectTerminalCapabilities } from './shared/display/colors.js';
+export { formatAsText } from './shared/formatters/format-text.js';
+export { formatAsJSON } from './shared/formatters/format-json.js';
+export { formatAsMarkdown } from './shared/formatters/format-markdown.js';
+export { formatAsHtml } from './shared/formatters/format-html.js';
+export { DELIMITED_COLUMNS, formatAsDelimited } from './shared/formatters/format-delimited.js';
+export { formatAsIcs } from './shared/formatters/format-ics.js';
@@ -12,6 +12,7 @@ export const ANSI = {
   cyan: '\x1b[36m',
   blue: '\x1b[34m',
   green: '\x1b[32m',
+  red: '\x1b[31m',
   yellow: '\x1b[33m',
   magenta: '\x1b[35m',
   gray: '\x1b[90m',
@@ -61,6 +62,18 @@ export const getHashColor = (caps) => {
   return ANSI.cyan;
 };
 
+/**
+ * Get color for branch names
+ * @param {Object} caps - Terminal capabilities
+ * @returns {string} Color code
+ */
+export const getBranchColor = (caps) => {
+  if (!caps.colors) return '';
+  if (caps.truecolor) return ANSI.rgb(218, 165, 32); // Goldenrod
+  if (caps.colors256) return ANSI.color256(178); // Dark goldenrod
+  return ANSI.yellow;
+};
+
 /**
  * Get color for commit message
  * @param {Object} caps - Terminal capabilities
@@ -75,41 +88,140 @@ export const getMessageColor = (caps) => {
 };
 
 /**
- * Get color for time based on time of day
- * @param {string} time - Time in HH:MM format
+ * Get color for diffstat insertions
  * @param {Object} caps - Terminal capabilities
  * @returns {string} Color code
  */
-export const getTimeColor = (time, caps) => {
+export const getInsertionsColor = (caps) => {
   if (!caps.colors) return '';
+  if (caps.truecolor) return ANSI.rgb(144, 238, 144); // Light green
+  if (caps.colors256) return ANSI.color256(120); // Light green
+  return ANSI.green;
+};
 
-  const [hours] = time.split(':').map(Number);
+/**
+ * Get color for diffstat deletions
+ * @param {Object} caps - Terminal capabilities
+ * @returns {string} Color code
+ */
+export const getDeletionsColor = (caps) => {
+  if (!caps.colors) return '';
+  if (caps.truecolor) return ANSI.rgb(255, 100, 100); // Light red
+  if (caps.colors256) return ANSI.color256(203); // Light red
+  return ANSI.red;
+};
 
-  // Morning (6-12): Yellow/Gold tones
-  if (hours >= 6 && hours < 12) {
-    if (caps.truecolor) return ANSI.rgb(255, 215, 0); // Gold
-    if (caps.colors256) return ANSI.color256(220); // Gold
-    return ANSI.yellow;
+/**
+ * Get color for a heatmap cell
+ * Levels go from 0 (no commits) to 4 (busiest days); the basic tier only has
+ * one green, so cells also differ by their glyph there.
+ * @param {number} level - Intensity level (0-4)
+ * @param {Object} caps - Terminal capabilities
+ * @returns {string} Color code
+ */
+export const getHeatmapColor = (level, caps) => {
+  if (!caps.colors) return '';
+  if (caps.truecolor) {
+    return ANSI.rgb(...[[90, 90, 90], [14, 68, 41], [0, 109, 50], [38, 166, 65], [57, 211, 83]][level]); // Gray, then greens
   }
+  if (caps.colors256) return ANSI.color256([240, 22, 28, 34, 46][level]); // Gray, then greens
+  return level === 0 ? ANSI.gray : ANSI.green;
+};
 
-  // Afternoon (12-18): Green tones
-  if (hours >= 12 && hours < 18) {
-    if (caps.truecolor) return ANSI.rgb(144, 238, 144); // Light green
-    if (caps.colors256) return ANSI.color256(120); // Light green
-    return ANSI.green;
-  }
+/**
+ * Get color for a Conventional Commits type
+ * @param {string} type - Commit type (feat, fix, docs...)
+ * @param {Object} caps - Terminal capabilities
+ * @returns {string} Color code
+ */
+export const getCommitTypeColor = (type, caps) => {
+  if (!caps.colors) return '';
 
-  // Evening (18-22): Orange/Magenta tones
-  if (hours >= 18 && hours < 22) {
-    if (caps.truecolor) return ANSI.rgb(255, 165, 100); // Light orange
-    if (caps.colors256) return ANSI.color256(215); // Orange
-    return ANSI.yellow;
+  switch (type) {
+    // Features: Green
+    case 'feat':
+      if (caps.truecolor) return ANSI.rgb(50, 205, 50); // Lime green
+      if (caps.colors256) return ANSI.color256(77); // Green
+      return ANSI.green;
+    // Fixes: Red
+    case 'fix':
+      if (caps.truecolor) return ANSI.rgb(255, 100, 100); // Light red
+      if (caps.colors256) return ANSI.color256(203); // Light red
+      return ANSI.red;
+    // Performance: Gold
+    case 'perf':
+      if (caps.truecolor) return ANSI.rgb(255, 215, 0); // Gold
+      if (caps.colors256) return ANSI.color256(220); // Gold
+      return ANSI.yellow;
+    // Refactoring and reverts: Purple
+    case 'refactor':
+    case 'revert':
+      if (caps.truecolor) return ANSI.rgb(147, 112, 219); // Medium purple
+      if (caps.colors256) return ANSI.color256(141); // Purple
+      return ANSI.magenta;
+    // Documentation and tests: Blue
+    case 'docs':
+    case 'test':
+      if (caps.truecolor) return ANSI.rgb(100, 149, 237); // Cornflower blue
+      if (caps.colors256) return ANSI.color256(69); // Blue
+      return ANSI.blue;
+    // Maintenance (chore, build, ci, style) and unknown types: Gray
+    default:
+      if (caps.truecolor) return ANSI.rgb(136, 136, 136); // Gray
+      if (caps.colors256) return ANSI.color256(244); // Gray
+      return ANSI.gray;
   }
+};
 
-  // Night (22-6): Blue/Purple tones
-  if (caps.truecolor) return ANSI.rgb(147, 112, 219); // Medium purple
-  if (caps.colors256) return ANSI.color256(141); // Purple
-  return ANSI.magenta;
+/**
+ * RGB colors of the periods of the day, shared by terminal and HTML output
+ */
+export const TIME_OF_DAY_RGB = {
+  morning: [255, 215, 0], // Gold
+  afternoon: [144, 238, 144], // Light green
+  evening: [255, 165, 100], // Light orange
+  night: [147, 112, 219] // Medium purple
+};
+
+/**
+ * Get the period of the day of a time
+ * @param {string} time - Time in HH:MM format
+ * @returns {string} Period: 'morning' (6-12), 'afternoon' (12-18), 'evening' (18-22) or 'night' (22-6)
+ */
+export const getTimeOfDay = (time) => {
+  const [hours] = time.split(':').map(Number);
+  if (hours >= 6 && hours < 12) return 'morning';
+  if (hours >= 12 && hours < 18) return 'afternoon';
+  if (hours >= 18 && hours < 22) return 'evening';
+  return 'night';
+};
+
+/**
+ * Get color for time based on time of day
+ * @param {string} time - Time in HH:MM format
+ * @param {Object} caps - Terminal capabilities
+ * @returns {string} Color code
+ */
+export const getTimeColor = (time, caps) => {
+  if (!caps.colors) return '';
+
+  const period = getTimeOfDay(time);
+  if (caps.truecolor) return ANSI.rgb(...TIME_OF_DAY_RGB[period]);
+
+  switch (period) {
+    // Morning: Yellow/Gold tones
+    case 'morning':
+      return caps.colors256 ? ANSI.color256(220) : ANSI.yellow;
+    // Afternoon: Green tones
+    case 'afternoon':
+      return caps.colors256 ? ANSI.color256(120) : ANSI.green;
+    // Evening: Orange/Magenta tones
+    case 'evening':
+      return caps.colors256 ? ANSI.color256(215) : ANSI.yellow;
+    // Night: Blue/Purple tones
+    default:
+      return caps.colors256 ? ANSI.color256(141) : ANSI.magenta;
+  }
 };
 
 /**
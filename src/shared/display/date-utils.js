@@ -3,6 +3,8 @@
  * @module date-utils
  */
 
+import { InvalidOptionError } from '../types/errors.js';
+
 /**
  * Day names for formatting dates
  */
@@ -68,35 +70,267 @@ export const daysBetween = (date1, date2) => {
   return Math.abs(Math.floor((date2.getTime() - date1.getTime()) / MS_PER_DAY));
 };
 
+/**
+ * Format the author's own local time of a commit (kept with --show-author-time)
+ * The date is included when it differs from the commit's normalised date
+ * @param {Object} commit - Commit object
+ * @returns {string|null} Author time (e.g., "author 23:30 +09:00", "author 2025-11-22 01:30 +09:00"), or null if not kept
+ */
+export const formatAuthorLocalTime = (commit) => {
+  if (!commit.authorLocalTime) return null;
+  const date = commit.authorLocalDate !== commit.date ? `${commit.authorLocalDate} ` : '';
+  return `author ${date}${commit.authorLocalTime} ${commit.authorOffset}`;
+};
+
+/**
+ * Format a duration in minutes as hours and minutes
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} Formatted duration (e.g., "2h05", "45m")
+ */
+export const formatDuration = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = Math.round(minutes % 60);
+  if (hours === 0) return `${mins}m`;
+  return `${hours}h${String(mins).padStart(2, '0')}`;
+};
+
+/**
+ * Default sprint length in days ("this sprint", "last sprint")
+ */
+export const DEFAULT_SPRINT_LENGTH = 14;
+
+/**
+ * Default first day of the first sprint (a Monday), sprints follow each other from there
+ */
+export const DEFAULT_SPRINT_START = '2024-01-01';
+
+/**
+ * Supported date expressions, listed in error messages
+ */
+export const DATE_EXPRESSION_FORMS = [
+  'YYYY-MM-DD (e.g. 2026-10-19)',
+  'YYYY-MM (e.g. 2026-10)',
+  'YYYY-Www (ISO week, e.g. 2026-W42)',
+  'today',
+  'yesterday',
+  '<weekday> or last <weekday> (e.g. last monday)',
+  '<n> days|weeks|months|years ago (e.g. 2 weeks ago)',
+  'this|last week',
+  'this|last month',
+  'this|last year',
+  'this|last sprint'
+];
+
+/**
+ * Get a date at local midnight, shifted by a number of days
+ * @param {Date} date - Reference date
+ * @param {number} [days=0] - Days to add
+ * @returns {Date} Start of the shifted day
+ */
+const startOfDay = (date, days = 0) => {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+};
+
+/**
+ * Get the last millisecond of a day
+ * @param {Date} date - Reference date
+ * @returns {Date} End of the day
+ */
+const endOfDay = (date) => {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+};
+
+/**
+ * Get the Monday starting the ISO week of a date
+ * @param {Date} date - Reference date
+ * @returns {Date} Monday of the week, at local midnight
+ */
+export const getWeekStart = (date) => {
+  return startOfDay(date, -((date.getDay() + 6) % 7));
+};
+
+/**
+ * Get the Monday starting an ISO week
+ * @param {number} year - ISO week-numbering year
+ * @param {number} week - ISO week number (1-53)
+ * @returns {Date|null} Monday of the week, or null if the year has no such week
+ * @example
+ * getIsoWeekStart(2026, 42); // Monday 2026-10-12
+ */
+export const getIsoWeekStart = (year, week) => {
+  // Week 1 is the week containing January 4th
+  const monday = startOfDay(getWeekStart(new Date(year, 0, 4)), (week - 1) * 7);
+  // A week belongs to the year containing its Thursday
+  if (week < 1 || startOfDay(monday, 3).getFullYear() !== year) return null;
+  return monday;
+};
+
+/**
+ * Create a period covering whole days
+ * @param {Date} first - First day of the period
+ * @param {Date} last - Last day of the period
+ * @returns {{start: Date, end: Date}} Period from the start of the first day to the end of the last one
+ */
+const createPeriod = (first, last) => ({ start: startOfDay(first), end: endOfDay(last) });
+
+/**
+ * Get the period of the week, month, year or sprint containing a date
+ * @param {string} unit - Period unit ('week', 'month', 'year' or 'sprint')
+ * @param {Date} date - Date within the period
+ * @param {Object} [options] - Sprint options
+ * @param {number} [options.sprintLength=DEFAULT_SPRINT_LENGTH] - Sprint length in days
+ * @param {string} [options.sprintStart=DEFAULT_SPRINT_START] - First day of any sprint (YYYY-MM-DD)
+ * @returns {{start: Date, end: Date}} Period containing the date
+ */
+export const getCalendarPeriod = (unit, date, options = {}) => {
+  switch (unit) {
+    case 'week': {
+      const monday = getWeekStart(date);
+      return createPeriod(monday, startOfDay(monday, 6));
+    }
+    case 'month':
+      return createPeriod(new Date(date.getFullYear(), date.getMonth(), 1), new Date(date.getFullYear(), date.getMonth() + 1, 0));
+    case 'year':
+      return createPeriod(new Date(date.getFullYear(), 0, 1), new Date(date.getFullYear(), 11, 31));
+    default: {
+      const { sprintLength = DEFAULT_SPRINT_LENGTH, sprintStart = DEFAULT_SPRINT_START } = options;
+      const [year, month, day] = sprintStart.split('-').map(Number);
+      const anchor = new Date(year, month - 1, day);
+      const elapsedDays = Math.round((startOfDay(date).getTime() - anchor.getTime()) / MS_PER_DAY);
+      const first = startOfDay(anchor, Math.floor(elapsedDays / sprintLength) * sprintLength);
+      return createPeriod(first, startOfDay(first, sprintLength - 1));
+    }
+  }
+};
+
+/**
+ * Shift a date by a number of calendar units
+ * @param {Date} date - Reference date
+ * @param {string} unit - Unit ('day', 'week', 'month', 'year' or 'sprint')
+ * @param {number} amount - Number of units to add (negative to go back)
+ * @param {Object} [options] - Sprint options (see getCalendarPeriod)
+ * @returns {Date} Shifted date
+ */
+const shiftDate = (date, unit, amount, options = {}) => {
+  switch (unit) {
+    case 'day': return startOfDay(date, amount);
+    case 'week': return startOfDay(date, amount * 7);
+    case 'month': return new Date(date.getFullYear(), date.getMonth() + amount, Math.min(date.getDate(), new Date(date.getFullYear(), date.getMonth() + amount + 1, 0).getDate()));
+    case 'year': return new Date(date.getFullYear() + amount, date.getMonth(), date.getDate());
+    default: return startOfDay(date, amount * (options.sprintLength ?? DEFAULT_SPRINT_LENGTH));
+  }
+};
+
+/**
+ * Resolve a date expression to the period it designates
+ *
+ * Single days (e.g. "yesterday") cover the whole day, periods (e.g.
+ * "last week", "2026-W42") cover all their days.
+ *
+ * @param {string} expression - Date expression (see DATE_EXPRESSION_FORMS)
+ * @param {Date} [now=new Date()] - Current date
+ * @param {Object} [options] - Sprint options (see getCalendarPeriod)
+ * @returns {{start: Date, end: Date}|null} Period, or null if the expression is not supported
+ * @example
+ * resolveDateExpression('last monday', new Date('2026-10-15T10:00:00'));
+ * // => { start: 2026-10-12T00:00, end: 2026-10-12T23:59:59.999 }
+ * resolveDateExpression('2026-W42');
+ * // => { start: 2026-10-12T00:00, end: 2026-10-18T23:59:59.999 }
+ */
+export const resolveDateExpression = (expression, now = new Date(), options = {}) => {
+  const text = expression.trim().toLowerCase().replace(/\s+/g, ' ');
+  let match;
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    if (!parseDate(text)) return null;
+    const [year, month, day] = text.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return createPeriod(date, date);
+  }
+
+  if ((match = text.match(/^(\d{4})-(\d{2})$/))) {
+    const month = Number(match[2]);
+    if (month < 1 || month > 12) return null;
+    return getCalendarPeriod('month', new Date(Number(match[1]), month - 1, 1));
+  }
+
+  if ((match = text.match(/^(\d{4})-?w(\d{2})$/))) {
+    const monday = getIsoWeekStart(Number(match[1]), Number(match[2]));
+    return monday ? createPeriod(monday, startOfDay(monday, 6)) : null;
+  }
+
+  if (text === 'today') return createPeriod(now, now);
+  if (text === 'yesterday') return createPeriod(startOfDay(now, -1), startOfDay(now, -1));
+
+  if ((match = text.match(/^(this|last|previous) (week|month|year|sprint)$/))) {
+    const reference = match[1] === 'this' ? now : startOfDay(getCalendarPeriod(match[2], now, options).start, -1);
+    return getCalendarPeriod(match[2], reference, options);
+  }
+
+  if ((match = text.match(/^(last )?([a-z]+)$/))) {
+    const weekday = match[2].length >= 3 ? DAY_NAMES.findIndex(day => day.toLowerCase().startsWith(match[2])) : -1;
+    if (weekday === -1) return null;
+    // "monday" is the most recent Monday (today included), "last monday" the one before today
+    const daysBack = (now.getDay() - weekday + 7) % 7 || (match[1] ? 7 : 0);
+    const date = startOfDay(now, -daysBack);
+    return createPeriod(date, date);
+  }
+
+  if ((match = text.match(/^(\d+|an?|one) (day|week|month|year|sprint)s? ago$/))) {
+    const amount = /^\d+$/.test(match[1]) ? Number(match[1]) : 1;
+    const date = shiftDate(now, match[2], -amount, options);
+    return createPeriod(date, date);
+  }
+
+  return null;
+};
+
+/**
+ * Format the error message of an invalid date expression
+ * @param {string} option - Option name (e.g. "--since")
+ * @param {string} expression - Invalid expression
+ * @returns {string} Error message listing the supported forms
+ */
+const formatDateExpressionError = (option, expression) => {
+  return `Invalid ${option} date "${expression}". Supported forms:\n${DATE_EXPRESSION_FORMS.map(form => `  - ${form}`).join('\n')}`;
+};
+
 /**
  * Calculate date range from days parameter or since/until options
  * @param {number} days - Number of days (legacy parameter)
- * @param {string} [since] - Start date (YYYY-MM-DD)
- * @param {string} [until] - End date (YYYY-MM-DD)
+ * @param {string} [since] - Start date expression (see DATE_EXPRESSION_FORMS), start of its period is used
+ * @param {string} [until] - End date expression (see DATE_EXPRESSION_FORMS), end of its period is used
+ * @param {Object} [options] - Resolution options
+ * @param {Date} [options.now=new Date()] - Current date
+ * @param {number} [options.sprintLength] - Sprint length in days
+ * @param {string} [options.sprintStart] - First day of any sprint (YYYY-MM-DD)
  * @returns {Object} Date range with since and until dates
- * @throws {Error} If --since date format is invalid
- * @throws {Error} If --until date format is invalid
- * @throws {Error} If --since date is after --until date
+ * @throws {InvalidOptionError} If the --since date expression is invalid
+ * @throws {InvalidOptionError} If the --until date expression is invalid
+ * @throws {InvalidOptionError} If --since date is after --until date
  */
-export const calculateDateRange = (days, since, until) => {
+export const calculateDateRange = (days, since, until, options = {}) => {
+  const { now = new Date() } = options;
   let sinceDate, untilDate;
 
   // If since is provided, use it
   if (since) {
-    sinceDate = parseDate(since);
-    if (!sinceDate) {
-      throw new Error(`Invalid --since date format. Use YYYY-MM-DD (e.g., ${formatDate(new Date())})`);
+    const period = resolveDateExpression(since, now, options);
+    if (!period) {
+      throw new InvalidOptionError(formatDateExpressionError('--since', since), { option: '--since' });
     }
+    sinceDate = period.start;
   }
 
   // If until is provided, use it; otherwise use today
   if (until) {
-    untilDate = parseDate(until);
-    if (!untilDate) {
-      throw new Error(`Invalid --until date format. Use YYYY-MM-DD (e.g., ${formatDate(new Date())})`);
+    const period = resolveDateExpression(until, now, options);
+    if (!period) {
+      throw new InvalidOptionError(formatDateExpressionError('--until', until), { option: '--until' });
     }
+    untilDate = period.end;
   } else {
-    untilDate = new Date();
+    untilDate = now;
   }
 
   // If since is not provided, calculate it from days
@@ -106,7 +340,7 @@ export const calculateDateRange = (days, since, until) => {
 
   // Validate that since is before until
   if (sinceDate > untilDate) {
-    throw new Error('--since date must be before --until date');
+    throw new InvalidOptionError('--since date must be before --until date', { option: '--since' });
   }
 
   return {
@@ -116,3 +350,35 @@ export const calculateDateRange = (days, since, until) => {
     untilStr: formatDate(untilDate)
   };
 };
+
+/**
+ * Calculate the date range of a whole calendar week or month (--week, --month)
+ * @param {string} unit - Period unit ('week' or 'month')
+ * @param {string|boolean} [value] - "this" (default), "last", or a date expression within the period
+ * @param {Object} [options] - Resolution options (see calculateDateRange)
+ * @returns {Object} Date range (same shape as calculateDateRange) with the number of days covered
+ * @throws {InvalidOptionError} If the value is not a valid date expression
+ * @example
+ * calculatePeriodRange('week', '2026-W42');
+ * // => { sinceStr: '2026-10-12', untilStr: '2026-10-18', days: 7, ... }
+ * calculatePeriodRange('month', 'last');
+ */
+export const calculatePeriodRange = (unit, value, options = {}) => {
+  const { now = new Date() } = options;
+  const expression = typeof value === 'string' ? value : 'this';
+  const reference = ['this', 'last', 'previous'].includes(expression.trim().toLowerCase())
+    ? resolveDateExpression(`${expression} ${unit}`, now, options)
+    : resolveDateExpression(expression, now, options);
+  if (!reference) {
+    throw new InvalidOptionError(formatDateExpressionError(`--${unit}`, expression), { option: `--${unit}` });
+  }
+
+  const { start, end } = getCalendarPeriod(unit, reference.start, options);
+  return {
+    since: start,
+    until: end,
+    sinceStr: formatDate(start),
+    untilStr: formatDate(end),
+    days: Math.round((startOfDay(end, 1).getTime() - start.getTime()) / MS_PER_DAY)
+  };
+};
@@ -34,3 +34,220 @@ export const formatRepoPath = (repoPath, cwd) => {
   }
   return repoPath;
 };
+
+/**
+ * Build a ticket URL from a template
+ *
+ * Supported placeholders:
+ * - `{key}`: the ticket key as found (e.g. "PROJ-12", "#34")
+ * - `{id}`: the key without a leading "#" (e.g. "PROJ-12", "34")
+ *
+ * @param {string} template - URL template (e.g. "https://jira.example.com/browse/{key}")
+ * @param {string} key - Ticket key
+ * @returns {string} Ticket URL
+ *
+ * @example
+ * formatTicketUrl('https://github.com/org/repo/issues/{id}', '#34');
+ * // => 'https://github.com/org/repo/issues/34'
+ */
+export const formatTicketUrl = (template, key) => {
+  return template
+    .replaceAll('{key}', encodeURIComponent(key))
+    .replaceAll('{id}', encodeURIComponent(key.replace(/^#/, '')));
+};
+
+/**
+ * Split text around its ticket references, for formatters to link them
+ * in their own markup
+ * @param {string} text - Text containing ticket references
+ * @param {string[]} tickets - Ticket keys to find (as extracted from commits)
+ * @returns {Array<{text: string, ticket: boolean}>} Parts of the text, in order
+ * @example
+ * splitTicketReferences('PROJ-12: fix', ['PROJ-12']);
+ * // [{ text: 'PROJ-12', ticket: true }, { text: ': fix', ticket: false }]
+ */
+export const splitTicketReferences = (text, tickets) => {
+  if (!tickets || tickets.length === 0) return [{ text, ticket: false }];
+
+  // Longest keys first so that "#12" is not matched as "#1"
+  const alternatives = [...new Set(tickets)]
+    .sort((a, b) => b.length - a.length)
+    .map(ticket => ticket.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const regex = new RegExp(`(?<![\\w-])(?:${alternatives.join('|')})(?!\\w)`, 'g');
+
+  const parts = [];
+  let lastIndex = 0;
+  for (const match of text.matchAll(regex)) {
+    if (match.index > lastIndex) parts.push({ text: text.slice(lastIndex, match.index), ticket: false });
+    parts.push({ text: match[0], ticket: true });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < text.length) parts.push({ text: text.slice(lastIndex), ticket: false });
+  return parts;
+};
+
+/**
+ * List the rows of a sessions table: one per date and repository
+ * @param {Object} sessions - Estimated work sessions (see estimateSessionsByDate)
+ * @param {Array<string>} dayNames - Array of day names [Sunday, Monday, ...]
+ * @returns {Array<{date: string, dayName: string, repo: string, sessions: Array<Object>, minutes: number}>} Table rows
+ */
+export const listSessionRows = (sessions, dayNames) => {
+  return Object.entries(sessions.byDate).flatMap(([date, repos]) =>
+    Object.entries(repos).map(([repo, entry]) => ({
+      date,
+      dayName: dayNames[new Date(date).getDay()],
+      repo,
+      sessions: entry.sessions,
+      minutes: entry.minutes
+    }))
+  );
+};
+
+/**
+ * Explain how sessions were estimated, as a note under a sessions table
+ * @param {Object} sessions - Estimated work sessions ({ maxGap, padding })
+ * @returns {string} Note
+ */
+export const formatSessionsNote = (sessions) => {
+  return `Sessions group commits at most ${sessions.maxGap} min apart, starting ${sessions.padding} min before their first commit.`;
+};
+
+/**
+ * Matches ANSI SGR sequences (colors and text attributes)
+ */
+const ANSI_SEQUENCE_REGEX = /\x1b\[[0-9;]*m/g;
+
+/**
+ * Remove ANSI color sequences from text
+ * @param {string} text - Text, optionally colored
+ * @returns {string} Plain text
+ */
+export const stripAnsi = (text) => text.replace(ANSI_SEQUENCE_REGEX, '');
+
+/**
+ * Truncate colored text to a number of visible characters
+ * Color sequences are kept, and a reset is appended if text was cut.
+ * @param {string} text - Text, optionally colored
+ * @param {number} width - Maximum number of visible characters
+ * @returns {string} Truncated text
+ * @example
+ * truncateAnsi('\x1b[36mabcdef\x1b[0m', 3); // '\x1b[36mabc\x1b[0m'
+ */
+export const truncateAnsi = (text, width) => {
+  let result = '';
+  let visible = 0;
+  for (const part of text.split(/(\x1b\[[0-9;]*m)/)) {
+    if (part.startsWith('\x1b[')) {
+      result += part;
+      continue;
+    }
+    for (const char of part) {
+      if (visible === width) return `${result}\x1b[0m`;
+      result += char;
+      visible++;
+    }
+  }
+  return result;
+};
+
+/**
+ * Maximum number of stashes and unpushed commits listed per repository
+ * in the pending work section (--wip); JSON output keeps all those collected
+ */
+export const WIP_LIST_LIMIT = 5;
+
+/**
+ * Summarize the pending work of a repository (--wip)
+ * @param {Object} wip - Pending work ({ modified, untracked, stashes, unpushedCount })
+ * @returns {string} Summary, counts of zero omitted
+ * @example
+ * formatWorkInProgressSummary({ modified: 2, untracked: 0, stashes: [{...}], unpushed: [{...}, {...}], unpushedCount: 2 });
+ * // '2 modified, 1 stash, 2 unpushed commits'
+ */
+export const formatWorkInProgressSummary = (wip) => {
+  const { modified, untracked, stashes, unpushedCount } = wip;
+  return [
+    modified > 0 && `${modified} modified`,
+    untracked > 0 && `${untracked} untracked`,
+    stashes.length > 0 && `${stashes.length} stash${stashes.length !== 1 ? 'es' : ''}`,
+    unpushedCount > 0 && `${unpushedCount} unpushed commit${unpushedCount !== 1 ? 's' : ''}`
+  ].filter(Boolean).join(', ');
+};
+
+/**
+ * Past participles of rewrite types, for commit notes and rewrite summaries
+ */
+const REWRITE_VERBS = {
+  rebase: 'rebased',
+  amend: 'amended',
+  'cherry-pick': 'cherry-picked',
+  squash: 'squashed'
+};
+
+/**
+ * Describe how a commit was rewritten
+ * @param {Object} commit - Commit (with rewrite from the reflog, or isRebase from the date heuristic)
+ * @returns {string|null} Note (e.g. "rebased on 2025-11-21 onto main, was a1b2c3d"), or null if not rewritten
+ * @example
+ * formatRewriteNote({ commitDate: '2025-11-21', rewrite: { type: 'cherry-pick', originalHash: 'a1b2c3d' } });
+ * // 'cherry-picked on 2025-11-21 from a1b2c3d'
+ */
+export const formatRewriteNote = (commit) => {
+  if (!commit.rewrite) return commit.isRebase ? `rebased on ${commit.commitDate}` : null;
+
+  const { type, originalHash, onto } = commit.rewrite;
+  const ontoInfo = onto ? ` onto ${onto}` : '';
+  const originalInfo = originalHash ? (type === 'cherry-pick' ? ` from ${originalHash}` : `, was ${originalHash}`) : '';
+  return `${REWRITE_VERBS[type]} on ${commit.commitDate}${ontoInfo}${originalInfo}`;
+};
+
+/**
+ * Describe a rebase or merge summary in one line
+ * @param {Object} summary - Rebase summary (see createRebaseSummary)
+ * @returns {string} Description (e.g. "Rebased 3 commits of topic onto main from 2025-11-18 to 2025-11-20",
+ *   "Merged 2 commits into main by Alice via #123 from 2025-11-10 to 2025-11-12")
+ */
+export const formatRewriteSummary = (summary) => {
+  const commitCount = `${summary.count} commit${summary.count > 1 ? 's' : ''}`;
+  const dateRange = summary.firstAuthorDate === summary.lastAuthorDate
+    ? summary.firstAuthorDate
+    : `${summary.firstAuthorDate} to ${summary.lastAuthorDate}`;
+
+  if (summary.rewriteType === 'merge') {
+    const { branch, mergedBy, pullRequest } = summary.mergedInto;
+    const mergedByInfo = mergedBy && summary.commits.some(commit => commit.authorName !== mergedBy) ? ` by ${mergedBy}` : '';
+    const pullRequestInfo = pullRequest ? ` via ${pullRequest}` : '';
+    return `Merged ${commitCount} into ${branch}${mergedByInfo}${pullRequestInfo} from ${dateRange}`;
+  }
+
+  const verb = REWRITE_VERBS[summary.rewriteType ?? 'rebase'];
+  const branchInfo = summary.branch ? ` of ${summary.branch}` : '';
+  const ontoInfo = summary.onto ? ` onto ${summary.onto}` : '';
+  return `${verb[0].toUpperCase()}${verb.slice(1)} ${commitCount}${branchInfo}${ontoInfo} from ${dateRange}`;
+};
+
+/**
+ * Describe a merge commit, or the merge that brought a commit into the default branch
+ * @param {Object} commit - Commit (with isMerge, pullRequest and mergedInto)
+ * @returns {string|null} Note (e.g. "merged into main on 2025-11-21 by Alice via #123"), or null if none
+ * @example
+ * formatMergeNote({ isMerge: true, pullRequest: '!45' });
+ * // 'merge of !45'
+ */
+export const formatMergeNote = (commit) => {
+  if (commit.isMerge) return `merge${commit.pullRequest ? ` of ${commit.pullRequest}` : ''}`;
+  if (!commit.mergedInto) return null;
+
+  const { branch, date, mergedBy, pullRequest } = commit.mergedInto;
+  const mergedByInfo = mergedBy && mergedBy !== commit.authorName ? ` by ${mergedBy}` : '';
+  const pullRequestInfo = pullRequest ? ` via ${pullRequest}` : '';
+  return `merged into ${branch} on ${date}${mergedByInfo}${pullRequestInfo}`;
+};
+
+/**
+ * Get the notes shown after a commit message: how it was rewritten and merged
+ * @param {Object} commit - Commit
+ * @returns {string[]} Notes (see formatRewriteNote and formatMergeNote)
+ */
+export const formatCommitNotes = (commit) => [formatRewriteNote(commit), formatMergeNote(commit)].filter(Boolean);
@@ -0,0 +1,162 @@
+/**
+ * Delimited (CSV/TSV) Formatter
+ *
+ * This module provides flat CSV and TSV formatting for git-did output,
+ * for spreadsheets and BI tools: one row per commit and per rebase summary.
+ * Pure functions that convert structured data to delimited text.
+ *
+ * @module shared/formatters/format-delimited
+ */
+
+import { formatRewriteSummary } from '../display/text-utils.js';
+
+/**
+ * Value extractors of the available columns, in default display order
+ *
+ * Each extractor receives a row ({ repo, commit } for commits,
+ * { repo, summary } for rebase summaries, { repo, lastCommitDate } in short mode).
+ */
+export const DELIMITED_COLUMNS = {
+  repo: row => row.repo,
+  author: row => row.commit?.authorName ?? [...new Set((row.summary?.commits ?? []).map(c => c.authorName))].join(', '),
+  email: row => row.commit?.authorEmail ?? [...new Set((row.summary?.commits ?? []).map(c => c.authorEmail))].join(', '),
+  date: row => row.commit?.date ?? row.summary?.firstAuthorDate ?? row.lastCommitDate,
+  time: row => row.commit?.time,
+  authorLocalTime: row => row.commit?.authorLocalTime,
+  authorOffset: row => row.commit?.authorOffset,
+  commitDate: row => row.commit?.commitDate ?? row.summary?.commitDate,
+  commitTime: row => row.commit?.commitTime ?? row.summary?.commitTime,
+  hash: row => row.commit?.hash,
+  fullHash: row => row.commit?.fullHash,
+  subject: row => row.commit?.message ?? (row.summary ? formatRewriteSummary(row.summary) : undefined),
+  rebase: row => (row.summary ? row.summary.rewriteType !== 'merge' : row.commit?.isRebase),
+  rebaseCount: row => row.summary?.count,
+  rewrite: row => row.commit?.rewrite?.type ?? row.summary?.rewriteType,
+  original: row => row.commit?.rewrite?.original,
+  branch: row => row.commit?.rewrite?.branch ?? row.summary?.branch,
+  onto: row => row.commit?.rewrite?.onto ?? row.summary?.onto,
+  merge: row => row.commit?.isMerge,
+  pullRequest: row => row.commit?.pullRequest ?? (row.commit ?? row.summary)?.mergedInto?.pullRequest,
+  mergedInto: row => (row.commit ?? row.summary)?.mergedInto?.branch,
+  mergedDate: row => (row.commit ?? row.summary)?.mergedInto?.date,
+  type: row => row.commit?.conventional?.type,
+  scope: row => row.commit?.conventional?.scope,
+  breaking: row => row.commit?.conventional?.breaking,
+  tickets: row => row.commit?.tickets?.join(' '),
+  branches: row => row.commit?.branches?.join(' '),
+  files: row => row.commit?.stats?.files,
+  insertions: row => row.commit?.stats?.insertions,
+  deletions: row => row.commit?.stats?.deletions
+};
+
+/**
+ * Columns output when --columns is not set
+ */
+export const DEFAULT_DELIMITED_COLUMNS = ['repo', 'author', 'date', 'time', 'commitDate', 'commitTime', 'hash', 'subject', 'rebase'];
+
+/**
+ * Escape a CSV field (RFC 4180)
+ *
+ * Fields containing the delimiter, quotes, pipes or line breaks are quoted,
+ * with inner quotes doubled.
+ *
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ *
+ * @example
+ * escapeCsvField('fix: "quoted", a | b');
+ * // => '"fix: ""quoted"", a | b"'
+ */
+export const escapeCsvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",|\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+};
+
+/**
+ * Escape a TSV field
+ *
+ * TSV has no quoting: tabs and line breaks are replaced by spaces.
+ *
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+export const escapeTsvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return text.replace(/[\t\r\n]+/g, ' ');
+};
+
+/**
+ * Collect the rows of the report
+ *
+ * Rows are sorted chronologically within each repository and date; rebase
+ * summaries come before the commits of the same day, as in the text output.
+ *
+ * @param {Object} data - Data to format (see formatAsDelimited)
+ * @returns {Array<Object>} Rows for the column extractors
+ */
+export const collectRows = (data) => {
+  const { mode, repos } = data;
+  const rows = [];
+
+  const addCommitsByDate = (commitsByDate, rebaseSummariesByDate = {}) => {
+    const dates = [...new Set([...Object.keys(commitsByDate), ...Object.keys(rebaseSummariesByDate)])].sort();
+    for (const date of dates) {
+      const dateCommits = commitsByDate[date] || {};
+      const dateSummaries = rebaseSummariesByDate[date] || {};
+      for (const repo of [...new Set([...Object.keys(dateCommits), ...Object.keys(dateSummaries)])]) {
+        for (const summary of dateSummaries[repo] || []) rows.push({ repo, summary });
+        // Commits are stored newest first
+        for (const commit of [...(dateCommits[repo] || [])].reverse()) rows.push({ repo, commit });
+      }
+    }
+  };
+
+  if (mode === 'team' && data.commitsByAuthor) {
+    for (const [author, commitsByDate] of Object.entries(data.commitsByAuthor)) {
+      addCommitsByDate(commitsByDate, data.rebaseSummariesByAuthor?.[author]);
+    }
+  } else if (mode === 'default' && data.commitsByDate) {
+    addCommitsByDate(data.commitsByDate, data.rebaseSummariesByDate);
+  } else {
+    for (const repo of repos) {
+      if (mode === 'short' || !repo.commits || repo.commits.length === 0) {
+        rows.push({ repo: repo.path, lastCommitDate: repo.lastCommitDate });
+        continue;
+      }
+      for (const commit of [...repo.commits].reverse()) rows.push({ repo: repo.path, commit });
+    }
+  }
+
+  return rows;
+};
+
+/**
+ * Format results as CSV or TSV, with a header row
+ *
+ * @param {Object} data - Data to format
+ * @param {Array} [data.repos] - Repository list (project/short modes)
+ * @param {Object} [data.commitsByDate] - Commits grouped by date (default mode)
+ * @param {Object} [data.rebaseSummariesByDate] - Rebase summaries grouped by date (default mode)
+ * @param {Object} [data.commitsByAuthor] - Commits grouped by author, then date (team mode)
+ * @param {Object} [data.rebaseSummariesByAuthor] - Rebase summaries grouped by author, then date (team mode)
+ * @param {string} data.mode - Display mode (default, project, short, team)
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.delimiter=','] - Field delimiter (',' for CSV, '\t' for TSV)
+ * @param {string[]} [options.columns=DEFAULT_DELIMITED_COLUMNS] - Columns to output (keys of DELIMITED_COLUMNS)
+ * @returns {string} Delimited output
+ *
+ * @example
+ * formatAsDelimited(data, { delimiter: '\t', columns: ['date', 'repo', 'subject'] });
+ * // => "date\trepo\tsubject\n2025-11-21\trepo1\tfix: login\n..."
+ */
+export const formatAsDelimited = (data, options = {}) => {
+  const { delimiter = ',', columns = DEFAULT_DELIMITED_COLUMNS } = options;
+  const escapeField = delimiter === '\t' ? escapeTsvField : escapeCsvField;
+
+  const lines = [columns.join(delimiter)];
+  for (const row of collectRows(data)) {
+    lines.push(columns.map(column => escapeField(DELIMITED_COLUMNS[column](row))).join(delimiter));
+  }
+
+  return lines.join('\n');
+};
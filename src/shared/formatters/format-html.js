@@ -0,0 +1,328 @@
+/**
+ * HTML Formatter
+ *
+ * This module provides HTML formatting for git-did output.
+ * Pure function that converts structured data to a single self-contained
+ * HTML document (inline CSS, no external assets), suitable for attaching
+ * to emails or archiving.
+ *
+ * @module shared/formatters/format-html
+ */
+
+import { sumCommitStats, hasCommitStats, flattenCommitsByDate } from '../../utils/commit-stats.js';
+import { TIME_OF_DAY_RGB, getTimeOfDay } from '../display/colors.js';
+import { formatCommitNotes, formatRewriteSummary, formatSessionsNote, formatTicketUrl, listSessionRows, splitTicketReferences } from '../display/text-utils.js';
+import { formatAuthorLocalTime, formatDuration } from '../display/date-utils.js';
+
+/**
+ * Escape text for safe inclusion in HTML
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ *
+ * @example
+ * escapeHtml('fix <b> & "quotes"');
+ * // => 'fix &lt;b&gt; &amp; &quot;quotes&quot;'
+ */
+export const escapeHtml = (text) => {
+  return String(text)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+};
+
+/**
+ * Inline stylesheet of the report
+ *
+ * Time-of-day colors come from TIME_OF_DAY_RGB so that the report matches
+ * the terminal output.
+ */
+const STYLESHEET = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; background: #1e1e1e; color: #d4d4d4; margin: 2em auto; max-width: 60em; padding: 0 1em; line-height: 1.5; }
+h1, h2 { color: #ffffff; }
+h2 { border-bottom: 1px solid #444444; padding-bottom: .2em; }
+a { color: #87cefa; }
+ul.meta { list-style: none; padding: 0; color: #b4b4b4; }
+details { margin: .3em 0; }
+details.day { border: 1px solid #3a3a3a; border-radius: 6px; padding: .4em .8em; margin: .8em 0; }
+details.repo { margin-left: 1.2em; }
+summary { cursor: pointer; font-weight: 600; }
+ul.commits { list-style: none; margin: .2em 0 .6em 1.2em; padding: 0; }
+ul.commits li { font-family: ui-monospace, Menlo, Consolas, monospace; font-size: .9em; }
+.hash { color: #87cefa; }
+.branches { color: #daa520; }
+.message { color: #b4b4b4; }
+.muted { color: #888888; font-weight: normal; }
+.insertions { color: #90ee90; }
+.deletions { color: #ff6464; }
+.breaking { color: #ff6464; font-weight: 600; }
+li.rebase { color: #888888; font-style: italic; border-left: 3px solid #ffa500; padding-left: .5em; margin: .2em 0; }
+li.rebase .icon { color: #ffa500; font-style: normal; }
+table { border-collapse: collapse; margin: .6em 0; }
+th, td { border: 1px solid #444444; padding: .2em .6em; text-align: left; }
+td.number { text-align: right; }
+${Object.entries(TIME_OF_DAY_RGB).map(([period, rgb]) => `.time-${period} { color: rgb(${rgb.join(', ')}); }`).join('\n')}
+`;
+
+/**
+ * Format a time with its time-of-day color class
+ *
+ * @param {string} time - Time in HH:MM format
+ * @returns {string} HTML fragment
+ */
+export const formatTime = (time) => {
+  return `<span class="time-${getTimeOfDay(time)}">${escapeHtml(time)}</span>`;
+};
+
+/**
+ * Format a diffstat as "+insertions/-deletions"
+ *
+ * @param {Object} stats - Diffstat ({ insertions, deletions })
+ * @returns {string} HTML fragment
+ */
+export const formatStats = (stats) => {
+  return `<span class="insertions">+${stats.insertions}</span>/<span class="deletions">-${stats.deletions}</span>`;
+};
+
+/**
+ * Format diffstat totals of a list of commits (empty without stats)
+ *
+ * @param {Array<Object>} commits - Commits, optionally carrying stats
+ * @returns {string} HTML fragment (with leading separator)
+ */
+export const formatTotals = (commits) => {
+  if (!hasCommitStats(commits)) return '';
+  const totals = sumCommitStats(commits);
+  return ` <span class="muted">· ${totals.commits} commit${totals.commits !== 1 ? 's' : ''}, ${totals.files} file${totals.files !== 1 ? 's' : ''}</span> ${formatStats(totals)}`;
+};
+
+/**
+ * Escape a commit message and turn its ticket references into links
+ *
+ * @param {string} text - Text containing ticket references
+ * @param {string[]} tickets - Ticket keys to link (as extracted from commits)
+ * @param {string} [ticketUrl] - URL template (see formatTicketUrl), no links if omitted
+ * @returns {string} HTML fragment
+ */
+export const linkifyTickets = (text, tickets, ticketUrl) => {
+  if (!ticketUrl) return escapeHtml(text);
+  return splitTicketReferences(text, tickets)
+    .map(part => part.ticket
+      ? `<a href="${escapeHtml(formatTicketUrl(ticketUrl, part.text))}">${escapeHtml(part.text)}</a>`
+      : escapeHtml(part.text))
+    .join('');
+};
+
+/**
+ * Format a single commit as a list item
+ *
+ * @param {Object} commit - Commit object
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.ticketUrl] - Ticket URL template
+ * @returns {string} HTML fragment
+ */
+export const formatCommitItem = (commit, options = {}) => {
+  const breaking = commit.conventional?.breaking ? '<span class="breaking">⚠</span> ' : '';
+  const branches = commit.branches && commit.branches.length > 0
+    ? ` <span class="branches">[${escapeHtml(commit.branches.join(', '))}]</span>`
+    : '';
+  const notesInfo = formatCommitNotes(commit).map(note => ` <span class="muted">(${escapeHtml(note)})</span>`).join('');
+  const authorTime = formatAuthorLocalTime(commit);
+  const authorTimeInfo = authorTime ? ` <span class="muted">(${escapeHtml(authorTime)})</span>` : '';
+  const stats = commit.stats ? ` ${formatStats(commit.stats)}` : '';
+  const message = linkifyTickets(commit.message, commit.tickets, options.ticketUrl);
+  return `<li>${formatTime(commit.time)} <span class="hash" title="${escapeHtml(commit.fullHash || commit.hash)}">${escapeHtml(commit.hash)}</span>${branches} - ${breaking}<span class="message">${message}</span>${notesInfo}${authorTimeInfo}${stats}</li>\n`;
+};
+
+/**
+ * Format a rebase summary as a list item, distinct from regular commits
+ *
+ * @param {Object} summary - Rebase summary
+ * @returns {string} HTML fragment
+ */
+export const formatRebaseItem = (summary) => {
+  return `<li class="rebase">${formatTime(summary.commitTime)} <span class="icon">⟲</span> ${escapeHtml(formatRewriteSummary(summary))}</li>\n`;
+};
+
+/**
+ * Format commits grouped by date, then by repository, as collapsible sections
+ *
+ * @param {Object} commitsByDate - Commits grouped by date and repo
+ * @param {Object} rebaseSummariesByDate - Rebase summaries grouped by date and repo
+ * @param {Array<string>} dayNames - Array of day names
+ * @param {Object} [options] - Formatting options (see formatCommitItem)
+ * @returns {string} HTML fragment
+ */
+export const formatCommitsByDate = (commitsByDate, rebaseSummariesByDate, dayNames, options = {}) => {
+  const dates = [...new Set([...Object.keys(commitsByDate), ...Object.keys(rebaseSummariesByDate)])].sort();
+  let html = '';
+
+  for (const date of dates) {
+    const dayName = dayNames[new Date(date).getDay()];
+    const dateCommits = commitsByDate[date] || {};
+    const dateSummaries = rebaseSummariesByDate[date] || {};
+    html += `<details class="day" open>\n<summary>📅 ${escapeHtml(date)} (${escapeHtml(dayName)})${formatTotals(Object.values(dateCommits).flat())}</summary>\n`;
+
+    const repos = [...new Set([...Object.keys(dateCommits), ...Object.keys(dateSummaries)])];
+    for (const repo of repos) {
+      const commits = dateCommits[repo] || [];
+      html += `<details class="repo" open>\n<summary>📁 ${escapeHtml(repo)}${formatTotals(commits)}</summary>\n<ul class="commits">\n`;
+      for (const summary of dateSummaries[repo] || []) {
+        html += formatRebaseItem(summary);
+      }
+      // Commits are stored newest first, display them in chronological order
+      for (const commit of [...commits].reverse()) {
+        html += formatCommitItem(commit, options);
+      }
+      html += `</ul>\n</details>\n`;
+    }
+    html += `</details>\n`;
+  }
+
+  return html;
+};
+
+/**
+ * Format estimated work sessions as a table
+ *
+ * @param {Object} sessions - Sessions from estimateSessionsByDate
+ * @param {Array<string>} dayNames - Array of day names
+ * @param {number} level - Heading level of the section
+ * @returns {string} HTML fragment
+ */
+export const formatSessions = (sessions, dayNames, level) => {
+  let html = `<h${level}>⏱️ Estimated work sessions</h${level}>\n`;
+  const rows = listSessionRows(sessions, dayNames);
+
+  if (rows.length === 0) {
+    return `${html}<p>No sessions in the specified period.</p>\n`;
+  }
+
+  html += `<table>\n<tr><th>Date</th><th>Repository</th><th>Sessions</th><th>Time</th></tr>\n`;
+  for (const row of rows) {
+    const ranges = row.sessions.map(session => `${formatTime(session.startTime)}–${formatTime(session.endTime)}`).join(', ');
+    html += `<tr><td>${escapeHtml(row.date)} (${escapeHtml(row.dayName)})</td><td>${escapeHtml(row.repo)}</td><td>${ranges}</td><td class="number">${formatDuration(row.minutes)}</td></tr>\n`;
+  }
+  html += `<tr><th colspan="3">Total</th><td class="number"><strong>${formatDuration(sessions.totalMinutes)}</strong></td></tr>\n</table>\n`;
+  html += `<p class="muted">${escapeHtml(formatSessionsNote(sessions))}</p>\n`;
+
+  return html;
+};
+
+/**
+ * Format results as a self-contained HTML document
+ *
+ * Days and repositories are collapsible sections (open by default).
+ * This is a pure function with explicit dependencies as parameters.
+ *
+ * @param {Object} data - Data to format
+ * @param {Array} [data.repos] - Repository list (project/short modes)
+ * @param {Object} [data.commitsByDate] - Commits grouped by date (default mode)
+ * @param {Object} [data.rebaseSummariesByDate] - Rebase summaries grouped by date (default mode)
+ * @param {Object} [data.commitsByAuthor] - Commits grouped by author, then date (team mode)
+ * @param {Object} [data.rebaseSummariesByAuthor] - Rebase summaries grouped by author, then date (team mode)
+ * @param {string} [data.groupBy] - Grouping field of the grouped view ('ticket' or 'type')
+ * @param {Object} [data.commitsByGroup] - Commits grouped by group key, then date (grouped view)
+ * @param {Object} [data.sessions] - Estimated work sessions (--sessions)
+ * @param {Object} [data.sessionsByAuthor] - Estimated work sessions per author (--sessions, team mode)
+ * @param {string} data.mode - Display mode (default, project, short, team)
+ * @param {number} data.days - Number of days in the period
+ * @param {string} [data.author] - Author filter if used
+ * @param {string} data.duration - Execution time in seconds
+ * @param {Array<string>} dayNames - Array of day names [Sunday, Monday, ...]
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.ticketUrl] - Ticket URL template (did.ticketUrl), links ticket references when set
+ * @returns {string} HTML document
+ *
+ * @example
+ * const html = formatAsHtml(data, DAY_NAMES, { ticketUrl: 'https://jira.example.com/browse/{key}' });
+ * // => "<!DOCTYPE html>\n<html lang=\"en\">..."
+ */
+export const formatAsHtml = (data, dayNames, options = {}) => {
+  const { repos, mode, days, author, duration } = data;
+  const period = data.since && data.until ? `${data.since} to ${data.until}` : `Last ${days} day${days !== 1 ? 's' : ''}`;
+
+  let body = `<h1>Git Activity Report</h1>\n<ul class="meta">\n`;
+  body += `<li><strong>Period</strong>: ${escapeHtml(period)}</li>\n`;
+  body += `<li><strong>Mode</strong>: ${escapeHtml(mode)}</li>\n`;
+  if (author) body += `<li><strong>Author</strong>: ${escapeHtml(author)}</li>\n`;
+  if (data.team) body += `<li><strong>Team</strong>: ${escapeHtml(data.team.name ?? data.team.members.join(', '))}</li>\n`;
+  body += `<li><strong>Repositories</strong>: ${repos.length}</li>\n`;
+  body += `<li><strong>Generated in</strong>: ${escapeHtml(duration)}s</li>\n</ul>\n`;
+
+  // Team mode: one section per author
+  if (mode === 'team' && data.commitsByAuthor) {
+    for (const [teamAuthor, commitsByDate] of Object.entries(data.commitsByAuthor)) {
+      body += `<h2>👤 ${escapeHtml(teamAuthor)}</h2>\n`;
+      if (Object.keys(commitsByDate).length === 0) {
+        body += `<p>No commits in the specified period.</p>\n`;
+        continue;
+      }
+      body += formatCommitsByDate(commitsByDate, data.rebaseSummariesByAuthor?.[teamAuthor] || {}, dayNames, options);
+      if (data.sessionsByAuthor?.[teamAuthor]) {
+        body += formatSessions(data.sessionsByAuthor[teamAuthor], dayNames, 3);
+      }
+    }
+  }
+  // Grouped view (--group-by): one section per group
+  else if (mode === 'default' && data.groupBy && data.commitsByGroup) {
+    for (const [group, commitsByDate] of Object.entries(data.commitsByGroup)) {
+      const groupTickets = flattenCommitsByDate(commitsByDate).flatMap(commit => commit.tickets || []);
+      body += `<h2>${linkifyTickets(group, groupTickets, options.ticketUrl)}</h2>\n`;
+      body += formatCommitsByDate(commitsByDate, {}, dayNames, options);
+    }
+  }
+  // Default mode (chronological)
+  else if (mode === 'default' && data.commitsByDate) {
+    if (Object.keys(data.commitsByDate).length === 0) {
+      body += `<p>No commits found in the specified period.</p>\n`;
+    } else {
+      body += formatCommitsByDate(data.commitsByDate, data.rebaseSummariesByDate || {}, dayNames, options);
+    }
+  }
+  // Project mode or short mode: one section per project
+  else {
+    for (const repo of repos) {
+      const lastCommit = `Last commit: ${repo.daysAgo} day${repo.daysAgo !== 1 ? 's' : ''} ago (${repo.lastCommitDate})`;
+      if (mode === 'short' || !repo.commits || repo.commits.length === 0) {
+        body += `<p>📁 <strong>${escapeHtml(repo.path)}</strong> <span class="muted">· ${escapeHtml(lastCommit)}</span></p>\n`;
+        continue;
+      }
+
+      body += `<details class="day" open>\n<summary>📁 ${escapeHtml(repo.path)} <span class="muted">· ${escapeHtml(lastCommit)}</span>${formatTotals(repo.commits)}</summary>\n`;
+      const commitsByDate = {};
+      for (const commit of repo.commits) {
+        if (!commitsByDate[commit.date]) commitsByDate[commit.date] = [];
+        commitsByDate[commit.date].push(commit);
+      }
+      for (const date of Object.keys(commitsByDate).sort()) {
+        const dayName = dayNames[new Date(date).getDay()];
+        body += `<details class="repo" open>\n<summary>📅 ${escapeHtml(date)} (${escapeHtml(dayName)})</summary>\n<ul class="commits">\n`;
+        for (const commit of [...commitsByDate[date]].reverse()) {
+          body += formatCommitItem(commit, options);
+        }
+        body += `</ul>\n</details>\n`;
+      }
+      body += `</details>\n`;
+    }
+  }
+
+  // Estimated work sessions (--sessions), after the chronological or grouped listing
+  if (mode === 'default' && data.sessions) {
+    body += formatSessions(data.sessions, dayNames, 2);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Git Activity Report – ${escapeHtml(period)}</title>
+<style>${STYLESHEET}</style>
+</head>
+<body>
+${body}</body>
+</html>`;
+};
@@ -0,0 +1,300 @@
+/**
+ * iCalendar Formatter
+ *
+ * This module provides iCalendar (RFC 5545) formatting for git-did output,
+ * so that coding activity can be overlaid on a calendar: one all-day event
+ * per repository per day, or one timed event per estimated work session
+ * when sessions were estimated (--sessions).
+ *
+ * @module shared/formatters/format-ics
+ */
+
+import { createHash } from 'node:crypto';
+import { basename } from 'node:path';
+import { groupCommitsByRepo } from '../../utils/commit-stats.js';
+import { formatRewriteSummary } from '../display/text-utils.js';
+
+/**
+ * Maximum length of a content line in octets, excluding the line break
+ */
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Minimum duration of a session event (minutes), so that a session of a single
+ * commit without padding does not end when it starts
+ */
+const MIN_SESSION_EVENT_MINUTES = 15;
+
+/**
+ * Escape a text property value (RFC 5545 §3.3.11)
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ *
+ * @example
+ * escapeIcsText('fix: a, b; c\nd');
+ * // => 'fix: a\\, b\\; c\\nd'
+ */
+export const escapeIcsText = (text) => {
+  return String(text)
+    .replaceAll('\\', '\\\\')
+    .replaceAll(';', '\\;')
+    .replaceAll(',', '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Fold a content line longer than 75 octets (RFC 5545 §3.1)
+ *
+ * Continuation lines start with a space; multi-byte characters are never split.
+ *
+ * @param {string} line - Content line
+ * @returns {string} Folded line (CRLF separated)
+ */
+export const foldIcsLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Format a YYYY-MM-DD date as an iCalendar DATE value
+ *
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} [offsetDays=0] - Days to add (e.g. 1 for the exclusive end of an all-day event)
+ * @returns {string} Date value (e.g. "20251121")
+ */
+export const formatIcsDate = (date, offsetDays = 0) => {
+  const value = new Date(`${date}T00:00:00Z`);
+  value.setUTCDate(value.getUTCDate() + offsetDays);
+  return value.toISOString().slice(0, 10).replaceAll('-', '');
+};
+
+/**
+ * Format a Unix timestamp as an iCalendar UTC DATE-TIME value
+ *
+ * @param {number} timestamp - Unix timestamp (seconds)
+ * @returns {string} Date-time value (e.g. "20251121T083000Z")
+ */
+export const formatIcsDateTime = (timestamp) => {
+  return new Date(timestamp * 1000).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * Build a stable event UID from its identifying parts
+ *
+ * Re-exporting the same period gives the same UIDs, so calendar applications
+ * update events instead of duplicating them.
+ *
+ * @param {...string} parts - Identifying parts (kind, repository, date...)
+ * @returns {string} Event UID
+ */
+const createUid = (...parts) => {
+  return `${createHash('sha1').update(parts.join('\n')).digest('hex').slice(0, 20)}@git-did`;
+};
+
+/**
+ * Format a commit as a line of an event description
+ *
+ * @param {Object} commit - Commit object
+ * @returns {string} Description line
+ */
+const formatCommitLine = (commit) => {
+  return `${commit.time} ${commit.hash} - ${commit.message}`;
+};
+
+/**
+ * Format a rebase summary as a line of an event description
+ *
+ * @param {Object} summary - Rebase summary
+ * @returns {string} Description line
+ */
+const formatRebaseLine = (summary) => {
+  return `${summary.commitTime} ⟲ ${formatRewriteSummary(summary)}`;
+};
+
+/**
+ * Create one all-day event per repository per day
+ *
+ * @param {Object} commitsByDate - Commits grouped by date and repo
+ * @param {Object} rebaseSummariesByDate - Rebase summaries grouped by date and repo
+ * @param {string} [owner] - Author the events belong to (team mode)
+ * @returns {Array<Object>} Events ({ uid, start, end, allDay, summary, description })
+ */
+export const createDayEvents = (commitsByDate, rebaseSummariesByDate = {}, owner) => {
+  const events = [];
+  const dates = [...new Set([...Object.keys(commitsByDate), ...Object.keys(rebaseSummariesByDate)])].sort();
+
+  for (const date of dates) {
+    const dateCommits = commitsByDate[date] || {};
+    const dateSummaries = rebaseSummariesByDate[date] || {};
+
+    for (const repo of [...new Set([...Object.keys(dateCommits), ...Object.keys(dateSummaries)])]) {
+      // Commits are stored newest first
+      const commits = [...(dateCommits[repo] || [])].reverse();
+      const summaries = dateSummaries[repo] || [];
+      const merges = summaries.filter(summary => summary.rewriteType === 'merge').length;
+      const rebases = summaries.length - merges;
+      const parts = [];
+      if (commits.length > 0) parts.push(`${commits.length} commit${commits.length > 1 ? 's' : ''}`);
+      if (rebases > 0) parts.push(`${rebases} rebase${rebases > 1 ? 's' : ''}`);
+      if (merges > 0) parts.push(`${merges} merge${merges > 1 ? 's' : ''}`);
+
+      const lines = [
+        ...summaries.map(formatRebaseLine),
+        ...commits.map(formatCommitLine)
+      ];
+
+      events.push({
+        uid: createUid('day', owner ?? '', repo, date),
+        start: formatIcsDate(date),
+        end: formatIcsDate(date, 1),
+        allDay: true,
+        summary: `${owner ? `${owner}: ` : ''}${basename(repo)} (${parts.join(', ')})`,
+        description: `${repo}\n\n${lines.join('\n')}`
+      });
+    }
+  }
+
+  return events;
+};
+
+/**
+ * Create one timed event per estimated work session
+ *
+ * A session touching several repositories is one event, listing the commits
+ * of each repository.
+ *
+ * @param {Object} sessions - Sessions from estimateSessionsByDate
+ * @param {Object} commitsByDate - Commits grouped by date and repo (to describe the sessions)
+ * @param {string} [owner] - Author the events belong to (team mode)
+ * @returns {Array<Object>} Events ({ uid, start, end, allDay, summary, description })
+ */
+export const createSessionEvents = (sessions, commitsByDate, owner) => {
+  const commitsByRepo = groupCommitsByRepo(commitsByDate);
+
+  // Sessions are listed under each repository they touched
+  const sessionsByStart = new Map();
+  for (const dateData of Object.values(sessions.byDate)) {
+    for (const entry of Object.values(dateData)) {
+      for (const session of entry.sessions) sessionsByStart.set(session.start, session);
+    }
+  }
+
+  const events = [];
+  for (const session of sessionsByStart.values()) {
+    const repos = session.repos.map(share => share.repo);
+    const sections = repos.map(repo => {
+      const commits = (commitsByRepo[repo] || [])
+        .filter(commit => commit.timestamp >= session.start && commit.timestamp <= session.end)
+        .sort((a, b) => a.timestamp - b.timestamp);
+      return `${repo}\n\n${commits.map(formatCommitLine).join('\n')}`;
+    });
+
+    events.push({
+      uid: createUid('session', owner ?? '', ...repos, String(session.start)),
+      start: formatIcsDateTime(session.start),
+      end: formatIcsDateTime(Math.max(session.end, session.start + MIN_SESSION_EVENT_MINUTES * 60)),
+      allDay: false,
+      summary: `${owner ? `${owner}: ` : ''}${repos.map(repo => basename(repo)).join(', ')} (${session.commits} commit${session.commits > 1 ? 's' : ''})`,
+      description: sections.join('\n\n')
+    });
+  }
+
+  return events.sort((a, b) => a.start.localeCompare(b.start));
+};
+
+/**
+ * Format results as an iCalendar file
+ *
+ * Uses all-day events per repository per day, or timed events per work
+ * session when the data carries estimated sessions (--sessions).
+ *
+ * @param {Object} data - Data to format
+ * @param {Array} [data.repos] - Repository list (project/short modes)
+ * @param {Object} [data.commitsByDate] - Commits grouped by date (default mode)
+ * @param {Object} [data.rebaseSummariesByDate] - Rebase summaries grouped by date (default mode)
+ * @param {Object} [data.commitsByAuthor] - Commits grouped by author, then date (team mode)
+ * @param {Object} [data.rebaseSummariesByAuthor] - Rebase summaries grouped by author, then date (team mode)
+ * @param {Object} [data.sessions] - Estimated work sessions (--sessions)
+ * @param {Object} [data.sessionsByAuthor] - Estimated work sessions per author (--sessions, team mode)
+ * @param {string} data.mode - Display mode (default, project, short, team)
+ * @param {Object} [options] - Formatting options
+ * @param {Date} [options.now=new Date()] - Generation time (DTSTAMP of the events)
+ * @returns {string} iCalendar document (CRLF line breaks, including after the last line)
+ *
+ * @example
+ * const ics = formatAsIcs(data);
+ * // => "BEGIN:VCALENDAR\r\nVERSION:2.0\r\n...END:VCALENDAR\r\n"
+ */
+export const formatAsIcs = (data, options = {}) => {
+  const { now = new Date() } = options;
+  const { mode, repos } = data;
+  let events = [];
+
+  if (mode === 'team' && data.commitsByAuthor) {
+    for (const [author, commitsByDate] of Object.entries(data.commitsByAuthor)) {
+      events.push(...(data.sessionsByAuthor?.[author]
+        ? createSessionEvents(data.sessionsByAuthor[author], commitsByDate, author)
+        : createDayEvents(commitsByDate, data.rebaseSummariesByAuthor?.[author], author)));
+    }
+  } else if (mode === 'default' && data.commitsByDate) {
+    events = data.sessions
+      ? createSessionEvents(data.sessions, data.commitsByDate)
+      : createDayEvents(data.commitsByDate, data.rebaseSummariesByDate);
+  } else {
+    // Project mode: regroup each repository's commits by date
+    const commitsByDate = {};
+    for (const repo of repos) {
+      for (const commit of repo.commits || []) {
+        if (!commitsByDate[commit.date]) commitsByDate[commit.date] = {};
+        if (!commitsByDate[commit.date][repo.path]) commitsByDate[commit.date][repo.path] = [];
+        commitsByDate[commit.date][repo.path].push(commit);
+      }
+    }
+    events = createDayEvents(commitsByDate);
+  }
+
+  const dtstamp = formatIcsDateTime(Math.floor(now.getTime() / 1000));
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//git-did//Git activity//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Git activity'
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${dtstamp}`,
+      event.allDay ? `DTSTART;VALUE=DATE:${event.start}` : `DTSTART:${event.start}`,
+      event.allDay ? `DTEND;VALUE=DATE:${event.end}` : `DTEND:${event.end}`,
+      `SUMMARY:${escapeIcsText(event.summary)}`,
+      `DESCRIPTION:${escapeIcsText(event.description)}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+};
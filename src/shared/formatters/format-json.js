@@ -16,7 +16,9 @@
  * @param {Object} data - Data to format
  * @param {Array} [data.repos] - Repository list (project/short modes)
  * @param {Object} [data.commitsByDate] - Commits grouped by date (default mode)
- * @param {string} data.mode - Display mode (default, project, short)
+ * @param {Object} [data.commitsByAuthor] - Commits grouped by author, then date (team mode)
+ * @param {Array<Object>} [data.wip] - Pending work per repository (--wip): modified and untracked counts, stashes, unpushed commits and their count
+ * @param {string} data.mode - Display mode (default, project, short, team)
  * @param {number} data.days - Number of days in the period
  * @param {string} [data.author] - Author filter if used
  * @param {string} data.duration - Execution time in seconds
@@ -7,6 +7,265 @@
  * @module shared/formatters/format-markdown
  */
 
+import { sumCommitStats, hasCommitStats, computeStatsTotals, flattenCommitsByDate, formatStatsCompact } from '../../utils/commit-stats.js';
+import { WIP_LIST_LIMIT, formatCommitNotes, formatRewriteSummary, formatSessionsNote, formatTicketUrl, formatWorkInProgressSummary, listSessionRows, splitTicketReferences } from '../display/text-utils.js';
+import { formatAuthorLocalTime, formatDuration } from '../display/date-utils.js';
+
+/**
+ * Format diffstat totals as an emphasized summary line
+ *
+ * @param {Object} totals - Totals from sumCommitStats
+ * @returns {string} Markdown line
+ */
+export const formatTotalsLine = (totals) => {
+  return `*${totals.commits} commit${totals.commits !== 1 ? 's' : ''}, ${totals.files} file${totals.files !== 1 ? 's' : ''} changed, ${formatStatsCompact(totals)}*\n\n`;
+};
+
+/**
+ * Turn ticket references into Markdown links
+ *
+ * @param {string} text - Text containing ticket references
+ * @param {string[]} tickets - Ticket keys to link (as extracted from commits)
+ * @param {string} [ticketUrl] - URL template (see formatTicketUrl), no links if omitted
+ * @returns {string} Text with linked ticket references
+ *
+ * @example
+ * linkifyTickets('PROJ-12: fix', ['PROJ-12'], 'https://jira.example.com/browse/{key}');
+ * // => '[PROJ-12](https://jira.example.com/browse/PROJ-12): fix'
+ */
+export const linkifyTickets = (text, tickets, ticketUrl) => {
+  if (!ticketUrl) return text;
+  return splitTicketReferences(text, tickets)
+    .map(part => part.ticket ? `[${part.text}](${formatTicketUrl(ticketUrl, part.text)})` : part.text)
+    .join('');
+};
+
+/**
+ * Format a commit hash with the branches containing it
+ *
+ * @param {Object} commit - Commit object
+ * @returns {string} Markdown hash (and branches)
+ */
+export const formatCommitRef = (commit) => {
+  const branchInfo = commit.branches && commit.branches.length > 0
+    ? ` [${commit.branches.map(branch => `\`${branch}\``).join(', ')}]`
+    : '';
+  return `\`${commit.hash}\`${branchInfo}`;
+};
+
+/**
+ * Format a list of commits in chronological order (oldest first)
+ *
+ * Renders a bullet list, or a table with diffstat columns and a total row
+ * when commits carry stats (collected with --stat).
+ *
+ * @param {Array} commits - Commits, newest first (git log order)
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.ticketUrl] - Ticket URL template, links ticket references when set
+ * @returns {string} Markdown list or table
+ */
+export const formatCommitList = (commits, options = {}) => {
+  const chronological = commits.slice().reverse();
+  let markdown = '';
+
+  if (!hasCommitStats(commits)) {
+    for (const commit of chronological) {
+      const notesInfo = formatCommitNotes(commit).map(note => ` *(${note})*`).join('');
+      const breakingInfo = commit.conventional?.breaking ? ' **(breaking)**' : '';
+      const authorTime = formatAuthorLocalTime(commit);
+      const authorTimeInfo = authorTime ? ` *(${authorTime})*` : '';
+      const message = linkifyTickets(commit.message, commit.tickets, options.ticketUrl);
+      markdown += `- **${commit.time}** ${formatCommitRef(commit)} - ${message}${breakingInfo}${notesInfo}${authorTimeInfo}\n`;
+    }
+    return `${markdown}\n`;
+  }
+
+  markdown += `| Time | Hash | Message | Files | + | - |\n`;
+  markdown += `|------|------|---------|------:|--:|--:|\n`;
+  for (const commit of chronological) {
+    const notesInfo = formatCommitNotes(commit).map(note => ` *(${note})*`).join('');
+    const breakingInfo = commit.conventional?.breaking ? ' **(breaking)**' : '';
+    const authorTime = formatAuthorLocalTime(commit);
+    const authorTimeInfo = authorTime ? ` *(${authorTime})*` : '';
+    const stats = commit.stats || { files: 0, insertions: 0, deletions: 0 };
+    const message = linkifyTickets(`${commit.message}${breakingInfo}${notesInfo}${authorTimeInfo}`.replace(/\|/g, '\\|'), commit.tickets, options.ticketUrl);
+    markdown += `| ${commit.time} | ${formatCommitRef(commit)} | ${message} | ${stats.files} | ${stats.insertions} | ${stats.deletions} |\n`;
+  }
+  const totals = sumCommitStats(commits);
+  markdown += `| | | **Total** | **${totals.files}** | **${totals.insertions}** | **${totals.deletions}** |\n`;
+
+  return `${markdown}\n`;
+};
+
+/**
+ * Format diffstat totals per repository over the whole period as a table
+ *
+ * @param {Object} commitsByDate - Commits grouped by date and repo
+ * @param {number} level - Heading level of the section
+ * @returns {string} Markdown section (empty without stats)
+ */
+export const formatRepoTotals = (commitsByDate, level) => {
+  if (!hasCommitStats(flattenCommitsByDate(commitsByDate))) return '';
+
+  let markdown = `${'#'.repeat(level)} Totals by repository\n\n`;
+  markdown += `| Repository | Commits | Files | + | - |\n`;
+  markdown += `|------------|--------:|------:|--:|--:|\n`;
+  for (const [repo, totals] of Object.entries(computeStatsTotals(commitsByDate).byRepo)) {
+    markdown += `| ${repo} | ${totals.commits} | ${totals.files} | ${totals.insertions} | ${totals.deletions} |\n`;
+  }
+
+  return `${markdown}\n`;
+};
+
+/**
+ * Format commits grouped by date, then by repository
+ * Rebase and merge summaries of a repository come before its commits.
+ *
+ * @param {Object} commitsByDate - Commits grouped by date and repo
+ * @param {Object} rebaseSummariesByDate - Rebase summaries grouped by date and repo
+ * @param {Array<string>} dayNames - Array of day names [Sunday, Monday, ...]
+ * @param {number} level - Heading level of date sections (repositories use level + 1)
+ * @param {Object} [options] - Formatting options (see formatCommitList)
+ * @returns {string} Markdown formatted sections
+ */
+export const formatCommitsByDate = (commitsByDate, rebaseSummariesByDate, dayNames, level, options = {}) => {
+  const dateHeading = '#'.repeat(level);
+  const repoHeading = '#'.repeat(level + 1);
+  const dates = Object.keys(commitsByDate).sort();
+  let markdown = '';
+
+  for (const date of dates) {
+    const dateObj = new Date(date);
+    const dayName = dayNames[dateObj.getDay()];
+    markdown += `${dateHeading} ${date} (${dayName})\n\n`;
+
+    const dayCommits = Object.values(commitsByDate[date]).flat();
+    if (hasCommitStats(dayCommits)) markdown += formatTotalsLine(sumCommitStats(dayCommits));
+
+    const reposForDate = Object.keys(commitsByDate[date]);
+    for (const repo of reposForDate) {
+      markdown += `${repoHeading} ${repo}\n\n`;
+      const summaries = rebaseSummariesByDate[date]?.[repo] || [];
+      if (summaries.length > 0) {
+        markdown += summaries.map(summary => `- **${summary.commitTime}** ⟲ *${formatRewriteSummary(summary)}*\n`).join('') + '\n';
+      }
+      if (commitsByDate[date][repo].length > 0) markdown += formatCommitList(commitsByDate[date][repo], options);
+    }
+  }
+
+  markdown += formatRepoTotals(commitsByDate, level);
+
+  return markdown;
+};
+
+/**
+ * Format estimated work sessions as a Markdown table
+ *
+ * @param {Object} sessions - Sessions from estimateSessionsByDate
+ * @param {Array<string>} dayNames - Array of day names
+ * @param {number} level - Heading level of the section
+ * @returns {string} Markdown section
+ */
+export const formatSessions = (sessions, dayNames, level) => {
+  let markdown = `${'#'.repeat(level)} Estimated work sessions\n\n`;
+  const rows = listSessionRows(sessions, dayNames);
+
+  if (rows.length === 0) {
+    return `${markdown}No sessions in the specified period.\n\n`;
+  }
+
+  markdown += `| Date | Repository | Sessions | Time |\n`;
+  markdown += `|------|------------|----------|-----:|\n`;
+  for (const row of rows) {
+    const ranges = row.sessions.map(session => `${session.startTime}–${session.endTime}`).join(', ');
+    markdown += `| ${row.date} (${row.dayName}) | ${row.repo} | ${ranges} | ${formatDuration(row.minutes)} |\n`;
+  }
+  markdown += `| **Total** | | | **${formatDuration(sessions.totalMinutes)}** |\n\n`;
+  markdown += `*${formatSessionsNote(sessions)}*\n\n`;
+
+  return markdown;
+};
+
+/**
+ * Format the pending work of repositories (--wip) as one list per repository
+ *
+ * @param {Array<Object>} wip - Pending work per repository ({ repo, modified, untracked, stashes, unpushed, unpushedCount })
+ * @param {number} level - Heading level of the section
+ * @returns {string} Markdown section
+ */
+export const formatWorkInProgress = (wip, level) => {
+  let markdown = `${'#'.repeat(level)} Work in progress\n\n`;
+
+  if (wip.length === 0) {
+    return `${markdown}No uncommitted, stashed or unpushed work.\n\n`;
+  }
+
+  const formatMore = (count) => count > WIP_LIST_LIMIT ? `  - … and ${count - WIP_LIST_LIMIT} more\n` : '';
+  for (const entry of wip) {
+    markdown += `- **${entry.repo}**: ${formatWorkInProgressSummary(entry)}\n`;
+    for (const stash of entry.stashes.slice(0, WIP_LIST_LIMIT)) {
+      markdown += `  - ${stash.date} ${stash.time} \`${stash.ref}\` ${stash.message}\n`;
+    }
+    markdown += formatMore(entry.stashes.length);
+    for (const commit of entry.unpushed.slice(0, WIP_LIST_LIMIT)) {
+      markdown += `  - ${commit.date} ${commit.time} \`${commit.hash}\` [\`${commit.branch}\`] ${commit.message} *(unpushed)*\n`;
+    }
+    markdown += formatMore(entry.unpushedCount);
+  }
+  markdown += '\n';
+
+  return markdown;
+};
+
+/**
+ * Format activity statistics (--stats) as a summary list and tables
+ *
+ * @param {Object} stats - Statistics from computeActivityStats
+ * @param {number} level - Heading level of the section
+ * @returns {string} Markdown section
+ */
+export const formatActivityStats = (stats, level) => {
+  const plural = (count, word) => `${count} ${word}${count !== 1 ? 's' : ''}`;
+  const heading = '#'.repeat(level);
+  let markdown = `${heading} Activity statistics\n\n`;
+
+  markdown += `- **Commits**: ${stats.commits}\n`;
+  markdown += `- **Active days**: ${stats.activeDays}\n`;
+  if (stats.longestStreak) {
+    const { days, start, end } = stats.longestStreak;
+    markdown += `- **Longest streak**: ${plural(days, 'day')} (${days > 1 ? `${start} → ${end}` : start})\n`;
+  }
+  if (stats.busiestRepo) markdown += `- **Busiest repository**: ${stats.busiestRepo.repo} (${plural(stats.busiestRepo.commits, 'commit')})\n`;
+  if (stats.busiestDay) markdown += `- **Busiest day**: ${stats.busiestDay.date} (${plural(stats.busiestDay.commits, 'commit')})\n`;
+  markdown += `- **Rebases**: ${stats.rebases}${stats.rebases > 0 ? ` (${plural(stats.rebasedCommits, 'commit')} rewritten)` : ''}\n`;
+  if (stats.lines) markdown += `- **Lines changed**: ${formatStatsCompact(stats.lines)} in ${plural(stats.lines.files, 'file')}\n`;
+  markdown += `\n`;
+
+  if (stats.byRepo.length > 0) {
+    markdown += `${heading}# By repository\n\n`;
+    markdown += `| Repository | Commits | Active days | Rebases |${stats.lines ? ' Lines |' : ''}\n`;
+    markdown += `|------------|--------:|------------:|--------:|${stats.lines ? '------:|' : ''}\n`;
+    for (const entry of stats.byRepo) {
+      markdown += `| ${entry.repo} | ${entry.commits} | ${entry.activeDays} | ${entry.rebases} |${stats.lines ? ` ${formatStatsCompact(entry)} |` : ''}\n`;
+    }
+    markdown += `\n`;
+  }
+
+  markdown += `${heading}# By weekday\n\n`;
+  markdown += `| Day | Commits |\n`;
+  markdown += `|-----|--------:|\n`;
+  for (const { day, commits } of stats.byWeekday) markdown += `| ${day} | ${commits} |\n`;
+  markdown += `\n`;
+
+  markdown += `${heading}# By hour\n\n`;
+  markdown += `| Hours | Commits |\n`;
+  markdown += `|-------|--------:|\n`;
+  for (const { hours, commits } of stats.byHour) markdown += `| ${hours} | ${commits} |\n`;
+  markdown += `\n`;
+
+  return markdown;
+};
+
 /**
  * Format results as Markdown
  *
@@ -16,11 +275,21 @@
  * @param {Object} data - Data to format
  * @param {Array} [data.repos] - Repository list (project/short modes)
  * @param {Object} [data.commitsByDate] - Commits grouped by date (default mode)
- * @param {string} data.mode - Display mode (default, project, short)
+ * @param {Object} [data.commitsByAuthor] - Commits grouped by author, then date (team mode)
+ * @param {string} [data.groupBy] - Grouping field of the grouped view ('ticket' or 'type')
+ * @param {Object} [data.commitsByGroup] - Commits grouped by group key, then date (grouped view)
+ * @param {Object} [data.sessions] - Estimated work sessions (--sessions)
+ * @param {Object} [data.sessionsByAuthor] - Estimated work sessions per author (--sessions, team mode)
+ * @param {Object} [data.stats] - Activity statistics, replacing the commit listing (--stats)
+ * @param {Object} [data.statsByAuthor] - Activity statistics per author (--stats, team mode)
+ * @param {Array<Object>} [data.wip] - Pending work per repository (--wip, default and team modes)
+ * @param {string} data.mode - Display mode (default, project, short, team)
  * @param {number} data.days - Number of days in the period
  * @param {string} [data.author] - Author filter if used
  * @param {string} data.duration - Execution time in seconds
  * @param {Array<string>} dayNames - Array of day names [Sunday, Monday, ...]
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.ticketUrl] - Ticket URL template (did.ticketUrl), links ticket references when set
  * @returns {string} Markdown formatted output
  *
  * @example
@@ -33,12 +302,13 @@
  * const markdown = formatAsMarkdown(data, DAY_NAMES);
  * // => "# Git Activity Report\n\n..."
  */
-export const formatAsMarkdown = (data, dayNames) => {
+export const formatAsMarkdown = (data, dayNames, options = {}) => {
   const { repos, mode, days, author, duration } = data;
   let markdown = `# Git Activity Report\n\n`;
   markdown += `- **Period**: Last ${days} day${days !== 1 ? 's' : ''}\n`;
   markdown += `- **Mode**: ${mode}\n`;
   if (author) markdown += `- **Author**: ${author}\n`;
+  if (data.team) markdown += `- **Team**: ${data.team.name ?? data.team.members.join(', ')}\n`;
 
   // Count repos based on mode
   let repoCount = 0;
@@ -55,40 +325,62 @@ export const formatAsMarkdown = (data, dayNames) => {
   markdown += `- **Repositories found**: ${repoCount}\n`;
   markdown += `- **Execution time**: ${duration}s\n\n`;
 
-  if (repoCount === 0) {
+  if (repoCount === 0 && !data.wip?.length) {
     markdown += `No active repositories found.\n`;
     return markdown;
   }
 
   markdown += `---\n\n`;
 
-  // Default mode (chronological): group by date, then by project
-  if (mode === 'default' && data.commitsByDate) {
-    const dates = Object.keys(data.commitsByDate).sort();
-
-    for (const date of dates) {
-      const dateObj = new Date(date);
-      const dayName = dayNames[dateObj.getDay()];
-      markdown += `## ${date} (${dayName})\n\n`;
-
-      const reposForDate = Object.keys(data.commitsByDate[date]);
-      for (const repo of reposForDate) {
-        markdown += `### ${repo}\n\n`;
-        const commits = data.commitsByDate[date][repo];
-        // Display commits in chronological order (oldest first)
-        for (const commit of commits.slice().reverse()) {
-          const rebaseInfo = commit.isRebase ? ` *(rebased on ${commit.commitDate})*` : '';
-          markdown += `- **${commit.time}** \`${commit.hash}\` - ${commit.message}${rebaseInfo}\n`;
-        }
-        markdown += `\n`;
+  // Activity statistics (--stats) replace the commit listing
+  if (mode === 'team' && data.statsByAuthor) {
+    for (const [teamAuthor, stats] of Object.entries(data.statsByAuthor)) {
+      markdown += `## ${teamAuthor}\n\n`;
+      if (stats.commits === 0) {
+        markdown += `No commits in the specified period.\n\n`;
+        continue;
+      }
+      markdown += formatActivityStats(stats, 3);
+      if (data.sessionsByAuthor?.[teamAuthor]) {
+        markdown += formatSessions(data.sessionsByAuthor[teamAuthor], dayNames, 3);
+      }
+    }
+  }
+  else if (mode === 'default' && data.stats) {
+    markdown += formatActivityStats(data.stats, 2);
+  }
+  // Team mode: one section per author, each grouped by date, then by project
+  else if (mode === 'team' && data.commitsByAuthor) {
+    for (const [teamAuthor, commitsByDate] of Object.entries(data.commitsByAuthor)) {
+      markdown += `## ${teamAuthor}\n\n`;
+      if (Object.keys(commitsByDate).length === 0) {
+        markdown += `No commits in the specified period.\n\n`;
+        continue;
+      }
+      markdown += formatCommitsByDate(commitsByDate, data.rebaseSummariesByAuthor?.[teamAuthor] || {}, dayNames, 3, options);
+      if (data.sessionsByAuthor?.[teamAuthor]) {
+        markdown += formatSessions(data.sessionsByAuthor[teamAuthor], dayNames, 3);
       }
     }
   }
+  // Grouped view (--group-by): one section per group, each grouped by date, then by project
+  else if (mode === 'default' && data.groupBy && data.commitsByGroup) {
+    for (const [group, commitsByDate] of Object.entries(data.commitsByGroup)) {
+      const groupTickets = flattenCommitsByDate(commitsByDate).flatMap(commit => commit.tickets || []);
+      markdown += `## ${linkifyTickets(group, groupTickets, options.ticketUrl)}\n\n`;
+      markdown += formatCommitsByDate(commitsByDate, {}, dayNames, 3, options);
+    }
+  }
+  // Default mode (chronological): group by date, then by project
+  else if (mode === 'default' && data.commitsByDate) {
+    markdown += formatCommitsByDate(data.commitsByDate, data.rebaseSummariesByDate || {}, dayNames, 2, options);
+  }
   // Project mode or short mode: group by project
   else {
     for (const repo of repos) {
       markdown += `## ${repo.path}\n\n`;
       markdown += `- **Last commit**: ${repo.daysAgo} day${repo.daysAgo !== 1 ? 's' : ''} ago (${repo.lastCommitDate})\n`;
+      if (repo.wip) markdown += `- **Pending work**: ${formatWorkInProgressSummary(repo.wip)}\n`;
 
       // In short mode, only show last commit date
       if (mode === 'short' || !repo.commits || repo.commits.length === 0) {
@@ -96,6 +388,11 @@ export const formatAsMarkdown = (data, dayNames) => {
         continue;
       }
 
+      if (hasCommitStats(repo.commits)) {
+        const totals = sumCommitStats(repo.commits);
+        markdown += `- **Changes**: ${totals.commits} commit${totals.commits !== 1 ? 's' : ''}, ${totals.files} file${totals.files !== 1 ? 's' : ''}, ${formatStatsCompact(totals)}\n`;
+      }
+
       // Project mode: show commits grouped by date
       markdown += `\n### Your commits\n\n`;
       const commitsByDate = {};
@@ -110,15 +407,20 @@ export const formatAsMarkdown = (data, dayNames) => {
         const dateObj = new Date(date);
         const dayName = dayNames[dateObj.getDay()];
         markdown += `#### ${date} (${dayName})\n\n`;
-        // Display commits in chronological order (oldest first)
-        for (const commit of commitsByDate[date].slice().reverse()) {
-          const rebaseInfo = commit.isRebase ? ` *(rebased on ${commit.commitDate})*` : '';
-          markdown += `- **${commit.time}** \`${commit.hash}\` - ${commit.message}${rebaseInfo}\n`;
-        }
-        markdown += `\n`;
+        markdown += formatCommitList(commitsByDate[date], options);
       }
     }
   }
 
+  // Estimated work sessions (--sessions), after the chronological or grouped listing
+  if (mode === 'default' && data.sessions) {
+    markdown += formatSessions(data.sessions, dayNames, 2);
+  }
+
+  // Pending work (--wip), after everything else; project and short modes flag it per repository
+  if (data.wip) {
+    markdown += formatWorkInProgress(data.wip, 2);
+  }
+
   return markdown;
 };
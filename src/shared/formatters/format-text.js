@@ -11,12 +11,85 @@ import {
   colorize,
   ANSI,
   getHashColor,
+  getBranchColor,
+  getCommitTypeColor,
   getMessageColor,
   getTimeColor,
-  getDaysAgoColor
+  getDaysAgoColor,
+  getInsertionsColor,
+  getDeletionsColor,
+  getHeatmapColor
 } from '../display/colors.js';
-import { SEPARATOR_LENGTH, formatRepoPath } from '../display/text-utils.js';
-import { formatDate } from '../display/date-utils.js';
+import { SEPARATOR_LENGTH, WIP_LIST_LIMIT, formatCommitNotes, formatRepoPath, formatRewriteSummary, formatWorkInProgressSummary } from '../display/text-utils.js';
+import { formatAuthorLocalTime, formatDate, formatDuration } from '../display/date-utils.js';
+import { sumCommitStats, hasCommitStats, computeStatsTotals, flattenCommitsByDate } from '../../utils/commit-stats.js';
+
+/**
+ * Format a diffstat as a colored compact "+insertions/-deletions" suffix
+ *
+ * @param {Object} stats - Diffstat ({ insertions, deletions })
+ * @param {Object} terminalCaps - Terminal color capabilities
+ * @returns {string} Formatted suffix (with leading space)
+ */
+export const formatStatsSuffix = (stats, terminalCaps) => {
+  const insertions = colorize(`+${stats.insertions}`, getInsertionsColor(terminalCaps), terminalCaps);
+  const deletions = colorize(`-${stats.deletions}`, getDeletionsColor(terminalCaps), terminalCaps);
+  return ` ${insertions}/${deletions}`;
+};
+
+/**
+ * Format a diffstat total (commits, files and line changes)
+ *
+ * @param {Object} totals - Totals from sumCommitStats
+ * @param {Object} terminalCaps - Terminal color capabilities
+ * @returns {string} Formatted totals (with leading separator)
+ */
+export const formatStatsTotals = (totals, terminalCaps) => {
+  const summary = colorize(
+    `${totals.commits} commit${totals.commits !== 1 ? 's' : ''}, ${totals.files} file${totals.files !== 1 ? 's' : ''}`,
+    getMessageColor(terminalCaps),
+    terminalCaps
+  );
+  return ` · ${summary}${formatStatsSuffix(totals, terminalCaps)}`;
+};
+
+/**
+ * Format a commit message, coloring its Conventional Commits prefix by type
+ *
+ * @param {Object} commit - Commit object (with optional conventional fields)
+ * @param {Object} terminalCaps - Terminal color capabilities
+ * @returns {string} Colored message
+ */
+export const formatCommitMessage = (commit, terminalCaps) => {
+  const messageColor = getMessageColor(terminalCaps);
+  if (!commit.conventional) return colorize(commit.message, messageColor, terminalCaps);
+
+  const { type, breaking, description } = commit.conventional;
+  const prefix = commit.message.slice(0, commit.message.length - description.length);
+  const breakingMark = breaking ? `${colorize('⚠', getCommitTypeColor('fix', terminalCaps), terminalCaps)} ` : '';
+  return `${breakingMark}${colorize(prefix, getCommitTypeColor(type, terminalCaps), terminalCaps)}${colorize(description, messageColor, terminalCaps)}`;
+};
+
+/**
+ * Format a single commit line
+ *
+ * @param {Object} commit - Commit object
+ * @param {Object} terminalCaps - Terminal color capabilities
+ * @returns {string} Formatted commit line (without indentation)
+ */
+export const formatCommitLine = (commit, terminalCaps) => {
+  const timeColored = colorize(commit.time, getTimeColor(commit.time, terminalCaps), terminalCaps);
+  const hashColored = colorize(commit.hash, getHashColor(terminalCaps), terminalCaps);
+  const branchInfo = commit.branches && commit.branches.length > 0
+    ? ` ${colorize(`[${commit.branches.join(', ')}]`, getBranchColor(terminalCaps), terminalCaps)}`
+    : '';
+  const messageColored = formatCommitMessage(commit, terminalCaps);
+  const notesInfo = formatCommitNotes(commit).map(note => colorize(` (${note})`, '#888888', terminalCaps)).join('');
+  const authorTime = formatAuthorLocalTime(commit);
+  const authorTimeInfo = authorTime ? colorize(` (${authorTime})`, '#888888', terminalCaps) : '';
+  const statsInfo = commit.stats ? formatStatsSuffix(commit.stats, terminalCaps) : '';
+  return `${timeColored} ${hashColored}${branchInfo} - ${messageColored}${notesInfo}${authorTimeInfo}${statsInfo}`;
+};
 
 /**
  * Format commits for default (chronological) mode
@@ -40,7 +113,9 @@ export const formatDefaultMode = (data, dayNames, terminalCaps, cwd) => {
   for (const date of dates) {
     const dateObj = new Date(date);
     const dayName = dayNames[dateObj.getDay()];
-    output += `📅 ${date} (${dayName})\n`;
+    const dayCommits = Object.values(commitsByDate[date] || {}).flat();
+    const dayTotals = hasCommitStats(dayCommits) ? formatStatsTotals(sumCommitStats(dayCommits), terminalCaps) : '';
+    output += `📅 ${date} (${dayName})${dayTotals}\n`;
     output += '─'.repeat(SEPARATOR_LENGTH) + '\n';
 
     const reposForDate = Object.keys(commitsByDate[date] || {});
@@ -48,17 +123,16 @@ export const formatDefaultMode = (data, dayNames, terminalCaps, cwd) => {
     const allReposForDate = [...new Set([...reposForDate, ...rebaseReposForDate])];
 
     for (const repo of allReposForDate) {
-      output += `\n  📁 ${formatRepoPath(repo, cwd)}\n`;
+      const repoCommits = (commitsByDate[date] && commitsByDate[date][repo]) || [];
+      const repoTotals = hasCommitStats(repoCommits) ? formatStatsTotals(sumCommitStats(repoCommits), terminalCaps) : '';
+      output += `\n  📁 ${formatRepoPath(repo, cwd)}${repoTotals}\n`;
 
       // Display rebase summaries first
       if (rebaseSummariesByDate[date] && rebaseSummariesByDate[date][repo]) {
         for (const summary of rebaseSummariesByDate[date][repo]) {
-          const dateRange = summary.firstAuthorDate === summary.lastAuthorDate
-            ? summary.firstAuthorDate
-            : `${summary.firstAuthorDate} to ${summary.lastAuthorDate}`;
           const timeColored = colorize(summary.commitTime, getTimeColor(summary.commitTime, terminalCaps), terminalCaps);
           const rebaseIcon = colorize('⟲', ANSI.rgb(255, 165, 0), terminalCaps);
-          const summaryText = colorize(`Rebased ${summary.count} commit${summary.count > 1 ? 's' : ''} from ${dateRange}`, ANSI.rgb(136, 136, 136), terminalCaps);
+          const summaryText = colorize(formatRewriteSummary(summary), ANSI.rgb(136, 136, 136), terminalCaps);
           output += `     ${timeColored} ${rebaseIcon} ${summaryText}\n`;
         }
       }
@@ -68,20 +142,357 @@ export const formatDefaultMode = (data, dayNames, terminalCaps, cwd) => {
         const commits = commitsByDate[date][repo];
         // Display commits in chronological order (oldest first)
         for (const commit of commits.reverse()) {
-          const timeColored = colorize(commit.time, getTimeColor(commit.time, terminalCaps), terminalCaps);
-          const hashColored = colorize(commit.hash, getHashColor(terminalCaps), terminalCaps);
-          const messageColored = colorize(commit.message, getMessageColor(terminalCaps), terminalCaps);
-          const rebaseInfo = commit.isRebase ? colorize(` (rebased on ${commit.commitDate})`, '#888888', terminalCaps) : '';
-          output += `     ${timeColored} ${hashColored} - ${messageColored}${rebaseInfo}\n`;
+          output += `     ${formatCommitLine(commit, terminalCaps)}\n`;
         }
       }
     }
     output += '\n';
   }
 
+  output += formatRepoTotals(commitsByDate, terminalCaps, cwd);
+
+  return output;
+};
+
+/**
+ * Format diffstat totals per repository over the whole period
+ *
+ * Only produced when commits carry stats (collected with --stat).
+ *
+ * @param {Object} commitsByDate - Commits grouped by date and repo
+ * @param {Object} terminalCaps - Terminal color capabilities
+ * @param {string} cwd - Current working directory for path formatting
+ * @returns {string} Formatted text output (empty without stats)
+ */
+export const formatRepoTotals = (commitsByDate, terminalCaps, cwd) => {
+  if (!hasCommitStats(flattenCommitsByDate(commitsByDate))) return '';
+
+  let output = '📊 Totals by repository\n';
+  output += '─'.repeat(SEPARATOR_LENGTH) + '\n';
+  for (const [repo, totals] of Object.entries(computeStatsTotals(commitsByDate).byRepo)) {
+    output += `  📁 ${formatRepoPath(repo, cwd)}${formatStatsTotals(totals, terminalCaps)}\n`;
+  }
+  output += '\n';
+
   return output;
 };
 
+/**
+ * Format estimated work sessions per date and repository
+ *
+ * @param {Object} sessions - Sessions from estimateSessionsByDate
+ * @param {Array<string>} dayNames - Array of day names
+ * @param {Object} terminalCaps - Terminal color capabilities
+ * @param {string} cwd - Current working directory for path formatting
+ * @returns {string} Formatted text output
+ */
+export const formatSessions = (sessions, dayNames, terminalCaps, cwd) => {
+  const dates = Object.keys(sessions.byDate);
+  let output = `⏱️  Estimated work sessions (${formatDuration(sessions.totalMinutes)} total)\n`;
+  output += '─'.repeat(SEPARATOR_LENGTH) + '\n';
+
+  if (dates.length === 0) {
+    return `${output}   No sessions in the specified period.\n\n`;
+  }
+
+  for (const date of dates) {
+    const dayName = dayNames[new Date(date).getDay()];
+    const repos = sessions.byDate[date];
+    const dayMinutes = Object.values(repos).reduce((total, entry) => total + entry.minutes, 0);
+    output += `\n  📅 ${date} (${dayName}) · ${formatDuration(dayMinutes)}\n`;
+
+    for (const [repo, entry] of Object.entries(repos)) {
+      const ranges = entry.sessions
+        .map(session => {
+          const start = colorize(session.startTime, getTimeColor(session.startTime, terminalCaps), terminalCaps);
+          const end = colorize(session.endTime, getTimeColor(session.endTime, terminalCaps), terminalCaps);
+          return `${start}–${end}`;
+        })
+        .join(', ');
+      output += `     📁 ${formatRepoPath(repo, cwd)} · ${formatDuration(entry.minutes)} ${colorize(`(${ranges})`, getMessageColor(terminalCaps), terminalCaps)}\n`;
+    }
+  }
+  output += '\n';
+
+  return output;
+};
+
+/**
+ * Format the pending work of repositories (--wip): working tree changes,
+ * stashes created in the period and unpushed commits
+ *
+ * @param {Array<Object>} wip - Pending work per repository ({ repo, modified, untracked, stashes, unpushed, unpushedCount })
+ * @param {Object} terminalCaps - Terminal color capabilities
+ * @param {string} cwd - Current working directory
+ * @returns {string} Formatted section
+ */
+export const formatWorkInProgress = (wip, terminalCaps, cwd) => {
+  let output = `🚧 Work in progress\n`;
+  output += '─'.repeat(SEPARATOR_LENGTH) + '\n';
+
+  if (wip.length === 0) {
+    return `${output}   No uncommitted, stashed or unpushed work.\n\n`;
+  }
+
+  const formatEntry = (entry, ref, branch) => {
+    const time = colorize(entry.time, getTimeColor(entry.time, terminalCaps), terminalCaps);
+    const branchInfo = branch ? ` ${colorize(`[${branch}]`, getBranchColor(terminalCaps), terminalCaps)}` : '';
+    return `${entry.date} ${time} ${colorize(ref, getHashColor(terminalCaps), terminalCaps)}${branchInfo} - ${colorize(entry.message, getMessageColor(terminalCaps), terminalCaps)}`;
+  };
+  const formatMore = (count) => count > WIP_LIST_LIMIT ? `        … and ${count - WIP_LIST_LIMIT} more\n` : '';
+
+  for (const entry of wip) {
+    output += `\n  📁 ${formatRepoPath(entry.repo, cwd)} · ${formatWorkInProgressSummary(entry)}\n`;
+    for (const stash of entry.stashes.slice(0, WIP_LIST_LIMIT)) {
+      output += `     📦 ${formatEntry(stash, stash.ref)}\n`;
+    }
+    output += formatMore(entry.stashes.length);
+    for (const commit of entry.unpushed.slice(0, WIP_LIST_LIMIT)) {
+      output += `     ⬆️  ${formatEntry(commit, commit.hash, commit.branch)}\n`;
+    }
+    output += formatMore(entry.unpushedCount);
+  }
+  output += '\n';
+
+  return output;
+};
+
+/**
+ * Maximum width of the bars of activity statistics histograms
+ */
+const STATS_BAR_WIDTH = 30;
+
+/**
+ * Format one histogram per line: label, count and a bar proportional to the busiest entry
+ *
+ * @param {Array<{label: string, commits: number}>} entries - Histogram entries
+ * @param {Object} terminalCaps - Terminal color capabilities
+ * @returns {string} Formatted lines
+ */
+const formatStatsHistogram = (entries, terminalCaps) => {
+  const max = Math.max(...entries.map(entry => entry.commits), 1);
+  const labelWidth = Math.max(...entries.map(entry => entry.label.length));
+  const countWidth = String(max).length;
+
+  return entries.map(({ label, commits }) => {
+    const bar = '█'.repeat(Math.ceil(commits / max * STATS_BAR_WIDTH));
+    return `  ${label.padEnd(labelWidth)}  ${String(commits).padStart(countWidth)}  ${colorize(bar, getMessageColor(terminalCaps), terminalCaps)}`.trimEnd() + '\n';
+  }).join('');
+};
+
+/**
+ * Format activity statistics (--stats) as aligned tables
+ *
+ * @param {Object} stats - Statistics from computeActivityStats
+ * @param {Object} terminalCaps - Terminal color capabilities
+ * @param {string} cwd - Current working directory for path formatting
+ * @returns {string} Formatted text output
+ */
+export const formatActivityStats = (stats, terminalCaps, cwd) => {
+  const plural = (count, word) => `${count} ${word}${count !== 1 ? 's' : ''}`;
+  const muted = text => colorize(text, getMessageColor(terminalCaps), terminalCaps);
+
+  const summary = [['Commits', String(stats.commits)], ['Active days', String(stats.activeDays)]];
+  if (stats.longestStreak) {
+    const { days, start, end } = stats.longestStreak;
+    summary.push(['Longest streak', `${plural(days, 'day')} ${muted(days > 1 ? `(${start} → ${end})` : `(${start})`)}`]);
+  }
+  if (stats.busiestRepo) {
+    summary.push(['Busiest repository', `${formatRepoPath(stats.busiestRepo.repo, cwd)} ${muted(`(${plural(stats.busiestRepo.commits, 'commit')})`)}`]);
+  }
+  if (stats.busiestDay) {
+    summary.push(['Busiest day', `${stats.busiestDay.date} ${muted(`(${plural(stats.busiestDay.commits, 'commit')})`)}`]);
+  }
+  summary.push(['Rebases', stats.rebases > 0 ? `${stats.rebases} ${muted(`(${plural(stats.rebasedCommits, 'commit')} rewritten)`)}` : '0']);
+  if (stats.lines) {
+    summary.push(['Lines changed', `${formatStatsSuffix(stats.lines, terminalCaps).trim()} ${muted(`in ${plural(stats.lines.files, 'file')}`)}`]);
+  }
+
+  const summaryWidth = Math.max(...summary.map(([label]) => label.length));
+  let output = '📊 Activity statistics\n';
+  output += '─'.repeat(SEPARATOR_LENGTH) + '\n';
+  for (const [label, value] of summary) {
+    output += `  ${label.padEnd(summaryWidth)}  ${value}\n`;
+  }
+  output += '\n';
+
+  if (stats.byRepo.length > 0) {
+    const headers = ['Repository', 'Commits', 'Days', 'Rebases', ...(stats.lines ? ['Lines'] : [])];
+    const rows = stats.byRepo.map(entry => [
+      formatRepoPath(entry.repo, cwd),
+      String(entry.commits),
+      String(entry.activeDays),
+      String(entry.rebases),
+      ...(stats.lines ? [`+${entry.insertions}/-${entry.deletions}`] : [])
+    ]);
+    const widths = headers.map((header, column) => Math.max(header.length, ...rows.map(row => row[column].length)));
+    const formatRow = row => row.map((cell, column) => column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])).join('  ');
+
+    output += '📁 By repository\n';
+    output += '─'.repeat(SEPARATOR_LENGTH) + '\n';
+    output += `  ${muted(formatRow(headers))}\n`;
+    for (const row of rows) {
+      output += `  ${formatRow(row)}\n`;
+    }
+    output += '\n';
+  }
+
+  output += '📅 By weekday\n';
+  output += '─'.repeat(SEPARATOR_LENGTH) + '\n';
+  output += formatStatsHistogram(stats.byWeekday.map(({ day, commits }) => ({ label: day, commits })), terminalCaps);
+  output += '\n';
+
+  output += '🕐 By hour\n';
+  output += '─'.repeat(SEPARATOR_LENGTH) + '\n';
+  output += formatStatsHistogram(stats.byHour.map(({ hours, commits }) => ({ label: hours, commits })), terminalCaps);
+  output += '\n';
+
+  return output;
+};
+
+/**
+ * Maximum number of weeks per row of heatmap blocks (longer periods wrap)
+ */
+const HEATMAP_WEEKS_PER_BLOCK = 28;
+
+/**
+ * Month abbreviations of heatmap headers
+ */
+const MONTH_ABBREVIATIONS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Weekday labels of heatmap rows (Monday first, every other day)
+ */
+const HEATMAP_ROW_LABELS = ['Mon', '', 'Wed', '', 'Fri', '', ''];
+
+/**
+ * Format a heatmap cell
+ *
+ * With 256 or true colors, levels only differ by their color; otherwise
+ * (basic colors or none) they also use shade characters.
+ *
+ * @param {number} level - Intensity level (0-4)
+ * @param {Object} terminalCaps - Terminal color capabilities
+ * @returns {string} Colored cell character
+ */
+const formatHeatmapCell = (level, terminalCaps) => {
+  const shaded = !terminalCaps.colors || !(terminalCaps.truecolor || terminalCaps.colors256);
+  const glyph = shaded ? ['·', '░', '▒', '▓', '█'][level] : '■';
+  return colorize(glyph, getHeatmapColor(level, terminalCaps), terminalCaps);
+};
+
+/**
+ * Format a calendar heatmap (--heatmap)
+ *
+ * One column per week and one row per weekday, wrapped in blocks of
+ * HEATMAP_WEEKS_PER_BLOCK weeks, followed by a legend.
+ *
+ * @param {Object} heatmap - Heatmap from buildActivityHeatmap
+ * @param {Object} terminalCaps - Terminal color capabilities
+ * @returns {string} Formatted text output
+ */
+export const formatHeatmap = (heatmap, terminalCaps) => {
+  const labelWidth = 4;
+  let output = `🗓️  Activity heatmap (${heatmap.since} → ${heatmap.until})\n`;
+  output += '─'.repeat(SEPARATOR_LENGTH) + '\n';
+
+  for (let start = 0; start < heatmap.weeks.length; start += HEATMAP_WEEKS_PER_BLOCK) {
+    const weeks = heatmap.weeks.slice(start, start + HEATMAP_WEEKS_PER_BLOCK);
+
+    // Month names above the first week of each month, and above the first
+    // column unless a month starts in the next one
+    const startsMonth = week => week.find(day => day?.date.endsWith('-01'));
+    const header = Array(labelWidth + weeks.length * 2).fill(' ');
+    let nextFree = 0;
+    weeks.forEach((week, index) => {
+      const first = startsMonth(week) ?? (index === 0 && !(weeks[1] && startsMonth(weeks[1])) ? week.find(Boolean) : undefined);
+      const column = labelWidth + index * 2;
+      if (!first || column < nextFree) return;
+      header.splice(column, 3, ...MONTH_ABBREVIATIONS[parseInt(first.date.slice(5, 7), 10) - 1]);
+      nextFree = column + 4;
+    });
+    output += `\n${header.join('').trimEnd()}\n`;
+
+    for (let weekday = 0; weekday < 7; weekday++) {
+      const cells = weeks.map(week => week[weekday] ? formatHeatmapCell(week[weekday].level, terminalCaps) : ' ');
+      output += `${HEATMAP_ROW_LABELS[weekday].padEnd(labelWidth)}${cells.join(' ')}`.trimEnd() + '\n';
+    }
+  }
+
+  const legend = Array.from({ length: 5 }, (_, level) => formatHeatmapCell(level, terminalCaps)).join(' ');
+  const summary = `${heatmap.commits} commit${heatmap.commits !== 1 ? 's' : ''} on ${heatmap.activeDays} active day${heatmap.activeDays !== 1 ? 's' : ''}${heatmap.max > 0 ? `, up to ${heatmap.max} a day` : ''}`;
+  output += `\n${' '.repeat(labelWidth)}Less ${legend} More   ${colorize(summary, getMessageColor(terminalCaps), terminalCaps)}\n\n`;
+
+  return output;
+};
+
+/**
+ * Icons used for section headers of grouped views (--group-by)
+ */
+export const GROUP_ICONS = {
+  ticket: '🎫',
+  type: '🔖'
+};
+
+/**
+ * Format commits split into groups (authors, tickets, ...)
+ *
+ * Displays one section per group, each laid out like default mode
+ * (grouped by date, then by repository).
+ *
+ * @param {Object} commitsByGroup - Commits grouped by group key, date and repo
+ * @param {Object} rebaseSummariesByGroup - Rebase summaries grouped by group key, date and repo
+ * @param {string} icon - Icon displayed before each group key
+ * @param {Array<string>} dayNames - Array of day names
+ * @param {Object} terminalCaps - Terminal color capabilities
+ * @param {string} cwd - Current working directory for path formatting
+ * @param {Object} [sessionsByGroup] - Estimated work sessions per group key (see formatSessions)
+ * @returns {string} Formatted text output
+ */
+export const formatGroupedSections = (commitsByGroup, rebaseSummariesByGroup, icon, dayNames, terminalCaps, cwd, sessionsByGroup = {}) => {
+  let output = '';
+
+  for (const [group, commitsByDate] of Object.entries(commitsByGroup)) {
+    const count = flattenCommitsByDate(commitsByDate).length;
+    output += `${icon} ${group} (${count} commit${count !== 1 ? 's' : ''})\n`;
+    output += '═'.repeat(SEPARATOR_LENGTH) + '\n\n';
+
+    // Dates with rebase or merge summaries only are still reported
+    if (Object.keys(commitsByDate).length === 0) {
+      output += '   No commits in the specified period.\n\n';
+      continue;
+    }
+
+    output += formatDefaultMode({
+      commitsByDate,
+      rebaseSummariesByDate: rebaseSummariesByGroup[group] || {}
+    }, dayNames, terminalCaps, cwd);
+
+    if (sessionsByGroup[group]) {
+      output += formatSessions(sessionsByGroup[group], dayNames, terminalCaps, cwd);
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Format commits for team mode
+ *
+ * Displays one section per team member (see formatGroupedSections).
+ *
+ * @param {Object} data - Structured commit data
+ * @param {Object} data.commitsByAuthor - Commits grouped by author, date and repo
+ * @param {Object} data.rebaseSummariesByAuthor - Rebase summaries grouped by author, date and repo
+ * @param {Array<string>} dayNames - Array of day names
+ * @param {Object} terminalCaps - Terminal color capabilities
+ * @param {string} cwd - Current working directory for path formatting
+ * @returns {string} Formatted text output
+ */
+export const formatTeamMode = (data, dayNames, terminalCaps, cwd) => {
+  return formatGroupedSections(data.commitsByAuthor, data.rebaseSummariesByAuthor || {}, '👤', dayNames, terminalCaps, cwd, data.sessionsByAuthor);
+};
+
 /**
  * Format a single repository's commit list for project mode
  *
@@ -110,14 +521,11 @@ export const formatRepoCommits = (commits, dayNames, terminalCaps) => {
     const dateObj = new Date(date);
     const dayName = dayNames[dateObj.getDay()];
 
-    output += `\n        📅 ${date} (${dayName})\n`;
+    const dayTotals = hasCommitStats(commitsByDate[date]) ? formatStatsTotals(sumCommitStats(commitsByDate[date]), terminalCaps) : '';
+    output += `\n        📅 ${date} (${dayName})${dayTotals}\n`;
     // Display commits in chronological order (oldest first)
     for (const commit of commitsByDate[date].slice().reverse()) {
-      const timeColored = colorize(commit.time, getTimeColor(commit.time, terminalCaps), terminalCaps);
-      const hashColored = colorize(commit.hash, getHashColor(terminalCaps), terminalCaps);
-      const messageColored = colorize(commit.message, getMessageColor(terminalCaps), terminalCaps);
-      const rebaseInfo = commit.isRebase ? colorize(` (rebased on ${commit.commitDate})`, '#888888', terminalCaps) : '';
-      output += `           ${timeColored} ${hashColored} - ${messageColored}${rebaseInfo}\n`;
+      output += `           ${formatCommitLine(commit, terminalCaps)}\n`;
     }
   }
   output += '\n';
@@ -132,11 +540,19 @@ export const formatRepoCommits = (commits, dayNames, terminalCaps) => {
  * - default: Chronological by date, then by project
  * - project: By project, with commits grouped by date
  * - short: Only last commit date per project
+ * - team: One default-mode section per team member
  *
  * @param {Object} data - Data to format
  * @param {Array} [data.repos] - Repository list (project/short modes)
  * @param {Object} [data.commitsByDate] - Commits grouped by date (default mode)
  * @param {Object} [data.rebaseSummariesByDate] - Rebase summaries grouped by date
+ * @param {Object} [data.commitsByAuthor] - Commits grouped by author, then date (team mode)
+ * @param {Object} [data.rebaseSummariesByAuthor] - Rebase summaries grouped by author, then date (team mode)
+ * @param {string} [data.groupBy] - Grouping field of the grouped view ('ticket' or 'type')
+ * @param {Object} [data.commitsByGroup] - Commits grouped by group key, then date (grouped view)
+ * @param {Object} [data.sessions] - Estimated work sessions (--sessions)
+ * @param {Object} [data.sessionsByAuthor] - Estimated work sessions per author (--sessions, team mode)
+ * @param {Array<Object>} [data.wip] - Pending work per repository (--wip, default and team modes)
  * @param {string} data.mode - Display mode (default, project, short)
  * @param {number} data.days - Number of days in the period
  * @param {string} [data.author] - Author filter if used
@@ -161,11 +577,44 @@ export const formatAsText = (data, dayNames, terminalCaps, cwd) => {
   const { mode, commitsByDate, rebaseSummariesByDate, repos } = data;
   let output = '';
 
+  // Activity statistics (--stats) replace the commit listing
+  if (mode === 'team' && data.statsByAuthor) {
+    for (const [member, stats] of Object.entries(data.statsByAuthor)) {
+      output += `👤 ${member} (${stats.commits} commit${stats.commits !== 1 ? 's' : ''})\n`;
+      output += '═'.repeat(SEPARATOR_LENGTH) + '\n\n';
+      output += stats.commits > 0 ? formatActivityStats(stats, terminalCaps, cwd) : '   No commits in the specified period.\n\n';
+      if (data.sessionsByAuthor?.[member]) {
+        output += formatSessions(data.sessionsByAuthor[member], dayNames, terminalCaps, cwd);
+      }
+    }
+  }
+  else if (mode === 'default' && data.stats) {
+    output += formatActivityStats(data.stats, terminalCaps, cwd);
+  }
+  // Calendar heatmap (--heatmap) replaces the commit listing
+  else if (mode === 'team' && data.heatmapByAuthor) {
+    for (const [member, heatmap] of Object.entries(data.heatmapByAuthor)) {
+      output += `👤 ${member} (${heatmap.commits} commit${heatmap.commits !== 1 ? 's' : ''})\n`;
+      output += '═'.repeat(SEPARATOR_LENGTH) + '\n\n';
+      output += formatHeatmap(heatmap, terminalCaps);
+    }
+  }
+  else if (mode === 'default' && data.heatmap) {
+    output += formatHeatmap(data.heatmap, terminalCaps);
+  }
+  // Team mode (per author, then chronological)
+  else if (mode === 'team' && data.commitsByAuthor) {
+    output += formatTeamMode(data, dayNames, terminalCaps, cwd);
+  }
+  // Grouped view (--group-by): one section per group, then chronological
+  else if (mode === 'default' && data.groupBy && data.commitsByGroup) {
+    output += formatGroupedSections(data.commitsByGroup, {}, GROUP_ICONS[data.groupBy] || '🏷️', dayNames, terminalCaps, cwd);
+  }
   // Default mode (chronological)
-  if (mode === 'default' && commitsByDate) {
+  else if (mode === 'default' && commitsByDate) {
     const dates = Object.keys(commitsByDate);
     if (dates.length === 0) {
-      output += '❌ No commits found for this author in the specified period.\n';
+      output += '❌ No commits found for this author in the specified period.\n\n';
     } else {
       output += formatDefaultMode({ commitsByDate, rebaseSummariesByDate }, dayNames, terminalCaps, cwd);
     }
@@ -178,7 +627,9 @@ export const formatAsText = (data, dayNames, terminalCaps, cwd) => {
       const daysAgoColored = colorize(daysAgoText, getDaysAgoColor(repo.daysAgo, terminalCaps), terminalCaps);
       const dateObj = new Date(repo.lastCommitDate);
       const dateText = colorize(formatDate(dateObj), getMessageColor(terminalCaps), terminalCaps);
-      output += `     └─ Last commit: ${daysAgoColored} (${dateText})\n`;
+      const repoTotals = repo.commits && hasCommitStats(repo.commits) ? formatStatsTotals(sumCommitStats(repo.commits), terminalCaps) : '';
+      const wipInfo = repo.wip ? ` · 🚧 ${formatWorkInProgressSummary(repo.wip)}` : '';
+      output += `     └─ Last commit: ${daysAgoColored} (${dateText})${repoTotals}${wipInfo}\n`;
 
       // Project mode: show commits
       if (mode === 'project' && repo.commits && repo.commits.length > 0) {
@@ -187,5 +638,15 @@ export const formatAsText = (data, dayNames, terminalCaps, cwd) => {
     }
   }
 
+  // Estimated work sessions (--sessions), after the chronological or grouped listing
+  if (mode === 'default' && data.sessions) {
+    output += formatSessions(data.sessions, dayNames, terminalCaps, cwd);
+  }
+
+  // Pending work (--wip), after everything else; project and short modes flag it per repository
+  if (data.wip) {
+    output += formatWorkInProgress(data.wip, terminalCaps, cwd);
+  }
+
   return output;
 };
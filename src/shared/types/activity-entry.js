@@ -74,6 +74,11 @@ export const createCommitEntry = (commitData) => {
  * @param {string} data.commitTime - Time of rebase in HH:MM format
  * @param {string} data.firstAuthorDate - First commit's author date (YYYY-MM-DD)
  * @param {string} data.lastAuthorDate - Last commit's author date (YYYY-MM-DD)
+ * @param {string} [data.rewriteType='rebase'] - Kind of rewrite (rebase, amend, cherry-pick, squash),
+ *   or 'merge' for commits merged into the default branch during the period
+ * @param {string} [data.branch] - Rebased branch, when known from the reflog
+ * @param {string} [data.onto] - Base the branch was rebased onto, when known from the reflog
+ * @param {Object} [data.mergedInto] - Merge of a 'merge' summary ({ branch, hash, date, time, mergedBy, pullRequest })
  * @param {Array<Object>} [data.commits] - Array of rebased commits
  * @returns {Object} Rebase summary object
  */
@@ -93,6 +98,10 @@ export const createRebaseSummary = (data) => {
     commitTime: data.commitTime,
     firstAuthorDate: data.firstAuthorDate,
     lastAuthorDate: data.lastAuthorDate,
+    rewriteType: data.rewriteType || 'rebase',
+    branch: data.branch ?? null,
+    onto: data.onto ?? null,
+    ...(data.mergedInto ? { mergedInto: data.mergedInto } : {}),
     commits: data.commits || []
   };
 };
@@ -0,0 +1,68 @@
+/**
+ * Error types thrown by git-did
+ *
+ * Library callers can tell git-did's own errors (invalid options, unusable
+ * configuration) from unexpected failures with instanceof checks; the CLI
+ * prints their message and exits with status 1.
+ *
+ * @module shared/types/errors
+ */
+
+/**
+ * Base class of the errors thrown by git-did
+ * @example
+ * try {
+ *   await collectActivity({ since: 'someday' });
+ * } catch (error) {
+ *   if (error instanceof GitDidError) console.error(error.message);
+ *   else throw error;
+ * }
+ */
+export class GitDidError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * Invalid option value, or options that cannot be combined
+ * @example
+ * throw new InvalidOptionError('Invalid --group-by value "foo"', { option: '--group-by' });
+ */
+export class InvalidOptionError extends GitDidError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {string} [options.option] - Option at fault (e.g. "--since")
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.option = options.option ?? null;
+  }
+}
+
+/**
+ * Unusable configuration: unreadable or invalid file named by the did.* git
+ * configuration, or settings that leave nothing to report
+ * @example
+ * throw new ConfigurationError('Unable to read holiday file holidays.txt: ENOENT', { file: 'holidays.txt' });
+ */
+export class ConfigurationError extends GitDidError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {string} [options.file] - File at fault
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.file = options.file ?? null;
+  }
+}
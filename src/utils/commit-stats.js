@@ -0,0 +1,104 @@
+/**
+ * Diffstat aggregation utilities
+ * @module commit-stats
+ */
+
+/**
+ * Sum the diffstat of a list of commits
+ * Commits without stats are counted but add no changes
+ * @param {Array<Object>} commits - Commits, optionally carrying stats
+ * @returns {{commits: number, files: number, insertions: number, deletions: number}} Totals
+ * @example
+ * sumCommitStats([{ stats: { files: 2, insertions: 10, deletions: 3 } }]);
+ * // { commits: 1, files: 2, insertions: 10, deletions: 3 }
+ */
+export const sumCommitStats = (commits) => {
+  return commits.reduce((totals, commit) => {
+    const stats = commit.stats || { files: 0, insertions: 0, deletions: 0 };
+    return {
+      commits: totals.commits + 1,
+      files: totals.files + stats.files,
+      insertions: totals.insertions + stats.insertions,
+      deletions: totals.deletions + stats.deletions
+    };
+  }, { commits: 0, files: 0, insertions: 0, deletions: 0 });
+};
+
+/**
+ * Flatten commits grouped by date and repo into a single list
+ * @param {Object} commitsByDate - Commits grouped by date and repo
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.withRepo] - Copy each commit with its repository path (as `repo`)
+ * @returns {Array<Object>} Commits, by date then repo
+ * @example
+ * flattenCommitsByDate({ '2025-11-21': { 'repo1': [commit] } }, { withRepo: true });
+ * // [{ ...commit, repo: 'repo1' }]
+ */
+export const flattenCommitsByDate = (commitsByDate, options = {}) => {
+  return Object.values(commitsByDate)
+    .flatMap(dateData => Object.entries(dateData))
+    .flatMap(([repo, commits]) => options.withRepo ? commits.map(commit => ({ ...commit, repo })) : commits);
+};
+
+/**
+ * Regroup commits grouped by date and repo by repo only
+ * @param {Object} commitsByDate - Commits grouped by date and repo
+ * @returns {Object} Commits per repo, by date
+ * @example
+ * groupCommitsByRepo({ '2025-11-20': { 'repo1': [a] }, '2025-11-21': { 'repo1': [b] } });
+ * // { 'repo1': [a, b] }
+ */
+export const groupCommitsByRepo = (commitsByDate) => {
+  const commitsByRepo = {};
+  for (const dateData of Object.values(commitsByDate)) {
+    for (const [repo, commits] of Object.entries(dateData)) {
+      if (!commitsByRepo[repo]) commitsByRepo[repo] = [];
+      commitsByRepo[repo].push(...commits);
+    }
+  }
+  return commitsByRepo;
+};
+
+/**
+ * Compute per-day, per-repo and overall diffstat totals
+ * @param {Object} commitsByDate - Commits grouped by date and repo
+ * @returns {{byDate: Object, byRepo: Object, total: Object}} Totals (see sumCommitStats)
+ * @example
+ * computeStatsTotals({ '2025-11-21': { 'repo1': [...] } });
+ * // { byDate: { '2025-11-21': {...} }, byRepo: { 'repo1': {...} }, total: {...} }
+ */
+export const computeStatsTotals = (commitsByDate) => {
+  const byDate = Object.fromEntries(
+    Object.entries(commitsByDate).map(([date, dateData]) => [date, sumCommitStats(Object.values(dateData).flat())])
+  );
+
+  const byRepo = Object.fromEntries(
+    Object.entries(groupCommitsByRepo(commitsByDate)).map(([repo, commits]) => [repo, sumCommitStats(commits)])
+  );
+
+  return {
+    byDate,
+    byRepo,
+    total: sumCommitStats(flattenCommitsByDate(commitsByDate))
+  };
+};
+
+/**
+ * Format a diffstat as a compact "+insertions/-deletions" string
+ * @param {{insertions: number, deletions: number}} stats - Diffstat
+ * @returns {string} Compact diffstat
+ * @example
+ * formatStatsCompact({ insertions: 120, deletions: 34 }); // '+120/-34'
+ */
+export const formatStatsCompact = (stats) => {
+  return `+${stats.insertions}/-${stats.deletions}`;
+};
+
+/**
+ * Check if commits carry diffstat data (collected with --stat)
+ * @param {Array<Object>} commits - Commits to check
+ * @returns {boolean} True if at least one commit has stats
+ */
+export const hasCommitStats = (commits) => {
+  return commits.some(commit => commit.stats);
+};
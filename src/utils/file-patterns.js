@@ -1,9 +1,17 @@
 /**
  * File pattern matching utilities for ignore patterns
+ * Patterns follow gitignore semantics (https://git-scm.com/docs/gitignore):
+ * negation, anchoring, `**`, character classes and escaped characters
  * @module file-patterns
  */
 
 import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+/**
+ * Name of the ignore files read in the search root and its subdirectories
+ */
+export const IGNORE_FILE_NAME = '.didignore';
 
 /**
  * Parse .didignore file and return array of patterns
@@ -11,78 +19,245 @@ import { readFile } from 'node:fs/promises';
  * @returns {Promise<string[]>} Array of ignore patterns
  */
 export const parseIgnoreFile = async (filePath) => {
-  try {
-    const content = await readFile(filePath, 'utf-8');
-    return content
-      .split('\n')
-      .map(line => line.trim())
-      .filter(line => line && !line.startsWith('#')); // Remove empty lines and comments
-  } catch {
-    return []; // File doesn't exist or can't be read
+  const rules = await loadIgnoreRules(filePath);
+  return rules.map(rule => rule.pattern);
+};
+
+/**
+ * Escape a character for use in a regular expression
+ * @param {string} char - Character
+ * @returns {string} Escaped character
+ */
+const escapeRegexChar = (char) => char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+/**
+ * Find the closing bracket of a character class
+ * @param {string} glob - Glob pattern
+ * @param {number} start - Index of the opening bracket
+ * @returns {number} Index of the closing bracket, or -1 if the class is not closed
+ */
+const findClassEnd = (glob, start) => {
+  let i = start + 1;
+  if (glob[i] === '!' || glob[i] === '^') i++;
+  // A closing bracket right after the opening one is a literal
+  if (glob[i] === ']') i++;
+  for (; i < glob.length; i++) {
+    if (glob[i] === '\\') i++;
+    else if (glob[i] === ']') return i;
   }
+  return -1;
 };
 
 /**
- * Convert gitignore-style pattern to regex
- * @param {string} pattern - Gitignore-style pattern
- * @returns {RegExp|null} Regular expression matching the pattern, or null if invalid
+ * Convert the content of a character class to a regular expression class
+ * Classes never match a slash, as with fnmatch(3) FNM_PATHNAME
+ * @param {string} content - Content between the brackets (e.g. "!a-z")
+ * @returns {string} Regular expression source
  */
-export const patternToRegex = (pattern) => {
-  try {
-    // Escape special regex characters except * and ?
-    let regexPattern = pattern
-      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
-      .replace(/\*/g, '.*')
-      .replace(/\?/g, '.');
-
-    // Handle directory-only patterns (ending with /)
-    if (pattern.endsWith('/')) {
-      regexPattern = `${regexPattern.slice(0, -2)}(/.*)?$`;
-    } else {
-      regexPattern = `${regexPattern}(/.*)?$`;
-    }
+const convertClass = (content) => {
+  const negated = content[0] === '!' || content[0] === '^';
+  let source = '';
+  for (let i = negated ? 1 : 0; i < content.length; i++) {
+    const char = content[i] === '\\' && i + 1 < content.length ? content[++i] : content[i];
+    source += char === '-' ? '-' : char.replace(/[\\\]^[]/, '\\$&');
+  }
+  return `(?!/)[${negated ? '^' : ''}${source}]`;
+};
+
+/**
+ * Convert a glob to a regular expression source
+ * `*` and `?` never match a slash; a leading `**` followed by a slash matches
+ * any leading directories, a trailing `/**` everything inside, and `/**` followed
+ * by a slash zero or more directories. Other `**` behave like `*`.
+ * @param {string} glob - Glob (without leading slash, negation or trailing slash)
+ * @returns {string} Regular expression source
+ */
+const globToRegexSource = (glob) => {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
 
-    // Handle patterns starting with / (absolute from search root)
-    if (pattern.startsWith('/')) {
-      regexPattern = `^${regexPattern.slice(2)}`;
+    if (char === '\\') {
+      // A trailing backslash escapes nothing and is dropped
+      if (i + 1 < glob.length) source += escapeRegexChar(glob[++i]);
+    } else if (char === '*') {
+      if (glob[i + 1] === '*' && (i === 0 || glob[i - 1] === '/')) {
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+          continue;
+        }
+        if (i + 2 === glob.length) {
+          source += '.*';
+          i += 1;
+          continue;
+        }
+      }
+      while (glob[i + 1] === '*') i++;
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && findClassEnd(glob, i) !== -1) {
+      const end = findClassEnd(glob, i);
+      source += convertClass(glob.slice(i + 1, end));
+      i = end;
     } else {
-      // Pattern can match anywhere in the path
-      regexPattern = `(^|/)${regexPattern}`;
+      source += escapeRegexChar(char);
     }
+  }
+
+  return source;
+};
+
+/**
+ * Compile a gitignore pattern
+ * @param {string} pattern - Pattern line (comments and blank lines give null)
+ * @param {string} [base=''] - Directory of the ignore file, relative to the search root ('' for the root)
+ * @returns {{pattern: string, negated: boolean, directoryOnly: boolean, regex: RegExp, base: string}|null} Rule, or null if the line holds no pattern
+ * @example
+ * compileIgnorePattern('!/build/**').regex; // /^build\/.*$/ (negated: true)
+ * compileIgnorePattern('*.tmp').regex; // /^(?:.*\/)?[^/]*\.tmp$/
+ */
+export const compileIgnorePattern = (pattern, base = '') => {
+  // Trailing spaces are ignored unless escaped with a backslash
+  let glob = pattern.replace(/\r$/, '').replace(/(?<!\\)[ \t]+$/, '');
+  if (!glob || glob.startsWith('#')) return null;
 
-    return new RegExp(regexPattern);
+  const negated = glob.startsWith('!');
+  if (negated) glob = glob.slice(1);
+  else if (glob.startsWith('\\!') || glob.startsWith('\\#')) glob = glob.slice(1);
+
+  const directoryOnly = glob.endsWith('/');
+  if (directoryOnly) glob = glob.slice(0, -1);
+  if (!glob) return null;
+
+  // A slash at the beginning or in the middle anchors the pattern to the ignore file's directory
+  const anchored = glob.includes('/');
+  if (glob.startsWith('/')) glob = glob.slice(1);
+
+  const source = globToRegexSource(glob);
+  return {
+    pattern: pattern.trim(),
+    negated,
+    directoryOnly,
+    regex: new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`),
+    base
+  };
+};
+
+/**
+ * Parse the content of an ignore file into rules
+ * @param {string} content - Ignore file content
+ * @param {string} [base=''] - Directory of the ignore file, relative to the search root
+ * @param {string} [source] - Ignore file path, kept on each rule (with its line number) for diagnostics
+ * @returns {Array<Object>} Rules in file order (see compileIgnorePattern)
+ */
+export const parseIgnoreRules = (content, base = '', source) => {
+  return content.split('\n').flatMap((line, index) => {
+    const rule = compileIgnorePattern(line, base);
+    return rule ? [{ ...rule, source, line: index + 1 }] : [];
+  });
+};
+
+/**
+ * Load the rules of an ignore file
+ * @param {string} filePath - Ignore file path
+ * @param {string} [base=''] - Directory of the ignore file, relative to the search root
+ * @returns {Promise<Array<Object>>} Rules, empty if the file doesn't exist or can't be read
+ */
+export const loadIgnoreRules = async (filePath, base = '') => {
+  try {
+    return parseIgnoreRules(await readFile(filePath, 'utf-8'), base, filePath);
   } catch {
-    // Invalid regex pattern, skip it
-    console.warn(`Warning: Invalid pattern in .didignore: "${pattern}"`);
-    return null;
+    return [];
   }
 };
 
 /**
- * Check if a path should be ignored based on ignore patterns
+ * Load the rules of the ignore files of every directory from the search root
+ * (excluded) down to a directory (included), as inherited by its subdirectories
+ * @param {string} rootPath - Search root
+ * @param {string} relativePath - Directory path relative to the search root
+ * @param {Array<Object>} [baseRules=[]] - Rules of the global and root ignore files
+ * @returns {Promise<Array<Object>>} Rules, lowest precedence first
+ */
+export const loadNestedIgnoreRules = async (rootPath, relativePath, baseRules = []) => {
+  const rules = [...baseRules];
+  let base = '';
+  for (const part of relativePath ? relativePath.split('/') : []) {
+    base = base ? `${base}/${part}` : part;
+    rules.push(...await loadIgnoreRules(join(rootPath, base, IGNORE_FILE_NAME), base));
+  }
+  return rules;
+};
+
+/**
+ * Find the rule deciding whether a path is ignored: the last matching one
+ * Parent directories are not checked (see explainIgnoredPath)
+ * @param {string} path - Path relative to the search root
+ * @param {Array<Object>} rules - Rules, lowest precedence first
+ * @param {boolean} [isDirectory=true] - Whether the path is a directory (for patterns ending with /)
+ * @returns {Object|null} Last matching rule, or null if none matches
+ */
+export const matchIgnoreRules = (path, rules, isDirectory = true) => {
+  let match = null;
+  for (const rule of rules) {
+    if (rule.directoryOnly && !isDirectory) continue;
+    const relativePath = !rule.base ? path : path.startsWith(`${rule.base}/`) ? path.slice(rule.base.length + 1) : null;
+    if (relativePath !== null && rule.regex.test(relativePath)) match = rule;
+  }
+  return match;
+};
+
+/**
+ * Check if a path should be ignored based on ignore rules
  * @param {string} path - Path to check (relative to search root)
- * @param {RegExp[]} ignoreRegexes - Array of ignore pattern regexes
- * @returns {boolean} True if path should be ignored
+ * @param {Array<Object>} rules - Rules, lowest precedence first
+ * @param {boolean} [isDirectory=true] - Whether the path is a directory
+ * @returns {boolean} True if the last matching rule is not a negation
  */
-export const shouldIgnorePath = (path, ignoreRegexes) => {
-  return ignoreRegexes.some(regex => regex.test(path));
+export const shouldIgnorePath = (path, rules, isDirectory = true) => {
+  const match = matchIgnoreRules(path, rules, isDirectory);
+  return Boolean(match && !match.negated);
 };
 
 /**
- * Load ignore patterns from file and convert to regexes
- * @param {string} filePath - Path to .didignore file
- * @returns {Promise<RegExp[]>} Array of regex patterns
+ * Explain whether a path is ignored, as git check-ignore does
+ * Nested ignore files are read along the path; a path inside an ignored
+ * directory is ignored, whatever the rules below say.
+ * @param {string} rootPath - Search root
+ * @param {string} relativePath - Path relative to the search root
+ * @param {Array<Object>} [baseRules=[]] - Rules of the global and root ignore files
+ * @param {boolean} [isDirectory=true] - Whether the path is a directory
+ * @returns {Promise<{ignored: boolean, rule: Object|null, path: string}>} Decision, deciding rule
+ *   (null if none matches) and the path it matched (the path itself or an ignored parent)
+ * @example
+ * await explainIgnoredPath('.', 'vendor/lib', rules);
+ * // { ignored: true, rule: { pattern: 'vendor/', source: '.didignore', line: 3, ... }, path: 'vendor' }
  */
-export const loadIgnorePatterns = async (filePath) => {
-  const patterns = await parseIgnoreFile(filePath);
-  return patterns.map(patternToRegex).filter(Boolean); // Filter out null values
+export const explainIgnoredPath = async (rootPath, relativePath, baseRules = [], isDirectory = true) => {
+  const parts = relativePath.split('/').filter(Boolean);
+  let rules = baseRules;
+  let path = '';
+
+  for (const [index, part] of parts.entries()) {
+    if (path) rules = [...rules, ...await loadIgnoreRules(join(rootPath, path, IGNORE_FILE_NAME), path)];
+    path = path ? `${path}/${part}` : part;
+
+    const isLast = index === parts.length - 1;
+    const rule = matchIgnoreRules(path, rules, isLast ? isDirectory : true);
+    if (isLast || (rule && !rule.negated)) return { ignored: Boolean(rule && !rule.negated), rule, path };
+  }
+
+  return { ignored: false, rule: null, path };
 };
 
 /**
- * Create an ignore matcher function from patterns
- * @param {RegExp[]} ignoreRegexes - Array of ignore pattern regexes
+ * Create an ignore matcher function from rules
+ * @param {Array<Object>} rules - Rules, lowest precedence first
  * @returns {Function} Function that checks if a path should be ignored
  */
-export const createIgnoreMatcher = (ignoreRegexes) => {
-  return (path) => shouldIgnorePath(path, ignoreRegexes);
+export const createIgnoreMatcher = (rules) => {
+  return (path) => shouldIgnorePath(path, rules);
 };
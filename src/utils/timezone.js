@@ -0,0 +1,147 @@
+/**
+ * Time zone utilities (IANA zones through Intl)
+ * @module timezone
+ */
+
+/**
+ * Date/time formatters by time zone (creating one is costly)
+ */
+const formatters = new Map();
+
+/**
+ * Get a formatter producing numeric date and 24-hour time parts in a time zone
+ * @param {string} timeZone - IANA time zone (e.g. "Europe/Paris")
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Check if a time zone is supported
+ * @param {string} timeZone - IANA time zone (e.g. "America/New_York", "UTC")
+ * @returns {boolean} True if the zone is known to the runtime
+ * @example
+ * isValidTimeZone('Europe/Paris'); // true
+ * isValidTimeZone('Mars/Olympus'); // false
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Get the calendar fields of a timestamp in a time zone
+ * @param {number} timestamp - Unix timestamp (seconds)
+ * @param {string} timeZone - IANA time zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} Local fields
+ */
+const getZonedFields = (timestamp, timeZone) => {
+  const fields = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(timestamp * 1000))) {
+    if (type !== 'literal') fields[type] = parseInt(value, 10);
+  }
+  return fields;
+};
+
+/**
+ * Get the local date and time of a timestamp in a time zone
+ * @param {number} timestamp - Unix timestamp (seconds)
+ * @param {string} timeZone - IANA time zone
+ * @returns {{date: string, time: string}} Date (YYYY-MM-DD) and time (HH:MM)
+ * @example
+ * getZonedDateTime(1763710200, 'Asia/Tokyo');
+ * // { date: '2025-11-21', time: '16:30' }
+ */
+export const getZonedDateTime = (timestamp, timeZone) => {
+  const { year, month, day, hour, minute } = getZonedFields(timestamp, timeZone);
+  const pad = value => String(value).padStart(2, '0');
+  return { date: `${year}-${pad(month)}-${pad(day)}`, time: `${pad(hour)}:${pad(minute)}` };
+};
+
+/**
+ * Get the UTC offset of a time zone at a given instant
+ * @param {number} timestamp - Unix timestamp (seconds)
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in minutes (e.g. 120 for UTC+02:00)
+ */
+export const getTimeZoneOffset = (timestamp, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedFields(timestamp, timeZone);
+  return Math.round((Date.UTC(year, month - 1, day, hour, minute, second) / 1000 - timestamp) / 60);
+};
+
+/**
+ * Convert a local date and time in a time zone to a timestamp
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {string} time - Local time (HH:MM:SS)
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Unix timestamp (seconds)
+ * @example
+ * zonedTimeToTimestamp('2025-11-21', '00:00:00', 'Europe/Paris');
+ * // 1763679600 (2025-11-20T23:00:00Z)
+ */
+export const zonedTimeToTimestamp = (date, time, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute, second] = time.split(':').map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second) / 1000;
+
+  // The offset at the guessed instant can differ from the offset at the
+  // result around DST changes, so it is computed twice
+  const firstGuess = asUtc - getTimeZoneOffset(asUtc, timeZone) * 60;
+  return asUtc - getTimeZoneOffset(firstGuess, timeZone) * 60;
+};
+
+/**
+ * Format a UTC offset
+ * @param {number} minutes - Offset in minutes
+ * @returns {string} Offset (e.g. "+02:00", "-07:00")
+ */
+export const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Normalise a date range to a time zone
+ *
+ * Calendar boundaries (explicit dates) keep their date; boundaries computed
+ * from the current instant (today, N days ago) take their date in the zone.
+ * Date objects are moved to the start and end of those days in the zone.
+ *
+ * @param {Object} dateRange - Date range ({ since, until, sinceStr, untilStr })
+ * @param {string} timeZone - IANA time zone
+ * @param {Object} [options] - Boundary kinds
+ * @param {boolean} [options.sinceIsInstant=false] - Whether since was computed from the current instant
+ * @param {boolean} [options.untilIsInstant=false] - Whether until is the current instant
+ * @returns {Object} Date range in the time zone (same shape)
+ */
+export const toZonedDateRange = (dateRange, timeZone, options = {}) => {
+  const toZonedDate = date => getZonedDateTime(Math.floor(date.getTime() / 1000), timeZone).date;
+  const sinceStr = options.sinceIsInstant ? toZonedDate(dateRange.since) : dateRange.sinceStr;
+  const untilStr = options.untilIsInstant ? toZonedDate(dateRange.until) : dateRange.untilStr;
+
+  return {
+    ...dateRange,
+    since: new Date(zonedTimeToTimestamp(sinceStr, '00:00:00', timeZone) * 1000),
+    until: new Date(zonedTimeToTimestamp(untilStr, '23:59:59', timeZone) * 1000),
+    sinceStr,
+    untilStr
+  };
+};
@@ -0,0 +1,149 @@
+/**
+ * Working days and holidays utilities for standup ranges
+ * @module working-days
+ */
+
+import { readFile } from 'node:fs/promises';
+import { DAY_NAMES, MS_PER_DAY, formatDate, parseDate } from '../shared/display/date-utils.js';
+import { ConfigurationError } from '../shared/types/errors.js';
+
+/**
+ * Default working days (Monday to Friday), as Date#getDay() numbers
+ */
+export const DEFAULT_WORKDAYS = [1, 2, 3, 4, 5];
+
+/**
+ * Maximum number of days looked back for a working day
+ */
+const MAX_LOOKBACK_DAYS = 366;
+
+/**
+ * Get the Date#getDay() number of a day name or abbreviation
+ * @param {string} name - Day name (e.g. "mon", "Monday")
+ * @returns {number} Day number (0 = Sunday), or -1 if unknown
+ */
+const parseDayName = (name) => {
+  const normalized = name.trim().toLowerCase();
+  if (normalized.length < 3) return -1;
+  return DAY_NAMES.findIndex(day => day.toLowerCase().startsWith(normalized));
+};
+
+/**
+ * Parse a working days specification
+ * Comma-separated day names or ranges, ranges may wrap around the week
+ * @param {string} value - Specification (e.g. "mon-fri", "sun-thu", "mon,tue,thu")
+ * @returns {number[]|null} Sorted day numbers (0 = Sunday), or null if invalid
+ * @example
+ * parseWorkdays('mon-thu,sat'); // [1, 2, 3, 4, 6]
+ * parseWorkdays('fri-mon'); // [0, 1, 5, 6]
+ */
+export const parseWorkdays = (value) => {
+  const days = new Set();
+
+  for (const part of value.split(',').map(item => item.trim()).filter(Boolean)) {
+    const [startName, endName, ...rest] = part.split('-');
+    if (rest.length > 0) return null;
+
+    const start = parseDayName(startName);
+    const end = endName === undefined ? start : parseDayName(endName);
+    if (start === -1 || end === -1) return null;
+
+    for (let day = start; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === end) break;
+    }
+  }
+
+  return days.size > 0 ? [...days].sort((a, b) => a - b) : null;
+};
+
+/**
+ * Parse a holiday list file
+ * One YYYY-MM-DD date per line, optionally followed by a description;
+ * empty lines and lines starting with # are ignored
+ * @param {string} filePath - Path to the holiday file
+ * @returns {Promise<Set<string>>} Holiday dates (YYYY-MM-DD)
+ * @throws {ConfigurationError} If the file cannot be read or contains an invalid date
+ * @example
+ * // holidays.txt: "2025-12-25 Christmas"
+ * await parseHolidayFile('holidays.txt'); // Set { '2025-12-25' }
+ */
+export const parseHolidayFile = async (filePath) => {
+  let content;
+  try {
+    content = await readFile(filePath, 'utf-8');
+  } catch (error) {
+    throw new ConfigurationError(`Unable to read holiday file ${filePath}: ${error.message}`, { file: filePath, cause: error });
+  }
+
+  const holidays = new Set();
+  content.split('\n').forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const [date] = line.split(/\s+/);
+    if (!parseDate(date)) {
+      throw new ConfigurationError(`Invalid date "${date}" in holiday file ${filePath} (line ${index + 1}). Use YYYY-MM-DD`, { file: filePath });
+    }
+    holidays.add(date);
+  });
+
+  return holidays;
+};
+
+/**
+ * Check if a date is a working day
+ * @param {Date} date - Date to check
+ * @param {number[]} [workdays=DEFAULT_WORKDAYS] - Working day numbers (0 = Sunday)
+ * @param {Set<string>} [holidays=new Set()] - Holiday dates (YYYY-MM-DD)
+ * @returns {boolean} True if the date is a working day and not a holiday
+ */
+export const isWorkingDay = (date, workdays = DEFAULT_WORKDAYS, holidays = new Set()) => {
+  return workdays.includes(date.getDay()) && !holidays.has(formatDate(date));
+};
+
+/**
+ * Find the last working day strictly before a date
+ * @param {Date} date - Reference date
+ * @param {number[]} [workdays=DEFAULT_WORKDAYS] - Working day numbers (0 = Sunday)
+ * @param {Set<string>} [holidays=new Set()] - Holiday dates (YYYY-MM-DD)
+ * @returns {Date} Previous working day, at local midnight
+ * @throws {ConfigurationError} If no working day is found within a year
+ * @example
+ * getPreviousWorkingDay(new Date('2025-11-24T09:00:00')); // Friday 2025-11-21
+ */
+export const getPreviousWorkingDay = (date, workdays = DEFAULT_WORKDAYS, holidays = new Set()) => {
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+  for (let i = 0; i < MAX_LOOKBACK_DAYS; i++) {
+    day.setDate(day.getDate() - 1);
+    if (isWorkingDay(day, workdays, holidays)) return day;
+  }
+
+  throw new ConfigurationError('No working day found in the last year. Check did.workdays and the holiday file');
+};
+
+/**
+ * Calculate the standup date range: from the previous working day to now
+ * @param {Date} now - Current date
+ * @param {Object} [options] - Working days options
+ * @param {number[]} [options.workdays=DEFAULT_WORKDAYS] - Working day numbers (0 = Sunday)
+ * @param {Set<string>} [options.holidays=new Set()] - Holiday dates (YYYY-MM-DD)
+ * @returns {Object} Date range (same shape as calculateDateRange) with the number of calendar days covered
+ * @example
+ * calculateStandupRange(new Date('2025-11-24T09:00:00'));
+ * // { since: Fri 2025-11-21, until: now, sinceStr: '2025-11-21', untilStr: '2025-11-24', days: 3 }
+ */
+export const calculateStandupRange = (now, options = {}) => {
+  const { workdays = DEFAULT_WORKDAYS, holidays = new Set() } = options;
+  const sinceDate = getPreviousWorkingDay(now, workdays, holidays);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  return {
+    since: sinceDate,
+    until: now,
+    sinceStr: formatDate(sinceDate),
+    untilStr: formatDate(now),
+    days: Math.round((today.getTime() - sinceDate.getTime()) / MS_PER_DAY)
+  };
+};